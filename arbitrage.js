@@ -0,0 +1,146 @@
+// arbitrage.js - Sure bets and middles across bookmakers
+//
+// - Arbitrage: the best prices on every side of one market imply less than
+//   100% in total, so staking each side in proportion to 1 / odds returns
+//   more than the bankroll whatever happens.
+// - Middle: an over at a low line and an under at a higher line (or a home
+//   and an away handicap that overlap) can both win. Staked the same way,
+//   one winning side costs a little and both winning pays about double.
+// Whole and quarter lines can push or half-settle, which only ever refunds
+// part of the stake, so arbitrages on them are sure not to lose; middles are
+// only looked for between half lines, where every outcome settles in full.
+// Quotes are only ever combined within one market: `market` names the bet
+// (e.g. full-match vs 1st-half cards), and defaults to the bucket.
+
+function round2(x) {
+  return Number(x.toFixed(2));
+}
+
+/**
+ * Stakes that return the same payout whichever side wins.
+ *
+ * @param {number[]} odds - decimal odds of each side
+ * @param {number} bankroll - total to stake
+ * @returns {{ stakes: number[], payout: number, impliedTotal: number }}
+ */
+function stakeSplit(odds, bankroll) {
+  const impliedTotal = odds.reduce((s, o) => s + 1 / o, 0);
+  return {
+    stakes: odds.map((o) => (bankroll * (1 / o)) / impliedTotal),
+    payout: bankroll / impliedTotal,
+    impliedTotal,
+  };
+}
+
+// Highest price of each side
+function bestQuotes(sides) {
+  const best = {};
+  for (const [side, quotes] of Object.entries(sides)) {
+    for (const q of quotes) {
+      if (q.odds > 1 && (!best[side] || q.odds > best[side].odds)) best[side] = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * Sure bets among markets.
+ *
+ * @param {Array<{ bucket, market?, line, sides: Object<string, Array<{ bookmaker, odds, marketName? }>> }>} markets
+ * @param {number} bankroll
+ * @returns {Array} { bucket, market, line, impliedTotal, profit, profitPct, legs: [{ side, bookmaker, odds, stake }] }
+ */
+function findArbitrages(markets, bankroll) {
+  const found = [];
+  for (const market of markets) {
+    const sides = Object.keys(market.sides);
+    const best = bestQuotes(market.sides);
+    if (sides.some((side) => !best[side])) continue;
+
+    const split = stakeSplit(sides.map((side) => best[side].odds), bankroll);
+    if (split.impliedTotal >= 1) continue;
+
+    found.push({
+      bucket: market.bucket,
+      market: market.market || market.bucket,
+      line: market.line,
+      impliedTotal: Number((split.impliedTotal * 100).toFixed(2)),
+      profit: round2(split.payout - bankroll),
+      profitPct: Number(((1 / split.impliedTotal - 1) * 100).toFixed(2)),
+      legs: sides.map((side, i) => ({
+        side,
+        bookmaker: best[side].bookmaker,
+        marketName: best[side].marketName || null,
+        odds: best[side].odds,
+        stake: round2(split.stakes[i]),
+      })),
+    });
+  }
+  return found.sort((a, b) => b.profitPct - a.profitPct);
+}
+
+const isHalfLine = (line) => Math.abs((line * 2) % 2) === 1;
+
+/**
+ * Middles between half lines of the same market.
+ * Over/under: over at a lower line and under at a higher one.
+ * Handicaps (home-perspective lines): home at a line above the away line.
+ *
+ * @param {Array} markets - as for findArbitrages
+ * @param {number} bankroll
+ * @param {number} maxCostPct - largest loss (% of bankroll) when only one side wins
+ * @returns {Array} { bucket, market, width, costPct, ifOneWins, ifBothWin, legs }
+ */
+function findMiddles(markets, bankroll, maxCostPct) {
+  const found = [];
+  const byMarket = new Map();
+  for (const m of markets) {
+    if (m.line == null || !isHalfLine(m.line)) continue;
+    const market = m.market || m.bucket;
+    if (!byMarket.has(market)) byMarket.set(market, []);
+    byMarket.get(market).push({ ...m, best: bestQuotes(m.sides) });
+  }
+
+  for (const [market, lines] of byMarket) {
+    for (const low of lines) {
+      for (const high of lines) {
+        // the first leg is on the low side of the gap, the second on the high side
+        const pair = low.best.over && high.best.under
+          ? [{ side: "over", line: low.line, quote: low.best.over }, { side: "under", line: high.line, quote: high.best.under }]
+          : low.best.away && high.best.home
+            ? [{ side: "away", line: low.line, quote: low.best.away }, { side: "home", line: high.line, quote: high.best.home }]
+            : null;
+        if (!pair || high.line <= low.line) continue;
+
+        const split = stakeSplit(pair.map((leg) => leg.quote.odds), bankroll);
+        const costPct = (1 - 1 / split.impliedTotal) * 100;
+        if (costPct > maxCostPct) continue;
+
+        found.push({
+          bucket: low.bucket,
+          market,
+          // outcomes (goals, corners, margin) on which both legs win
+          width: high.line - low.line,
+          costPct: Number(costPct.toFixed(2)),
+          ifOneWins: round2(split.payout - bankroll),
+          ifBothWin: round2(2 * split.payout - bankroll),
+          legs: pair.map((leg, i) => ({
+            side: leg.side,
+            line: leg.line,
+            bookmaker: leg.quote.bookmaker,
+            marketName: leg.quote.marketName || null,
+            odds: leg.quote.odds,
+            stake: round2(split.stakes[i]),
+          })),
+        });
+      }
+    }
+  }
+  return found.sort((a, b) => a.costPct - b.costPct || b.width - a.width);
+}
+
+module.exports = {
+  stakeSplit,
+  findArbitrages,
+  findMiddles,
+};
@@ -0,0 +1,131 @@
+// availabilityService.js - Player availability (injuries, rest, suspensions)
+// Statuses come from a local JSON file and from POST /api/availability;
+// posted statuses are written back to the file so they survive restarts
+
+const fs = require('fs');
+const path = require('path');
+
+// Chance the player suits up, by status
+const PLAY_PROBABILITY = {
+  out: 0,
+  doubtful: 0.25,
+  questionable: 0.5,
+  probable: 0.85,
+  available: 1
+};
+
+// Below this chance the player is treated as absent (not priced, usage redistributed)
+const ABSENT_BELOW = 0.5;
+
+class AvailabilityService {
+  constructor() {
+    // { "<sport>": { "<playerId>": { playerId, playerName, teamId, status, gameDate, note, updatedAt, source } } }
+    this.file = process.env.AVAILABILITY_FILE || path.join(__dirname, 'data', 'availability.json');
+    this.entries = {};
+    this.fileMtime = 0;
+    this.statuses = Object.keys(PLAY_PROBABILITY);
+  }
+
+  /**
+   * Reload the file when it changed on disk, so hand edits apply without a restart
+   */
+  refreshFromFile() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const mtime = fs.statSync(this.file).mtimeMs;
+      if (mtime === this.fileMtime) return;
+
+      this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.fileMtime = mtime;
+      const count = Object.values(this.entries).reduce((sum, sport) => sum + Object.keys(sport).length, 0);
+      console.log(`[Availability] Loaded ${count} statuses from ${this.file}`);
+    } catch (error) {
+      console.error(`[Availability] Error loading ${this.file}:`, error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.entries, null, 2));
+      fs.renameSync(tmp, this.file);
+      this.fileMtime = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      console.error(`[Availability] Error saving ${this.file}:`, error.message);
+    }
+  }
+
+  /**
+   * Validate an update; returns an error message or null
+   */
+  validate(update) {
+    if (update?.playerId == null) return 'playerId is required';
+    if (!this.statuses.includes(String(update.status).toLowerCase())) {
+      return `status must be one of: ${this.statuses.join(', ')}`;
+    }
+    if (update.gameDate && isNaN(new Date(update.gameDate).getTime())) {
+      return 'gameDate must be a date';
+    }
+    return null;
+  }
+
+  /**
+   * Store status updates (already validated)
+   * @param {string} sport - e.g. 'nba'
+   * @param {Array} updates - { playerId, status, playerName?, teamId?, gameDate?, note? }
+   */
+  setStatuses(sport, updates, source = 'api') {
+    this.refreshFromFile();
+    this.entries[sport] = this.entries[sport] || {};
+
+    for (const u of updates) {
+      this.entries[sport][u.playerId] = {
+        playerId: u.playerId,
+        playerName: u.playerName || null,
+        teamId: u.teamId ?? null,
+        status: String(u.status).toLowerCase(),
+        gameDate: u.gameDate || null,
+        note: u.note || null,
+        updatedAt: new Date().toISOString(),
+        source
+      };
+    }
+
+    this.save();
+    console.log(`[Availability] Updated ${updates.length} ${sport} statuses`);
+    return updates.length;
+  }
+
+  /**
+   * Current status of a player, or null. A status tied to a game date
+   * stops applying after that day.
+   */
+  getStatus(sport, playerId, date = new Date()) {
+    this.refreshFromFile();
+    const entry = this.entries[sport]?.[playerId];
+    if (!entry) return null;
+
+    if (entry.gameDate) {
+      const day = new Date(date).toISOString().slice(0, 10);
+      if (new Date(entry.gameDate).toISOString().slice(0, 10) < day) return null;
+    }
+    return { ...entry, playProbability: PLAY_PROBABILITY[entry.status] };
+  }
+
+  isAbsent(status) {
+    return !!status && status.playProbability < ABSENT_BELOW;
+  }
+
+  /**
+   * All current statuses for a sport
+   */
+  listStatuses(sport) {
+    this.refreshFromFile();
+    return Object.keys(this.entries[sport] || {})
+      .map(id => this.getStatus(sport, id))
+      .filter(Boolean);
+  }
+}
+
+module.exports = new AvailabilityService();
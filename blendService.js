@@ -0,0 +1,174 @@
+// blendService.js - Per-market model/market blending weights
+// Weights start from BLEND_MODEL_WEIGHT (or a per-market value set in the
+// weights file) and are re-learned from the settled-bet history, which is
+// kept as JSON lines next to the weights
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MODEL_WEIGHT, blendProbability, fitBlendWeight } = require('./blending');
+
+class BlendService {
+  constructor() {
+    // { "<market>": { configured?, weight?, fitted?, bets?, logLoss?, learnedAt? } }
+    this.file = process.env.BLEND_WEIGHTS_FILE || path.join(__dirname, 'data', 'blend-weights.json');
+    this.historyFile = process.env.SETTLED_BETS_FILE || path.join(__dirname, 'data', 'settled-bets.jsonl');
+    this.defaultWeight = this.parseWeight(process.env.BLEND_MODEL_WEIGHT) ?? DEFAULT_MODEL_WEIGHT;
+    this.enabled = process.env.PROBABILITY_BLEND !== 'off';
+    this.weights = {};
+    this.fileMtime = 0;
+  }
+
+  parseWeight(value) {
+    const w = parseFloat(value);
+    return Number.isFinite(w) && w >= 0 && w <= 1 ? w : null;
+  }
+
+  /**
+   * Reload the weights file when it changed on disk, so hand edits apply without a restart
+   */
+  refreshFromFile() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const mtime = fs.statSync(this.file).mtimeMs;
+      if (mtime === this.fileMtime) return;
+
+      this.weights = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.fileMtime = mtime;
+      console.log(`[Blend] Loaded weights for ${Object.keys(this.weights).length} markets from ${this.file}`);
+    } catch (error) {
+      console.error(`[Blend] Error loading ${this.file}:`, error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.weights, null, 2));
+      fs.renameSync(tmp, this.file);
+      this.fileMtime = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      console.error(`[Blend] Error saving ${this.file}:`, error.message);
+    }
+  }
+
+  /**
+   * Model weight for a market type: learned, else configured, else the default
+   * @returns {{ weight: number, source: string, bets: number }}
+   */
+  weightFor(market) {
+    this.refreshFromFile();
+    const entry = this.weights[market] || {};
+    if (Number.isFinite(entry.weight)) {
+      return { weight: entry.weight, source: 'learned', bets: entry.bets || 0 };
+    }
+    if (Number.isFinite(entry.configured)) {
+      return { weight: entry.configured, source: 'configured', bets: 0 };
+    }
+    return { weight: this.defaultWeight, source: 'default', bets: 0 };
+  }
+
+  /**
+   * Blend a model probability with the market's (both 0-1)
+   * @returns {{ probability: number, weight: number|null, source: string }}
+   */
+  blend(market, modelProbability, marketProbability) {
+    if (!this.enabled || marketProbability == null) {
+      return { probability: modelProbability, weight: null, source: 'model' };
+    }
+    const { weight, source } = this.weightFor(market);
+    return { probability: blendProbability(modelProbability, marketProbability, weight), weight, source };
+  }
+
+  /**
+   * Validate a settled bet; returns an error message or null
+   */
+  validate(bet) {
+    if (!bet?.market) return 'market is required';
+    for (const key of ['modelProbability', 'marketProbability']) {
+      const p = bet[key];
+      if (!(typeof p === 'number' && p > 0 && p < 1)) return `${key} must be a probability between 0 and 1`;
+    }
+    if (!['won', 'lost', 'push'].includes(bet.result)) return 'result must be one of: won, lost, push';
+    return null;
+  }
+
+  readHistory() {
+    try {
+      if (!fs.existsSync(this.historyFile)) return [];
+      return fs.readFileSync(this.historyFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      console.error(`[Blend] Error reading ${this.historyFile}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Append settled bets (already validated) to the history
+   * @param {Array} bets - { market, modelProbability, marketProbability, result, betId?, settledAt? }
+   */
+  recordSettled(bets) {
+    fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    const lines = bets.map(b => JSON.stringify({
+      betId: b.betId ?? null,
+      market: b.market,
+      modelProbability: b.modelProbability,
+      marketProbability: b.marketProbability,
+      result: b.result,
+      settledAt: b.settledAt || new Date().toISOString()
+    }));
+    fs.appendFileSync(this.historyFile, lines.map(l => `${l}\n`).join(''));
+    return bets.length;
+  }
+
+  /**
+   * Re-fit every market's weight from the whole settled history.
+   * Pushes carry no information about the outcome and are left out; a bet
+   * recorded twice (same betId) counts once, with its latest result.
+   * @returns {Object} market => { weight, fitted, bets, logLoss, learnedAt }
+   */
+  learn() {
+    this.refreshFromFile();
+    const latest = new Map();
+    this.readHistory().forEach((b, i) => latest.set(b.betId ?? `row-${i}`, b));
+
+    const byMarket = {};
+    for (const b of latest.values()) {
+      if (b.result === 'push') continue;
+      (byMarket[b.market] = byMarket[b.market] || []).push({
+        model: b.modelProbability,
+        market: b.marketProbability,
+        won: b.result === 'won'
+      });
+    }
+
+    const learnedAt = new Date().toISOString();
+    for (const [market, records] of Object.entries(byMarket)) {
+      const entry = this.weights[market] || {};
+      const prior = Number.isFinite(entry.configured) ? entry.configured : this.defaultWeight;
+      const fit = fitBlendWeight(records, prior);
+      this.weights[market] = { ...entry, ...fit, learnedAt };
+    }
+
+    this.save();
+    console.log(`[Blend] Learned weights for ${Object.keys(byMarket).length} markets from ${latest.size} settled bets`);
+    return this.listWeights();
+  }
+
+  /**
+   * Current weight of every market that has an entry, plus the default
+   */
+  listWeights() {
+    this.refreshFromFile();
+    const markets = {};
+    for (const market of Object.keys(this.weights)) {
+      markets[market] = { ...this.weights[market], ...this.weightFor(market) };
+    }
+    return { enabled: this.enabled, defaultWeight: this.defaultWeight, markets };
+  }
+}
+
+module.exports = new BlendService();
@@ -0,0 +1,86 @@
+// blending.js - Pool the model's probability with the market's
+//
+// Where the model and the de-vigged market disagree, the model is more often
+// wrong than the market. The blend is linear in log-odds:
+//   logit(p) = w * logit(model) + (1 - w) * logit(market)
+// with a model weight w per market type. w is learned from settled bets by
+// maximum likelihood and shrunk toward the configured default while there are
+// only a few of them.
+
+// Default model weight when nothing has been learned for a market
+const DEFAULT_MODEL_WEIGHT = 0.5;
+// Settled bets at which the fitted weight gets half weight
+const SHRINK_BETS = 50;
+// Probabilities are kept off 0 and 1 so the log-odds stay finite
+const EPS = 1e-4;
+
+function clamp(p) {
+  return Math.min(1 - EPS, Math.max(EPS, p));
+}
+
+function logit(p) {
+  const q = clamp(p);
+  return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Blended probability of one outcome.
+ *
+ * @param {number} model - model probability (0-1)
+ * @param {number} market - de-vigged market probability (0-1)
+ * @param {number} weight - model weight (0 = market only, 1 = model only)
+ */
+function blendProbability(model, market, weight) {
+  if (market == null || !Number.isFinite(market)) return model;
+  return sigmoid(weight * logit(model) + (1 - weight) * logit(market));
+}
+
+// Mean log loss of a weight over settled bets
+function logLoss(records, weight) {
+  let loss = 0;
+  for (const r of records) {
+    const p = clamp(blendProbability(r.model, r.market, weight));
+    loss -= r.won ? Math.log(p) : Math.log(1 - p);
+  }
+  return loss / records.length;
+}
+
+/**
+ * Model weight for one market type from its settled bets.
+ * The loss is convex in the weight, so a golden-section search on [0, 1] finds
+ * the best fit, which is then shrunk toward the prior weight.
+ *
+ * @param {Array<{ model: number, market: number, won: boolean }>} records
+ * @param {number} [prior] - weight to shrink toward
+ * @returns {{ weight: number, fitted: number|null, bets: number, logLoss: number|null }}
+ */
+function fitBlendWeight(records, prior = DEFAULT_MODEL_WEIGHT) {
+  const usable = records.filter((r) => Number.isFinite(r.model) && Number.isFinite(r.market));
+  if (!usable.length) return { weight: prior, fitted: null, bets: 0, logLoss: null };
+
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 40; i++) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (logLoss(usable, a) < logLoss(usable, b)) hi = b;
+    else lo = a;
+  }
+  const fitted = (lo + hi) / 2;
+  const n = usable.length;
+  const weight = (n * fitted + SHRINK_BETS * prior) / (n + SHRINK_BETS);
+
+  return { weight, fitted, bets: n, logLoss: logLoss(usable, weight) };
+}
+
+module.exports = {
+  DEFAULT_MODEL_WEIGHT,
+  SHRINK_BETS,
+  blendProbability,
+  fitBlendWeight,
+};
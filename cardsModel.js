@@ -0,0 +1,267 @@
+// cardsModel.js - Cards model: team discipline, referee tendencies, derby/importance
+//
+// Expected cards per team are
+//   league venue mean * team discipline * referee factor * fixture factor
+// Team and referee factors are their per-game rates relative to the league,
+// shrunk toward 1. Yellows are negative binomial (referees and game state make
+// them over-dispersed), reds Poisson.
+const { fitNegBinomial, negBinomialPmf, poissonPmf } = require("./distributions");
+
+// Cards per team per game at each venue, used as the prior (EPL)
+const LEAGUE_CARDS = {
+  yellow: { home: 1.8, away: 2.05 },
+  red: { home: 0.05, away: 0.07 },
+};
+// Games at which a team's / referee's own rate gets half weight
+const TEAM_SHRINK_GAMES = 8;
+const REFEREE_SHRINK_GAMES = 10;
+// Largest sd of a log discipline / referee factor
+const MAX_FACTOR_LOG_SD = 0.35;
+// Fixture context, multiplicative on both teams
+const DERBY_FACTOR = 1.15;
+const IMPORTANCE_FACTOR = 1.08;
+// var = mu + k * mu^2 for a team's yellows
+const YELLOW_DISPERSION = 0.08;
+// Standard booking points: yellow 10, red 25
+const BOOKING_POINTS = { yellow: 10, red: 25 };
+const MAX_YELLOWS = 15;
+const MAX_REDS = 4;
+
+// Local rivalries (matched on team name fragments)
+const DERBIES = [
+  ["arsenal", "tottenham"],
+  ["arsenal", "chelsea"],
+  ["chelsea", "tottenham"],
+  ["liverpool", "everton"],
+  ["liverpool", "manchester united"],
+  ["manchester city", "manchester united"],
+  ["newcastle", "sunderland"],
+  ["aston villa", "birmingham"],
+  ["crystal palace", "brighton"],
+  ["west ham", "tottenham"],
+];
+
+function isDerby(homeName, awayName) {
+  const home = (homeName || "").toLowerCase();
+  const away = (awayName || "").toLowerCase();
+  return DERBIES.some(
+    ([a, b]) => (home.includes(a) && away.includes(b)) || (home.includes(b) && away.includes(a))
+  );
+}
+
+function shrinkRatio(observed, expected, n, shrinkGames) {
+  if (!n || !(expected > 0)) return 1;
+  return (n * (observed / expected) + shrinkGames) / (n + shrinkGames);
+}
+
+/**
+ * A team's discipline factor for one card colour.
+ *
+ * @param {Array<{ cards: number, venue: "home"|"away" }>} games - team's own cards per game
+ * @param {"yellow"|"red"} colour
+ */
+function teamDiscipline(games, colour) {
+  const n = games.length;
+  const observed = games.reduce((s, g) => s + g.cards, 0) / (n || 1);
+  const expected = games.reduce((s, g) => s + LEAGUE_CARDS[colour][g.venue], 0) / (n || 1);
+  return shrinkRatio(observed, expected, n, TEAM_SHRINK_GAMES);
+}
+
+/**
+ * A referee's yellow/red factors from their card record.
+ *
+ * @param {{ games: number, yellowCards: number, redCards: number }|null} referee
+ */
+function refereeFactor(referee) {
+  const leagueYellow = LEAGUE_CARDS.yellow.home + LEAGUE_CARDS.yellow.away;
+  const leagueRed = LEAGUE_CARDS.red.home + LEAGUE_CARDS.red.away;
+  const n = referee?.games || 0;
+  return {
+    yellow: shrinkRatio(n ? referee.yellowCards / n : 0, leagueYellow, n, REFEREE_SHRINK_GAMES),
+    red: shrinkRatio(n ? referee.redCards / n : 0, leagueRed, n, REFEREE_SHRINK_GAMES),
+    games: n,
+  };
+}
+
+/**
+ * Expected yellows and reds for both teams.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.home - { yellow: games[], red: games[] } for teamDiscipline
+ * @param {Object} opts.away
+ * @param {Object} [opts.referee] - { name, games, yellowCards, redCards }
+ * @param {boolean} [opts.derby]
+ * @param {boolean} [opts.importance] - high-stakes fixture
+ */
+function buildCardModel({ home, away, referee = null, derby = false, importance = false }) {
+  const ref = refereeFactor(referee);
+  const fixture = (derby ? DERBY_FACTOR : 1) * (importance ? IMPORTANCE_FACTOR : 1);
+
+  const team = (games, venue) => {
+    const discipline = {
+      yellow: teamDiscipline(games.yellow, "yellow"),
+      red: teamDiscipline(games.red, "red"),
+    };
+    return {
+      yellow: LEAGUE_CARDS.yellow[venue] * discipline.yellow * ref.yellow * fixture,
+      red: LEAGUE_CARDS.red[venue] * discipline.red * ref.red * fixture,
+      discipline,
+      games: { yellow: games.yellow.length, red: games.red.length },
+    };
+  };
+
+  return {
+    home: team(home, "home"),
+    away: team(away, "away"),
+    referee: referee ? { name: referee.name, ...ref } : null,
+    derby,
+    importance,
+  };
+}
+
+/**
+ * Approximate sd of log(expected cards) for each team and colour: the team's
+ * discipline rests on its games, the referee factor on the referee's games
+ * (each plus its shrinkage games).
+ *
+ * @param {Object} model - from buildCardModel
+ * @returns {{ homeYellow, awayYellow, homeRed, awayRed }}
+ */
+function cardMeanLogSd(model) {
+  const refGames = (model.referee?.games || 0) + REFEREE_SHRINK_GAMES;
+  const refMean = (colour) =>
+    (LEAGUE_CARDS[colour].home + LEAGUE_CARDS[colour].away) * (model.referee?.[colour] ?? 1);
+
+  // rare events (reds) carry little information per game, but teams and
+  // referees don't differ by more than the spread of their factors
+  const capped = (variance) => Math.min(variance, MAX_FACTOR_LOG_SD ** 2);
+  const sd = (team, colour) => {
+    const perGame = 1 / team[colour] + (colour === "yellow" ? YELLOW_DISPERSION : 0);
+    return Math.sqrt(
+      capped(perGame / ((team.games?.[colour] || 0) + TEAM_SHRINK_GAMES)) +
+        capped(1 / (refMean(colour) * refGames))
+    );
+  };
+  return {
+    homeYellow: sd(model.home, "yellow"),
+    awayYellow: sd(model.away, "yellow"),
+    homeRed: sd(model.home, "red"),
+    awayRed: sd(model.away, "red"),
+  };
+}
+
+function yellowPmf(mu) {
+  const fit = fitNegBinomial(mu, mu + YELLOW_DISPERSION * mu * mu);
+  const pmf = [];
+  for (let k = 0; k <= MAX_YELLOWS; k++) {
+    pmf.push(fit ? negBinomialPmf(k, fit.r, fit.p) : poissonPmf(k, mu));
+  }
+  return pmf;
+}
+
+function redPmf(mu) {
+  const pmf = [];
+  for (let k = 0; k <= MAX_REDS; k++) pmf.push(poissonPmf(k, mu));
+  return pmf;
+}
+
+// Distribution of a sum of independent counts, each scaled by a weight
+function convolve(pmfs, weights) {
+  let dist = new Map([[0, 1]]);
+  pmfs.forEach((pmf, i) => {
+    const next = new Map();
+    for (const [total, p] of dist) {
+      pmf.forEach((q, k) => {
+        const t = total + k * weights[i];
+        next.set(t, (next.get(t) || 0) + p * q);
+      });
+    }
+    dist = next;
+  });
+  const mass = [...dist.values()].reduce((s, p) => s + p, 0);
+  return [...dist].map(([total, p]) => ({ total, p: p / mass }));
+}
+
+/**
+ * Card totals and booking points markets.
+ * Booking points treat yellows and reds as independent, so a second yellow
+ * (10 + 25 in most rule sets) isn't singled out.
+ *
+ * @param {Object} model - from buildCardModel
+ * @param {Object} lines - { yellow: number[], bookingPoints: number[] }
+ * @returns {Array} { statKey, line, side, probability, matchPrediction }
+ */
+function cardMarkets(model, lines) {
+  const homeYellow = yellowPmf(model.home.yellow);
+  const awayYellow = yellowPmf(model.away.yellow);
+  const homeRed = redPmf(model.home.red);
+  const awayRed = redPmf(model.away.red);
+
+  const markets = [];
+  const overUnder = (statKey, dist, lineList, expected) => {
+    for (const line of lineList) {
+      const over = dist.filter((d) => d.total > line).reduce((s, d) => s + d.p, 0);
+      const under = dist.filter((d) => d.total < line).reduce((s, d) => s + d.p, 0);
+      markets.push({ statKey, line, side: "over", probability: over, matchPrediction: expected });
+      markets.push({ statKey, line, side: "under", probability: under, matchPrediction: expected });
+    }
+  };
+
+  const expectedYellow = model.home.yellow + model.away.yellow;
+  const expectedRed = model.home.red + model.away.red;
+
+  overUnder("yellow_cards", convolve([homeYellow, awayYellow], [1, 1]), lines.yellow || [], expectedYellow);
+  overUnder("red_cards", convolve([homeRed, awayRed], [1, 1]), [0.5], expectedRed);
+  overUnder(
+    "booking_points",
+    convolve([homeYellow, awayYellow, homeRed, awayRed], [
+      BOOKING_POINTS.yellow,
+      BOOKING_POINTS.yellow,
+      BOOKING_POINTS.red,
+      BOOKING_POINTS.red,
+    ]),
+    lines.bookingPoints || [],
+    BOOKING_POINTS.yellow * expectedYellow + BOOKING_POINTS.red * expectedRed
+  );
+
+  return markets;
+}
+
+/**
+ * Full distributions of the card totals, for pricing any offered line.
+ *
+ * @param {Object} model - from buildCardModel
+ * @returns {{ yellow_cards: number[], booking_points: number[] }} pmf[k]
+ */
+function cardTotalPmfs(model) {
+  const homeYellow = yellowPmf(model.home.yellow);
+  const awayYellow = yellowPmf(model.away.yellow);
+  const toArray = (dist) => {
+    const pmf = [];
+    for (const { total, p } of dist) pmf[total] = (pmf[total] || 0) + p;
+    return Array.from(pmf, (p) => p || 0);
+  };
+  return {
+    yellow_cards: toArray(convolve([homeYellow, awayYellow], [1, 1])),
+    booking_points: toArray(
+      convolve([homeYellow, awayYellow, redPmf(model.home.red), redPmf(model.away.red)], [
+        BOOKING_POINTS.yellow,
+        BOOKING_POINTS.yellow,
+        BOOKING_POINTS.red,
+        BOOKING_POINTS.red,
+      ])
+    ),
+  };
+}
+
+module.exports = {
+  LEAGUE_CARDS,
+  BOOKING_POINTS,
+  isDerby,
+  teamDiscipline,
+  refereeFactor,
+  buildCardModel,
+  cardMeanLogSd,
+  cardMarkets,
+  cardTotalPmfs,
+};
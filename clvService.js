@@ -0,0 +1,236 @@
+// clvService.js - Closing line value of recommended picks
+// Every recommended pick is stored with the price it was recommended at.
+// Shortly before kickoff its market is re-read on every scheduler run, so the
+// last capture before kickoff is the closing line; once the match starts the
+// pick is closed and its CLV fixed:
+// - price CLV: taken odds / closing odds of the same bookmaker - 1 (%)
+// - probability CLV: closing de-vigged probability - probability implied by
+//   the taken odds (percentage points)
+// Both are positive when we beat the close
+// Picks are written to disk by the scheduler (flush), not on every request.
+// Only football picks (kickoffs) are tracked: NBA props are never matched to
+// bookmaker prices (there is no NBA odds feed), so a tip-off has no taken or
+// closing price to compare.
+
+const fs = require('fs');
+const path = require('path');
+
+// How long before kickoff the closing line starts being captured
+const CAPTURE_WINDOW_MS = 30 * 60 * 1000;
+
+class CLVService {
+  constructor() {
+    // { "<pickId>": pick }
+    this.file = process.env.CLV_PICKS_FILE || path.join(__dirname, 'data', 'clv-picks.json');
+    this.picks = null;
+    // unsaved changes since the last flush
+    this.dirty = false;
+    this.captureWindowMs = CAPTURE_WINDOW_MS;
+  }
+
+  load() {
+    if (this.picks) return this.picks;
+
+    this.picks = {};
+    try {
+      if (fs.existsSync(this.file)) {
+        this.picks = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        console.log(`[CLV] Loaded ${Object.keys(this.picks).length} picks from ${this.file}`);
+      }
+    } catch (error) {
+      console.error(`[CLV] Error loading ${this.file}:`, error.message);
+    }
+    return this.picks;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.picks, null, 2));
+      fs.renameSync(tmp, this.file);
+      this.dirty = false;
+    } catch (error) {
+      console.error(`[CLV] Error saving ${this.file}:`, error.message);
+    }
+  }
+
+  /**
+   * Save if anything changed since the last save
+   */
+  flush() {
+    if (this.dirty) this.save();
+  }
+
+  // One pick per bet, whichever bookmaker was best when it was recommended;
+  // player props are one bet per player
+  pickId(sport, eventId, bet) {
+    const parts = [sport, eventId, bet.statKey, bet.line, bet.selection];
+    if (bet.playerName) parts.push(bet.playerName);
+    return parts.join('|');
+  }
+
+  /**
+   * Store recommended picks of one match. A pick keeps the bookmaker and price
+   * it was first recommended at; later recommendations of the same bet are
+   * ignored.
+   * @param {string} sport - 'epl' | 'football'
+   * @param {Object} matchOdds - getAllMatchOdds result (odds-api event)
+   * @param {Array} bets - value bets ({ statKey, line, selection, bestBookmaker, bestOdds, allBookmakers, ... })
+   * @param {Object} [meta] - { league }
+   * @returns {number} New picks
+   */
+  recordPicks(sport, matchOdds, bets, meta = {}) {
+    if (!matchOdds?.matchId || !bets.length) return 0;
+    const picks = this.load();
+    let added = 0;
+
+    for (const bet of bets) {
+      const id = this.pickId(sport, matchOdds.matchId, bet);
+      if (picks[id]) continue;
+
+      // The bookmaker's own line can differ from the model line it was matched to
+      const quoted = (bet.allBookmakers || []).find(b => b.bookmaker === bet.bestBookmaker);
+      picks[id] = {
+        id,
+        sport,
+        league: meta.league || null,
+        event: {
+          id: matchOdds.matchId,
+          home: matchOdds.homeTeam,
+          away: matchOdds.awayTeam,
+          date: matchOdds.kickoff
+        },
+        statKey: bet.statKey,
+        player: bet.playerName || null,
+        line: quoted?.line ?? bet.line,
+        side: bet.selection,
+        bookmaker: bet.bestBookmaker,
+        odds: bet.bestOdds,
+        probability: bet.blendedProbability ?? bet.probability,
+        ev: bet.bestEV,
+        recommendedAt: new Date().toISOString(),
+        status: 'open',
+        closing: null,
+        clv: null
+      };
+      added++;
+    }
+
+    if (added) {
+      this.dirty = true;
+      console.log(`[CLV] Recorded ${added} new ${sport} picks for ${matchOdds.homeTeam} vs ${matchOdds.awayTeam}`);
+    }
+    return added;
+  }
+
+  /**
+   * Open picks grouped by event
+   * @returns {Array} [{ event, picks }]
+   */
+  openEvents() {
+    const events = new Map();
+    for (const pick of Object.values(this.load())) {
+      if (pick.status !== 'open') continue;
+      if (!events.has(pick.event.id)) events.set(pick.event.id, { event: pick.event, picks: [] });
+      events.get(pick.event.id).picks.push(pick);
+    }
+    return [...events.values()];
+  }
+
+  /**
+   * Every pick of one event, in the order they were recommended
+   * @param {string|number} eventId - odds-api event ID
+   */
+  eventPicks(eventId) {
+    return Object.values(this.load())
+      .filter(pick => String(pick.event.id) === String(eventId))
+      .sort((a, b) => a.recommendedAt.localeCompare(b.recommendedAt));
+  }
+
+  /**
+   * Latest pre-kickoff capture of a pick's market
+   * @param {Object} pick
+   * @param {Object} closing - { capturedAt, odds (same bookmaker), bestOdds, fairProbability (0-1) }
+   */
+  captureClosing(pick, closing) {
+    this.load()[pick.id] = { ...pick, closing };
+    this.dirty = true;
+  }
+
+  /**
+   * Fix the CLV of an event's picks from their last capture
+   */
+  closeEvent(eventId) {
+    const picks = this.load();
+    for (const pick of Object.values(picks)) {
+      if (pick.event.id !== eventId || pick.status !== 'open') continue;
+      this.dirty = true;
+
+      const c = pick.closing;
+      if (!c) {
+        picks[pick.id] = { ...pick, status: 'no-close' };
+        continue;
+      }
+      picks[pick.id] = {
+        ...pick,
+        status: 'closed',
+        clv: {
+          price: c.odds ? Number(((pick.odds / c.odds - 1) * 100).toFixed(2)) : null,
+          probability: c.fairProbability != null
+            ? Number(((c.fairProbability - 1 / pick.odds) * 100).toFixed(2))
+            : null
+        }
+      };
+    }
+  }
+
+  /**
+   * Average CLV of closed picks, overall and by sport, market and bookmaker
+   * @param {Object} [filter] - { sport, since (ISO date) }
+   */
+  aggregate({ sport = null, since = null } = {}) {
+    const closed = Object.values(this.load()).filter(p =>
+      p.status === 'closed' &&
+      (!sport || p.sport === sport) &&
+      (!since || p.recommendedAt >= since)
+    );
+
+    const summarise = (picks) => {
+      const mean = (values) => values.length
+        ? Number((values.reduce((s, v) => s + v, 0) / values.length).toFixed(2))
+        : null;
+      const price = picks.map(p => p.clv.price).filter(v => v != null);
+      const probability = picks.map(p => p.clv.probability).filter(v => v != null);
+      return {
+        picks: picks.length,
+        avgPriceCLV: mean(price),
+        avgProbabilityCLV: mean(probability),
+        beatClosePct: price.length ? Number((price.filter(v => v > 0).length / price.length * 100).toFixed(1)) : null
+      };
+    };
+    const groupBy = (key) => {
+      const groups = {};
+      for (const pick of closed) (groups[pick[key]] = groups[pick[key]] || []).push(pick);
+      return Object.fromEntries(Object.entries(groups).map(([k, picks]) => [k, summarise(picks)]));
+    };
+
+    return {
+      overall: summarise(closed),
+      bySport: groupBy('sport'),
+      byMarket: groupBy('statKey'),
+      byBookmaker: groupBy('bookmaker')
+    };
+  }
+
+  /**
+   * Pick counts by status
+   */
+  counts() {
+    const counts = { open: 0, closed: 0, 'no-close': 0 };
+    for (const pick of Object.values(this.load())) counts[pick.status] = (counts[pick.status] || 0) + 1;
+    return counts;
+  }
+}
+
+module.exports = new CLVService();
@@ -0,0 +1,89 @@
+// comboModel.js - Joint pricing of combo props (pra, pr, pa, ra)
+const { decayWeights, weightedMean } = require("./timeDecay");
+
+// Combo stat => component stats
+const COMBO_COMPONENTS = {
+  pra: ["pts", "reb", "ast"],
+  pr: ["pts", "reb"],
+  pa: ["pts", "ast"],
+  ra: ["reb", "ast"],
+};
+
+// Correlations are estimated from one player's log, so keep them away from +/-1
+const MAX_CORRELATION = 0.95;
+
+function isCombo(statKey) {
+  return Object.prototype.hasOwnProperty.call(COMBO_COMPONENTS, statKey);
+}
+
+/**
+ * Weighted Pearson correlation of two aligned series.
+ */
+function correlation(xs, ys, weights) {
+  const w = weights || xs.map(() => 1);
+  const mx = weightedMean(xs, w);
+  const my = weightedMean(ys, w);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += w[i] * (xs[i] - mx) * (ys[i] - my);
+    sxx += w[i] * (xs[i] - mx) ** 2;
+    syy += w[i] * (ys[i] - my) ** 2;
+  }
+  if (sxx <= 0 || syy <= 0) return 0;
+  const r = sxy / Math.sqrt(sxx * syy);
+  return Math.max(-MAX_CORRELATION, Math.min(MAX_CORRELATION, r));
+}
+
+/**
+ * Pairwise correlation matrix of stats from a game log.
+ *
+ * @param {Object<string, number[]>} seriesByKey - aligned, newest-first series
+ * @param {string[]} keys
+ * @param {number} [halfLife] - decay half-life in games (unweighted if omitted)
+ * @returns {Object<string, Object<string, number>>} corr[a][b]
+ */
+function correlationMatrix(seriesByKey, keys, halfLife) {
+  const n = seriesByKey[keys[0]]?.length || 0;
+  const weights = halfLife
+    ? decayWeights(Array.from({ length: n }, (_, i) => i), halfLife)
+    : undefined;
+
+  const corr = {};
+  for (const a of keys) {
+    corr[a] = {};
+    for (const b of keys) {
+      corr[a][b] = a === b ? 1 : correlation(seriesByKey[a], seriesByKey[b], weights);
+    }
+  }
+  return corr;
+}
+
+/**
+ * Mean and sd of a sum of correlated components:
+ * mu = sum(mu_i), var = sum_i sum_j rho_ij sigma_i sigma_j
+ *
+ * @param {string[]} keys - component stat keys
+ * @param {Object<string, {mu: number, sigma: number}>} components
+ * @param {Object} corr - from correlationMatrix
+ */
+function sumDistribution(keys, components, corr) {
+  let mu = 0;
+  let variance = 0;
+  for (const a of keys) {
+    mu += components[a].mu;
+    for (const b of keys) {
+      variance += corr[a][b] * components[a].sigma * components[b].sigma;
+    }
+  }
+  return { mu, sigma: Math.sqrt(Math.max(variance, 0)) };
+}
+
+module.exports = {
+  COMBO_COMPONENTS,
+  isCombo,
+  correlation,
+  correlationMatrix,
+  sumDistribution,
+};
@@ -0,0 +1,227 @@
+// cornersModel.js - Per-team corners model (for/against rates, home/away, negative binomial)
+//
+// Expected corners for a fixture are
+//   home = leagueHome * attack[home] * defence[away]
+//   away = leagueAway * attack[away] * defence[home]
+// where attack/defence are each team's corners won/conceded relative to the
+// league venue average, shrunk toward 1. Counts are negative binomial with a
+// pooled dispersion (var = mu + k * mu^2).
+const { negBinomialPmf, fitNegBinomial, poissonPmf } = require("./distributions");
+const { settlementFairOdds } = require("./dixonColes");
+
+// Corners per team per game at each venue, used as the prior (EPL)
+const LEAGUE_CORNERS = { home: 5.6, away: 4.6 };
+// Team-games of league-average weight behind the league means
+const LEAGUE_PRIOR_GAMES = 20;
+// Games at which a team's own rating gets half weight
+const SHRINK_GAMES = 8;
+// Prior dispersion k and its weight in team-games
+const DEFAULT_DISPERSION = 0.04;
+const DISPERSION_PRIOR_GAMES = 30;
+// Probability tables stop here; no team wins 30 corners
+const MAX_CORNERS = 30;
+
+/**
+ * Flatten team game logs into corner rows, one per game.
+ *
+ * @param {Object[]} games - { id, home_team_id, away_team_id, home_team_stats, away_team_stats }
+ * @returns {Array<{ homeId, awayId, home: number, away: number }>}
+ */
+function cornerRows(games) {
+  const seen = new Set();
+  const rows = [];
+  for (const g of games) {
+    if (seen.has(g.id)) continue;
+    const home = g.home_team_stats?.corner_taken;
+    const away = g.away_team_stats?.corner_taken;
+    // a game without stats is missing, not a 0-0 in corners
+    if (home == null || away == null) continue;
+    seen.add(g.id);
+    rows.push({ homeId: g.home_team_id, awayId: g.away_team_id, home: Number(home), away: Number(away) });
+  }
+  return rows;
+}
+
+function shrink(sum, n, prior, priorN) {
+  return (sum + prior * priorN) / (n + priorN);
+}
+
+/**
+ * League venue means and dispersion from the observed rows.
+ * The dispersion is measured around the venue means, so it also carries
+ * the between-team spread; that errs on the wide side.
+ */
+function leagueCornerRates(rows) {
+  const n = rows.length;
+  const home = shrink(rows.reduce((s, r) => s + r.home, 0), n, LEAGUE_CORNERS.home, LEAGUE_PRIOR_GAMES);
+  const away = shrink(rows.reduce((s, r) => s + r.away, 0), n, LEAGUE_CORNERS.away, LEAGUE_PRIOR_GAMES);
+
+  let excess = 0;
+  for (const r of rows) {
+    excess += ((r.home - home) ** 2 - home) / (home * home);
+    excess += ((r.away - away) ** 2 - away) / (away * away);
+  }
+  const dispersion = Math.max(0, shrink(excess, 2 * n, DEFAULT_DISPERSION, DISPERSION_PRIOR_GAMES));
+
+  return { home, away, dispersion, games: n };
+}
+
+/**
+ * A team's attack (corners won) and defence (corners conceded) ratings,
+ * relative to the league mean at the venue of each game.
+ */
+function teamCornerRating(rows, teamId, league) {
+  let attack = 0;
+  let defence = 0;
+  let games = 0;
+  for (const r of rows) {
+    if (r.homeId === teamId) {
+      attack += r.home / league.home;
+      defence += r.away / league.away;
+    } else if (r.awayId === teamId) {
+      attack += r.away / league.away;
+      defence += r.home / league.home;
+    } else {
+      continue;
+    }
+    games++;
+  }
+  return {
+    attack: shrink(attack, games, 1, SHRINK_GAMES),
+    defence: shrink(defence, games, 1, SHRINK_GAMES),
+    games,
+  };
+}
+
+/**
+ * Fit the fixture's corners model.
+ *
+ * @param {Object[]} rows - from cornerRows
+ * @param {number} homeId
+ * @param {number} awayId
+ * @returns {{ home, away, dispersion, league, homeRating, awayRating }}
+ */
+function buildCornerModel(rows, homeId, awayId) {
+  const league = leagueCornerRates(rows);
+  const homeRating = teamCornerRating(rows, homeId, league);
+  const awayRating = teamCornerRating(rows, awayId, league);
+
+  return {
+    home: league.home * homeRating.attack * awayRating.defence,
+    away: league.away * awayRating.attack * homeRating.defence,
+    dispersion: league.dispersion,
+    league,
+    homeRating,
+    awayRating,
+  };
+}
+
+/**
+ * Approximate sd of log(expected corners) for each side: the attack and
+ * defence ratings behind it each rest on their team's games (plus the
+ * shrinkage games), with per-game relative variance 1/mu + dispersion.
+ *
+ * @param {Object} model - from buildCornerModel
+ * @returns {{ home: number, away: number }}
+ */
+function cornerMeanLogSd(model) {
+  const side = (mu, attacker, defender) => {
+    const perGame = 1 / mu + model.dispersion;
+    return Math.sqrt(perGame / (attacker.games + SHRINK_GAMES) + perGame / (defender.games + SHRINK_GAMES));
+  };
+  return {
+    home: side(model.home, model.homeRating, model.awayRating),
+    away: side(model.away, model.awayRating, model.homeRating),
+  };
+}
+
+// P(X = k) for k = 0..MAX_CORNERS, renormalised after truncation
+function countPmf(mu, dispersion) {
+  const fit = fitNegBinomial(mu, mu + dispersion * mu * mu);
+  const pmf = [];
+  for (let k = 0; k <= MAX_CORNERS; k++) {
+    pmf.push(fit ? negBinomialPmf(k, fit.r, fit.p) : poissonPmf(k, mu));
+  }
+  const total = pmf.reduce((s, p) => s + p, 0);
+  return pmf.map((p) => p / total);
+}
+
+/**
+ * Joint table of home x away corners; the two counts are taken as independent.
+ */
+function cornerMatrix(model) {
+  const home = countPmf(model.home, model.dispersion);
+  const away = countPmf(model.away, model.dispersion);
+  return home.map((ph) => away.map((pa) => ph * pa));
+}
+
+function sumWhere(matrix, predicate) {
+  let p = 0;
+  for (let h = 0; h < matrix.length; h++) {
+    for (let a = 0; a < matrix[h].length; a++) {
+      if (predicate(h, a)) p += matrix[h][a];
+    }
+  }
+  return p;
+}
+
+/**
+ * Match corners, team corners and corner handicap markets.
+ * Handicap lines are home-perspective; whole lines can push, so they carry a
+ * settlement and a push-adjusted probability (1 / fair odds).
+ *
+ * @param {Object} model - from buildCornerModel
+ * @param {Object} lines - { total: number[], team: number[], handicap: number[] }
+ * @returns {Array} { statKey, line, side, probability, matchPrediction, settlement? }
+ */
+function cornerMarkets(model, lines) {
+  const matrix = cornerMatrix(model);
+  const markets = [];
+
+  const overUnder = (statKey, count, lineList, expected) => {
+    for (const line of lineList) {
+      const over = sumWhere(matrix, (h, a) => count(h, a) > line);
+      const under = sumWhere(matrix, (h, a) => count(h, a) < line);
+      markets.push({ statKey, line, side: "over", probability: over, matchPrediction: expected });
+      markets.push({ statKey, line, side: "under", probability: under, matchPrediction: expected });
+    }
+  };
+
+  overUnder("corners", (h, a) => h + a, lines.total || [], model.home + model.away);
+  overUnder("home_corners", (h) => h, lines.team || [], model.home);
+  overUnder("away_corners", (h, a) => a, lines.team || [], model.away);
+
+  for (const line of lines.handicap || []) {
+    for (const side of ["home", "away"]) {
+      const result = (h, a) => (side === "home" ? h - a + line : a - h - line);
+      const settlement = {
+        win: sumWhere(matrix, (h, a) => result(h, a) > 0),
+        halfWin: 0,
+        push: sumWhere(matrix, (h, a) => result(h, a) === 0),
+        halfLoss: 0,
+        loss: sumWhere(matrix, (h, a) => result(h, a) < 0),
+      };
+      markets.push({
+        statKey: "corner_handicap",
+        line,
+        side,
+        probability: 1 / settlementFairOdds(settlement),
+        matchPrediction: model.home - model.away,
+        settlement,
+      });
+    }
+  }
+
+  return markets;
+}
+
+module.exports = {
+  LEAGUE_CORNERS,
+  cornerRows,
+  leagueCornerRates,
+  teamCornerRating,
+  buildCornerModel,
+  cornerMeanLogSd,
+  cornerMatrix,
+  cornerMarkets,
+};
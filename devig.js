@@ -0,0 +1,105 @@
+// devig.js - Fair probabilities from bookmaker prices with the margin removed
+//
+// Implied probabilities (1 / odds) of a market sum to more than 1; the excess
+// is the bookmaker's margin (overround). The methods differ in where they
+// take the margin from:
+// - multiplicative: in proportion to each implied probability
+// - additive: the same amount from every outcome
+// - power: raises implied probabilities to a common power, taking more from longshots
+// - Shin: models the margin as protection against insiders (favourite-longshot bias)
+
+const DEVIG_METHODS = ["multiplicative", "additive", "power", "shin"];
+// Headline method of the market consensus
+const CONSENSUS_METHOD = "shin";
+
+// Root of a monotone function on [lo, hi] by bisection
+function bisect(f, lo, hi, iterations = 60) {
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    if (f(lo) * f(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function multiplicative(implied) {
+  const total = implied.reduce((s, q) => s + q, 0);
+  return implied.map((q) => q / total);
+}
+
+// Longshots can end up below zero; those are floored and the rest renormalised
+function additive(implied) {
+  const total = implied.reduce((s, q) => s + q, 0);
+  const shifted = implied.map((q) => Math.max(0, q - (total - 1) / implied.length));
+  const sum = shifted.reduce((s, p) => s + p, 0);
+  return shifted.map((p) => p / sum);
+}
+
+function power(implied) {
+  const k = bisect((k) => implied.reduce((s, q) => s + q ** k, 0) - 1, 1, 50);
+  return implied.map((q) => q ** k);
+}
+
+function shin(implied) {
+  const total = implied.reduce((s, q) => s + q, 0);
+  const at = (z) =>
+    implied.map((q) => (Math.sqrt(z * z + (4 * (1 - z) * q * q) / total) - z) / (2 * (1 - z)));
+  const z = bisect((z) => at(z).reduce((s, p) => s + p, 0) - 1, 0, 0.5);
+  return at(z);
+}
+
+const METHODS = { multiplicative, additive, power, shin };
+
+/**
+ * Fair probabilities of one bookmaker's prices on a market, by every method.
+ *
+ * @param {number[]} odds - decimal odds of every outcome of the market
+ * @returns {{ overround: number, multiplicative: number[], additive: number[], power: number[], shin: number[] } | null}
+ */
+function devig(odds) {
+  if (odds.length < 2 || odds.some((o) => !(o > 1))) return null;
+  const implied = odds.map((o) => 1 / o);
+  const overround = implied.reduce((s, q) => s + q, 0) - 1;
+
+  const result = { overround };
+  for (const method of DEVIG_METHODS) {
+    // an arbitrage-free book has nothing to remove beyond rescaling
+    result[method] = overround > 0 ? METHODS[method](implied) : multiplicative(implied);
+  }
+  return result;
+}
+
+/**
+ * Consensus across bookmakers: the mean fair probability of each outcome by
+ * every method, one vote per bookmaker.
+ *
+ * @param {Array<{ bookmaker: string, fair: Object }>} books - fair from devig()
+ * @returns {{ bookmakers: number, overround: number, probability: number[], methods: Object } | null}
+ */
+function consensus(books) {
+  const seen = new Set();
+  const votes = books.filter((b) => b.fair && !seen.has(b.bookmaker) && seen.add(b.bookmaker));
+  if (!votes.length) return null;
+
+  const meanOf = (pick) => {
+    const rows = votes.map(pick);
+    return rows[0].map((_, i) => rows.reduce((s, r) => s + r[i], 0) / rows.length);
+  };
+  const methods = {};
+  for (const method of DEVIG_METHODS) {
+    methods[method] = meanOf((b) => b.fair[method]);
+  }
+  return {
+    bookmakers: votes.length,
+    overround: votes.reduce((s, b) => s + b.fair.overround, 0) / votes.length,
+    probability: methods[CONSENSUS_METHOD],
+    methods,
+  };
+}
+
+module.exports = {
+  DEVIG_METHODS,
+  CONSENSUS_METHOD,
+  devig,
+  consensus,
+};
@@ -0,0 +1,184 @@
+// distributions.js - Distribution families for pricing count-based props
+
+// Supported distribution families
+const FAMILIES = ["normal", "poisson", "negbin", "empirical"];
+
+// Lanczos approximation of ln(Gamma(x)), accurate to ~1e-15 for x > 0
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    // reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < LANCZOS.length; i++) {
+    a += LANCZOS[i] / (x + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Complementary error function (Chebyshev fit, fractional error < 1.2e-7)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const poly =
+    -1.26551223 +
+    t * (1.00002368 +
+    t * (0.37409196 +
+    t * (0.09678418 +
+    t * (-0.18628806 +
+    t * (0.27886807 +
+    t * (-1.13520398 +
+    t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277))))))));
+  const r = t * Math.exp(-z * z + poly);
+  return x >= 0 ? r : 2 - r;
+}
+
+// Standard normal CDF
+function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+function poissonPmf(k, lambda) {
+  if (k < 0 || !Number.isInteger(k)) return 0;
+  if (lambda <= 0) return k === 0 ? 1 : 0;
+  return Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1));
+}
+
+function poissonCdf(k, lambda) {
+  if (k < 0) return 0;
+  let sum = 0;
+  for (let i = 0; i <= Math.floor(k); i++) {
+    sum += poissonPmf(i, lambda);
+  }
+  return Math.min(1, sum);
+}
+
+/**
+ * Negative binomial PMF, parameterised as the number of failures k before
+ * the r-th success with success probability p (mean = r(1-p)/p).
+ */
+function negBinomialPmf(k, r, p) {
+  if (k < 0 || !Number.isInteger(k)) return 0;
+  return Math.exp(
+    logGamma(k + r) -
+      logGamma(r) -
+      logGamma(k + 1) +
+      r * Math.log(p) +
+      k * Math.log(1 - p)
+  );
+}
+
+function negBinomialCdf(k, r, p) {
+  if (k < 0) return 0;
+  let sum = 0;
+  for (let i = 0; i <= Math.floor(k); i++) {
+    sum += negBinomialPmf(i, r, p);
+  }
+  return Math.min(1, sum);
+}
+
+/**
+ * Method-of-moments negative binomial fit.
+ * Returns null when the data is not over-dispersed (variance <= mean),
+ * in which case a Poisson is the better description.
+ */
+function fitNegBinomial(mu, variance) {
+  if (!(mu > 0) || !(variance > mu)) return null;
+  const p = mu / variance;
+  const r = (mu * mu) / (variance - mu);
+  return { r, p };
+}
+
+/**
+ * Build a distribution over the integer outcomes of a stat.
+ *
+ * Every family exposes cdf(k) = P(X <= k) for integer k, so over/under
+ * pricing is the same regardless of the family. The normal family applies
+ * a continuity correction at k + 0.5.
+ *
+ * @param {"normal"|"poisson"|"negbin"|"empirical"} family
+ * @param {Object} params
+ * @param {number} params.mu - expected value
+ * @param {number} params.sigma - standard deviation
+ * @param {number[]} [params.values] - observed values (empirical family)
+ * @returns {{ family: string, cdf: Function }}
+ */
+function createDistribution(family, { mu, sigma, values = [] }) {
+  if (!FAMILIES.includes(family)) {
+    throw new Error(`Unknown distribution family: ${family}`);
+  }
+
+  if (family === "empirical") {
+    if (values.length) {
+      // shift the observed sample so its mean matches the blended mu
+      const shift = mu - values.reduce((s, x) => s + x, 0) / values.length;
+      const shifted = values.map((v) => v + shift);
+      return {
+        family: "empirical",
+        cdf: (k) => shifted.filter((v) => v <= k + 0.5).length / shifted.length,
+      };
+    }
+    family = "normal";
+  }
+
+  if (family === "negbin") {
+    const fit = fitNegBinomial(mu, sigma * sigma);
+    if (fit) {
+      return {
+        family: "negbin",
+        r: fit.r,
+        p: fit.p,
+        cdf: (k) => negBinomialCdf(k, fit.r, fit.p),
+      };
+    }
+    // under-dispersed: fall back to Poisson
+    family = "poisson";
+  }
+
+  if (family === "poisson") {
+    const lambda = Math.max(mu, 0);
+    return {
+      family: "poisson",
+      lambda,
+      cdf: (k) => poissonCdf(k, lambda),
+    };
+  }
+
+  return {
+    family: "normal",
+    cdf: (k) => normalCdf((k + 0.5 - mu) / sigma),
+  };
+}
+
+/**
+ * Over/under/push probabilities for a line.
+ * Integer lines can push; half lines cannot.
+ */
+function lineProbabilities(dist, line) {
+  const over = 1 - dist.cdf(Math.floor(line));
+  const under = dist.cdf(Math.ceil(line) - 1);
+  const push = Math.max(0, 1 - over - under);
+  return { over, under, push };
+}
+
+module.exports = {
+  FAMILIES,
+  logGamma,
+  normalCdf,
+  poissonPmf,
+  poissonCdf,
+  negBinomialPmf,
+  negBinomialCdf,
+  fitNegBinomial,
+  createDistribution,
+  lineProbabilities,
+};
@@ -0,0 +1,286 @@
+// dixonColes.js - Dixon-Coles scoreline model (attack/defence + home advantage)
+//
+// Goals are Poisson with
+//   home ~ exp(attack[home] + defence[away] + homeAdv)
+//   away ~ exp(attack[away] + defence[home])
+// plus the Dixon-Coles correction for 0-0, 1-0, 0-1 and 1-1, and
+// exponential time decay on older matches.
+
+const { poissonPmf } = require("./distributions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dixon & Coles' decay (0.0065 per half-week) expressed per day
+const DEFAULT_XI = 0.0019;
+const FIT_ITERATIONS = 100;
+// Pseudo-matches at league-average strength, so a team with a handful
+// of results doesn't get an extreme rating
+const PRIOR_MATCHES = 2;
+const RHO_BOUNDS = [-0.25, 0.25];
+const MAX_GOALS = 10;
+
+// Dixon-Coles low-score dependence factor
+function tau(x, y, lambda, mu, rho) {
+  if (x === 0 && y === 0) return 1 - lambda * mu * rho;
+  if (x === 0 && y === 1) return 1 + lambda * rho;
+  if (x === 1 && y === 0) return 1 + mu * rho;
+  if (x === 1 && y === 1) return 1 - rho;
+  return 1;
+}
+
+/**
+ * Fit the model to finished matches.
+ *
+ * Attack, defence and home advantage are fitted by weighted Poisson maximum
+ * likelihood (cyclic exact updates); rho is then fitted on the low-score
+ * correction alone, which is the usual two-step approximation.
+ *
+ * @param {Array<{homeId, awayId, homeGoals: number, awayGoals: number, date}>} matches
+ * @param {Object} [opts]
+ * @param {number} [opts.xi] - decay per day (0 = no decay)
+ * @param {number} [opts.now] - reference timestamp for the decay
+ * @returns {Object|null} model, or null without enough matches
+ */
+function fitDixonColes(matches, { xi = DEFAULT_XI, now = Date.now() } = {}) {
+  const games = matches
+    .filter((m) => Number.isFinite(m.homeGoals) && Number.isFinite(m.awayGoals))
+    .map((m) => ({
+      ...m,
+      w: Math.exp(-xi * Math.max(0, (now - new Date(m.date).getTime()) / DAY_MS)),
+    }));
+  if (games.length < 10) return null;
+
+  const teams = new Set();
+  games.forEach((g) => {
+    teams.add(g.homeId);
+    teams.add(g.awayId);
+  });
+
+  const attack = {};
+  const defence = {};
+  teams.forEach((t) => {
+    attack[t] = 0;
+    defence[t] = 0;
+  });
+  let homeAdv = 0;
+
+  const totalW = games.reduce((s, g) => s + g.w, 0);
+  const avgGoals =
+    games.reduce((s, g) => s + g.w * (g.homeGoals + g.awayGoals), 0) / (2 * totalW);
+
+  for (let iter = 0; iter < FIT_ITERATIONS; iter++) {
+    // attack: goals scored / expected goals given opponents
+    for (const t of teams) {
+      let scored = PRIOR_MATCHES * avgGoals;
+      let expected = PRIOR_MATCHES * avgGoals;
+      for (const g of games) {
+        if (g.homeId === t) {
+          scored += g.w * g.homeGoals;
+          expected += g.w * Math.exp(defence[g.awayId] + homeAdv);
+        } else if (g.awayId === t) {
+          scored += g.w * g.awayGoals;
+          expected += g.w * Math.exp(defence[g.homeId]);
+        }
+      }
+      attack[t] = Math.log(scored / expected);
+    }
+
+    for (const t of teams) {
+      let conceded = PRIOR_MATCHES * avgGoals;
+      let expected = PRIOR_MATCHES * avgGoals;
+      for (const g of games) {
+        if (g.homeId === t) {
+          conceded += g.w * g.awayGoals;
+          expected += g.w * Math.exp(attack[g.awayId]);
+        } else if (g.awayId === t) {
+          conceded += g.w * g.homeGoals;
+          expected += g.w * Math.exp(attack[g.homeId] + homeAdv);
+        }
+      }
+      defence[t] = Math.log(conceded / expected);
+    }
+
+    let homeGoals = 0;
+    let homeExpected = 0;
+    for (const g of games) {
+      homeGoals += g.w * g.homeGoals;
+      homeExpected += g.w * Math.exp(attack[g.homeId] + defence[g.awayId]);
+    }
+    homeAdv = Math.log(homeGoals / homeExpected);
+
+    // identifiability: mean attack = 0, absorbed by defence
+    const meanAttack = [...teams].reduce((s, t) => s + attack[t], 0) / teams.size;
+    teams.forEach((t) => {
+      attack[t] -= meanAttack;
+      defence[t] += meanAttack;
+    });
+  }
+
+  const rates = (g) => ({
+    lambda: Math.exp(attack[g.homeId] + defence[g.awayId] + homeAdv),
+    mu: Math.exp(attack[g.awayId] + defence[g.homeId]),
+  });
+  const rhoLogLik = (rho) =>
+    games.reduce((s, g) => {
+      const { lambda, mu } = rates(g);
+      const t = tau(g.homeGoals, g.awayGoals, lambda, mu, rho);
+      return s + (t > 0 ? g.w * Math.log(t) : -Infinity);
+    }, 0);
+
+  // golden-section search for rho
+  let [lo, hi] = RHO_BOUNDS;
+  const phi = (Math.sqrt(5) - 1) / 2;
+  for (let i = 0; i < 60; i++) {
+    const a = hi - phi * (hi - lo);
+    const b = lo + phi * (hi - lo);
+    if (rhoLogLik(a) < rhoLogLik(b)) lo = a;
+    else hi = b;
+  }
+  const rho = (lo + hi) / 2;
+
+  return {
+    attack,
+    defence,
+    homeAdv,
+    rho,
+    xi,
+    matches: games.length,
+    avgGoals,
+    // decay-weighted matches per team, for the uncertainty of its ratings
+    teamWeights: Object.fromEntries(
+      [...teams].map((t) => [
+        t,
+        games.reduce((s, g) => s + (g.homeId === t || g.awayId === t ? g.w : 0), 0),
+      ])
+    ),
+    fittedAt: new Date(now).toISOString(),
+  };
+}
+
+/**
+ * Expected goals for a fixture, or null if either team is unknown to the model.
+ * logSd is the approximate sd of log(expected goals): each rating is worth
+ * about as many goals as its team's weighted matches (plus the prior) produced.
+ */
+function expectedGoals(model, homeId, awayId) {
+  if (!model || model.attack[homeId] === undefined || model.attack[awayId] === undefined) {
+    return null;
+  }
+  const ratingVar = (t) => 1 / (model.avgGoals * ((model.teamWeights?.[t] || 0) + PRIOR_MATCHES));
+  const logSd = Math.sqrt(ratingVar(homeId) + ratingVar(awayId));
+  return {
+    home: Math.exp(model.attack[homeId] + model.defence[awayId] + model.homeAdv),
+    away: Math.exp(model.attack[awayId] + model.defence[homeId]),
+    logSd: { home: logSd, away: logSd },
+  };
+}
+
+/**
+ * Full home x away score matrix, matrix[h][a] = P(home h, away a),
+ * renormalised after truncation at maxGoals.
+ */
+function scoreMatrix(lambda, mu, rho = 0, maxGoals = MAX_GOALS) {
+  const matrix = [];
+  let total = 0;
+  for (let h = 0; h <= maxGoals; h++) {
+    matrix.push([]);
+    for (let a = 0; a <= maxGoals; a++) {
+      const p = Math.max(0, tau(h, a, lambda, mu, rho) * poissonPmf(h, lambda) * poissonPmf(a, mu));
+      matrix[h].push(p);
+      total += p;
+    }
+  }
+  return matrix.map((row) => row.map((p) => p / total));
+}
+
+/**
+ * Sum of matrix cells where predicate(home, away) holds.
+ */
+function matrixProbability(matrix, predicate) {
+  let p = 0;
+  for (let h = 0; h < matrix.length; h++) {
+    for (let a = 0; a < matrix[h].length; a++) {
+      if (predicate(h, a)) p += matrix[h][a];
+    }
+  }
+  return p;
+}
+
+/**
+ * Split of a total goal expectation between the two sides such that the home
+ * side's expected score (win = 1, draw = 0.5, independent Poisson goals)
+ * equals a rating-implied one.
+ *
+ * @param {number} totalGoals - expected goals of both sides together
+ * @param {number} expectedScore - home expected score (0-1)
+ * @returns {{ home: number, away: number }}
+ */
+function goalsForExpectedScore(totalGoals, expectedScore) {
+  const scoreOf = (share) => {
+    const matrix = scoreMatrix(totalGoals * share, totalGoals * (1 - share));
+    return matrixProbability(matrix, (h, a) => h > a) + matrixProbability(matrix, (h, a) => h === a) / 2;
+  };
+
+  // The expected score rises with the home share of the goals
+  let lo = 0.02;
+  let hi = 0.98;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (scoreOf(mid) < expectedScore) lo = mid;
+    else hi = mid;
+  }
+  const share = (lo + hi) / 2;
+  return { home: totalGoals * share, away: totalGoals * (1 - share) };
+}
+
+// Settle one bet of a handicap `line` (home perspective, a whole or half
+// number) for a goal margin: 1 win, 0 push, -1 loss
+function settleHalf(margin, line, side) {
+  const r = side === "home" ? margin + line : -(margin + line);
+  return r > 0 ? 1 : r < 0 ? -1 : 0;
+}
+
+/**
+ * Settlement distribution of an Asian handicap bet.
+ * Quarter lines (e.g. -0.75) split the stake over the two neighbouring
+ * lines, which gives half-win and half-loss outcomes.
+ *
+ * @param {number[][]} matrix - score matrix
+ * @param {number} line - handicap applied to the home team (e.g. -0.75)
+ * @param {"home"|"away"} side
+ * @returns {{ win, halfWin, push, halfLoss, loss }}
+ */
+function asianHandicapSettlement(matrix, line, side) {
+  const quarter = Math.abs((line * 4) % 2) === 1;
+  const lines = quarter ? [line - 0.25, line + 0.25] : [line, line];
+  const result = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+
+  for (let h = 0; h < matrix.length; h++) {
+    for (let a = 0; a < matrix[h].length; a++) {
+      const score = settleHalf(h - a, lines[0], side) + settleHalf(h - a, lines[1], side);
+      const key = { 2: "win", 1: "halfWin", 0: "push", "-1": "halfLoss", "-2": "loss" }[score];
+      result[key] += matrix[h][a];
+    }
+  }
+  return result;
+}
+
+/**
+ * Decimal odds at which a bet with this settlement distribution has zero EV.
+ */
+function settlementFairOdds({ win, halfWin, push, halfLoss, loss }) {
+  const won = win + halfWin / 2;
+  const lost = loss + halfLoss / 2;
+  return won > 0 ? 1 + lost / won : Infinity;
+}
+
+module.exports = {
+  DEFAULT_XI,
+  asianHandicapSettlement,
+  settlementFairOdds,
+  fitDixonColes,
+  expectedGoals,
+  scoreMatrix,
+  matrixProbability,
+  goalsForExpectedScore,
+};
@@ -2,6 +2,73 @@
 // Fetches real bookmaker odds for EPL matches
 
 const fetch = require('node-fetch');
+const { devig, consensus, CONSENSUS_METHOD } = require('./devig');
+const oddsHistoryService = require('./oddsHistoryService');
+const { findArbitrages, findMiddles } = require('./arbitrage');
+const teamService = require('./teamService');
+const { normaliseName } = require('./teamNames');
+
+// Our match stat keys => odds bucket from getAllMatchOdds. Player props
+// (predictions with a playerName) are matched in player_props by player and
+// stat key instead; unmodelled markets ('other') are never matched.
+const STAT_BUCKETS = {
+  // Over/under markets
+  goals: 'goals',
+  home_team_goals: 'team_total_home',
+  away_team_goals: 'team_total_away',
+  first_half_goals: 'first_half_goals',
+  second_half_goals: 'second_half_goals',
+  corners: 'corners',
+  corner_taken: 'corners',
+  home_corners: 'team_corners_home',
+  away_corners: 'team_corners_away',
+  yellow_cards: 'cards',
+  red_cards: 'cards',
+  total_yel_card: 'cards',
+  booking_points: 'booking_points',
+  shots_on_target: 'shots',
+  ontarget_scoring_att: 'shots',
+  // Selection markets
+  match_result: 'result',
+  double_chance: 'double_chance',
+  draw_no_bet: 'draw_no_bet',
+  asian_handicap: 'handicap',
+  winning_margin: 'winning_margin',
+  correct_score: 'exact',
+  corner_handicap: 'corner_handicap',
+  race_to_corners: 'corner_race'
+};
+
+// Stat keys that price a variant of their bucket rather than the bucket's own
+// market (marketIdentity): total red cards aren't the match cards line, and
+// shots on target aren't total shots
+const STAT_MARKETS = {
+  red_cards: 'cards:red',
+  shots_on_target: 'shots:on_target',
+  ontarget_scoring_att: 'shots:on_target'
+};
+
+// Period words in bookmaker market names
+const FIRST_HALF = /(1st|first) half|\b1h\b|half[- ]?time/;
+const SECOND_HALF = /(2nd|second) half|\b2h\b/;
+
+// Two-way buckets => their two price fields (side => field)
+const TWO_WAY_BUCKETS = {
+  goals: { over: 'overOdds', under: 'underOdds' },
+  team_total_home: { over: 'overOdds', under: 'underOdds' },
+  team_total_away: { over: 'overOdds', under: 'underOdds' },
+  first_half_goals: { over: 'overOdds', under: 'underOdds' },
+  second_half_goals: { over: 'overOdds', under: 'underOdds' },
+  corners: { over: 'overOdds', under: 'underOdds' },
+  team_corners_home: { over: 'overOdds', under: 'underOdds' },
+  team_corners_away: { over: 'overOdds', under: 'underOdds' },
+  cards: { over: 'overOdds', under: 'underOdds' },
+  booking_points: { over: 'overOdds', under: 'underOdds' },
+  shots: { over: 'overOdds', under: 'underOdds' },
+  handicap: { home: 'homeOdds', away: 'awayOdds' },
+  corner_handicap: { home: 'homeOdds', away: 'awayOdds' },
+  draw_no_bet: { home: 'homeOdds', away: 'awayOdds' }
+};
 
 class EPLOddsService {
   constructor() {
@@ -119,12 +186,13 @@ class EPLOddsService {
 
   /**
    * Get odds for a specific event from multiple bookmakers
+   * @param {Object} [options] - { fresh: skip the 5 minute cache (closing lines) }
    */
-  async getEventOdds(eventId) {
+  async getEventOdds(eventId, { fresh = false } = {}) {
     // Check cache first
     const cacheKey = `odds_${eventId}`;
     const cached = this.oddsCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+    if (!fresh && cached && Date.now() - cached.timestamp < this.cacheTTL) {
       console.log(`[EPL Odds] Using cached odds for event ${eventId}`);
       return cached.data;
     }
@@ -145,6 +213,8 @@ class EPLOddsService {
 
       // Cache the result
       this.oddsCache.set(cacheKey, { data: oddsData, timestamp: Date.now() });
+      // ...and keep every price for line-movement history
+      oddsHistoryService.recordSnapshot(eventId, oddsData, (name) => this.marketBucket(name, oddsData.home, oddsData.away));
 
       console.log(`[EPL Odds] Received odds from bookmakers:`, Object.keys(oddsData.bookmakers || {}));
       return oddsData;
@@ -160,43 +230,71 @@ class EPLOddsService {
    * @param {string} awayTeam - Away team name
    * @param {string} leagueSlug - League slug for filtering (e.g., 'england-premier-league')
    * @param {string} kickoffDate - Expected kickoff date/time for validation
+   * @param {Object} [teams] - { source ('balldontlie' | 'football-data'), homeId, awayId }: the source's own team IDs
    */
-  async findMatch(homeTeam, awayTeam, leagueSlug = null, kickoffDate = null) {
-    // Try searching for home team first, with league filter
-    const matches = await this.searchEPLMatches(homeTeam, leagueSlug);
-
-    // Find match with matching away team (exclude SRL/simulated teams)
-    const match = matches.find(m => {
-      const home = m.home?.toLowerCase() || '';
-      const away = m.away?.toLowerCase() || '';
-      const homeSearch = homeTeam.toLowerCase();
-      const awaySearch = awayTeam.toLowerCase();
-
-      // Skip simulated reality league teams
-      if (home.includes(' srl') || away.includes(' srl')) {
-        return false;
-      }
-
-      // If kickoff date provided, validate it's the same day (within 24 hours)
-      if (kickoffDate) {
-        const matchDate = new Date(m.date);
-        const expectedDate = new Date(kickoffDate);
-        const hoursDiff = Math.abs(matchDate - expectedDate) / (1000 * 60 * 60);
-        if (hoursDiff > 24) {
-          console.log(`[EPL Odds] Skipping ${m.home} vs ${m.away} - wrong date (${m.date} vs ${kickoffDate})`);
+  async findMatch(homeTeam, awayTeam, leagueSlug = null, kickoffDate = null, teams = null) {
+    // Same-day fixtures of a search, excluding SRL/simulated teams
+    const candidatesFor = async (teamName) => {
+      const matches = await this.searchEPLMatches(teamName, leagueSlug);
+      return matches.filter(m => {
+        const home = m.home?.toLowerCase() || '';
+        const away = m.away?.toLowerCase() || '';
+
+        // Skip simulated reality league teams
+        if (home.includes(' srl') || away.includes(' srl')) {
           return false;
         }
-      }
 
-      // Check if teams match (partial matching for flexibility)
-      return (home.includes(homeSearch) || homeSearch.includes(home.split(' ')[0])) &&
-             (away.includes(awaySearch) || awaySearch.includes(away.split(' ')[0]));
-    });
+        // If kickoff date provided, validate it's the same day (within 24 hours)
+        if (kickoffDate) {
+          const matchDate = new Date(m.date);
+          const expectedDate = new Date(kickoffDate);
+          const hoursDiff = Math.abs(matchDate - expectedDate) / (1000 * 60 * 60);
+          if (hoursDiff > 24) {
+            console.log(`[EPL Odds] Skipping ${m.home} vs ${m.away} - wrong date (${m.date} vs ${kickoffDate})`);
+            return false;
+          }
+        }
+        return true;
+      });
+    };
+
+    const source = teams?.source || null;
+    const home = { name: homeTeam, source, id: teams?.homeId ?? null };
+    const away = { name: awayTeam, source, id: teams?.awayId ?? null };
+
+    // Search for the home team first, then under its canonical name if that's spelled differently
+    let candidates = await candidatesFor(homeTeam);
+    let best = teamService.bestFixture(home, away, candidates, { candidateSource: 'odds-api' });
+    const canonical = teamService.resolve(homeTeam, { source, sourceId: home.id }).name;
+    if (!best.fixture && canonical && canonical.toLowerCase() !== homeTeam.toLowerCase()) {
+      candidates = await candidatesFor(canonical);
+      best = teamService.bestFixture(home, away, candidates, { candidateSource: 'odds-api' });
+    }
 
+    const match = best.fixture;
     if (match) {
-      console.log(`[EPL Odds] Found match: ${match.home} vs ${match.away} (ID: ${match.id}, League: ${match.league?.name || 'unknown'})`);
+      console.log(`[EPL Odds] Found match: ${match.home} vs ${match.away} (ID: ${match.id}, League: ${match.league?.name || 'unknown'}, confidence ${best.score.toFixed(2)})`);
     } else {
       console.log(`[EPL Odds] No match found for ${homeTeam} vs ${awayTeam} (league: ${leagueSlug || 'any'})`);
+      teamService.recordUnmatchedFixture({
+        source,
+        target: 'odds-api',
+        homeTeam,
+        awayTeam,
+        homeId: home.id,
+        awayId: away.id,
+        league: leagueSlug,
+        kickoff: kickoffDate,
+        candidates: best.ranked.slice(0, 5).map(({ fixture, score }) => ({
+          eventId: fixture.id,
+          home: fixture.home,
+          away: fixture.away,
+          date: fixture.date,
+          league: fixture.league?.name || null,
+          score: Number(score.toFixed(3))
+        }))
+      });
     }
 
     return match;
@@ -386,136 +484,800 @@ class EPLOddsService {
    * @param {string} awayTeam - Away team name
    * @param {string} leagueSlug - League slug for filtering (e.g., 'england-premier-league')
    * @param {string} kickoffDate - Expected kickoff date/time for validation
+   * @param {Object} [teams] - { source, homeId, awayId } (see findMatch)
    */
-  async getAllMatchOdds(homeTeam, awayTeam, leagueSlug = null, kickoffDate = null) {
+  async getAllMatchOdds(homeTeam, awayTeam, leagueSlug = null, kickoffDate = null, teams = null) {
     try {
-      const match = await this.findMatch(homeTeam, awayTeam, leagueSlug, kickoffDate);
+      const match = await this.findMatch(homeTeam, awayTeam, leagueSlug, kickoffDate, teams);
       if (!match) {
         console.log(`[EPL Odds] Match not found for ${homeTeam} vs ${awayTeam} (league: ${leagueSlug || 'any'})`);
         return null;
       }
 
-      const oddsData = await this.getEventOdds(match.id);
+      return await this.getEventMatchOdds(match);
+    } catch (error) {
+      console.error('[EPL Odds] Error getting all match odds:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * All odds of a known odds-api event, in the getAllMatchOdds format
+   * @param {Object} match - { id, home, away, date }
+   * @param {Object} [options] - { fresh: skip the odds cache }
+   */
+  async getEventMatchOdds(match, { fresh = false } = {}) {
+    try {
+      const oddsData = await this.getEventOdds(match.id, { fresh });
       if (!oddsData || !oddsData.bookmakers) {
-        console.log(`[EPL Odds] No odds data for ${homeTeam} vs ${awayTeam}`);
+        console.log(`[EPL Odds] No odds data for ${match.home} vs ${match.away}`);
         return null;
       }
 
-      const result = {
-        matchId: match.id,
-        homeTeam: match.home,
-        awayTeam: match.away,
-        kickoff: match.date,
-        odds: {
-          goals: [],
-          corners: [],
-          cards: [],
-          shots: [],
-          other: []
-        }
-      };
+      const result = this.collectMatchOdds(match, oddsData);
+      result.consensus = this.attachFairPrices(result.odds);
 
-      // Map stat keys to market types
-      const marketTypeMap = {
-        'total': 'goals',
-        'goal': 'goals',
-        'corner': 'corners',
-        'card': 'cards',
-        'booking': 'cards',
-        'shot': 'shots'
-      };
+      console.log(`[EPL Odds] Collected odds - Goals: ${result.odds.goals.length}, Corners: ${result.odds.corners.length}, Cards: ${result.odds.cards.length}, Result: ${result.odds.result.length}, Handicap: ${result.odds.handicap.length}, Players: ${result.odds.player_props.length}`);
+      return result;
 
-      for (const [bookmakerName, bookmakerOdds] of Object.entries(oddsData.bookmakers)) {
-        if (!Array.isArray(bookmakerOdds)) continue;
-
-        for (const market of bookmakerOdds) {
-          if (!market.odds || !market.name) continue;
-
-          // Determine market type
-          const marketNameLower = market.name.toLowerCase();
-          let marketType = 'other';
-          for (const [keyword, type] of Object.entries(marketTypeMap)) {
-            if (marketNameLower.includes(keyword)) {
-              marketType = type;
-              break;
-            }
+    } catch (error) {
+      console.error('[EPL Odds] Error getting event odds:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Odds of an odds-api event response sorted into our buckets (the odds
+   * of getAllMatchOdds, before fair prices)
+   * @param {Object} match - { id, home, away, date }
+   * @param {Object} oddsData - getEventOdds response
+   */
+  collectMatchOdds(match, oddsData) {
+    const result = {
+      matchId: match.id,
+      homeTeam: match.home,
+      awayTeam: match.away,
+      kickoff: match.date,
+      odds: {
+        goals: [],
+        corners: [],
+        cards: [],
+        shots: [],
+        other: [],
+        team_corners_home: [],
+        team_corners_away: [],
+        corner_handicap: [],
+        corner_race: [],
+        booking_points: [],
+        team_total_home: [],
+        team_total_away: [],
+        first_half_goals: [],
+        second_half_goals: [],
+        result: [],
+        double_chance: [],
+        draw_no_bet: [],
+        handicap: [],
+        exact: [],
+        winning_margin: [],
+        player_props: []
+      }
+    };
+
+    for (const [bookmakerName, bookmakerOdds] of Object.entries(oddsData.bookmakers)) {
+      if (!Array.isArray(bookmakerOdds)) continue;
+
+      for (const market of bookmakerOdds) {
+        if (!market.odds || !market.name) continue;
+
+        // Match result / handicap markets have no over/under prices
+        const selectionType = this.classifySelectionMarket(market.name);
+        if (selectionType) {
+          const marketId = this.marketIdentity(selectionType, market.name, match.home, match.away);
+          for (const odd of market.odds) {
+            const entry = this.parseSelectionOdd(selectionType, odd, { home: match.home, away: match.away });
+            if (!entry) continue;
+            result.odds[selectionType].push({
+              marketName: market.name,
+              market: marketId,
+              bookmaker: bookmakerName,
+              updatedAt: market.updatedAt,
+              ...entry
+            });
           }
+          continue;
+        }
 
+        const marketType = this.marketBucket(market.name, match.home, match.away);
+
+        // Player props: one line per player, under our player stat keys
+        if (marketType === 'player_props') {
+          const statKey = this.classifyPlayerMarket(market.name);
+          if (!statKey) continue;
           for (const odd of market.odds) {
-            const line = odd.hdp || odd.handicap || odd.line;
-            if (line === undefined) continue;
+            const entry = this.parsePlayerOdd(statKey, odd);
+            if (!entry) continue;
+            result.odds.player_props.push({
+              marketName: market.name,
+              market: `player_props:${entry.statKey}`,
+              bookmaker: bookmakerName,
+              updatedAt: market.updatedAt,
+              ...entry
+            });
+          }
+          continue;
+        }
 
-            const oddEntry = {
+        const marketId = this.marketIdentity(marketType, market.name, match.home, match.away);
+
+        // Races to N corners are priced home/away/neither; N is in the market name
+        if (marketType === 'corner_race') {
+          const target = parseInt((market.name.match(/\d+/) || [])[0], 10);
+          for (const odd of market.odds) {
+            const entry = this.parseSelectionOdd('race', { target, ...odd });
+            if (!entry) continue;
+            result.odds.corner_race.push({
               marketName: market.name,
-              line: parseFloat(line),
+              market: marketId,
               bookmaker: bookmakerName,
-              overOdds: parseFloat(odd.over) || null,
-              underOdds: parseFloat(odd.under) || null,
-              updatedAt: market.updatedAt
-            };
+              updatedAt: market.updatedAt,
+              ...entry
+            });
+          }
+          continue;
+        }
 
-            result.odds[marketType].push(oddEntry);
+        // Corner handicaps are priced home/away, not over/under
+        if (marketType === 'corner_handicap') {
+          for (const odd of market.odds) {
+            const entry = this.parseSelectionOdd('handicap', odd);
+            if (!entry) continue;
+            result.odds.corner_handicap.push({
+              marketName: market.name,
+              market: marketId,
+              bookmaker: bookmakerName,
+              updatedAt: market.updatedAt,
+              ...entry
+            });
           }
+          continue;
+        }
+
+        for (const odd of market.odds) {
+          const line = odd.hdp || odd.handicap || odd.line;
+          if (line === undefined) continue;
+
+          const oddEntry = {
+            marketName: market.name,
+            market: marketId,
+            line: parseFloat(line),
+            bookmaker: bookmakerName,
+            overOdds: parseFloat(odd.over) || null,
+            underOdds: parseFloat(odd.under) || null,
+            updatedAt: market.updatedAt
+          };
+
+          result.odds[marketType].push(oddEntry);
         }
       }
+    }
 
-      console.log(`[EPL Odds] Collected odds - Goals: ${result.odds.goals.length}, Corners: ${result.odds.corners.length}, Cards: ${result.odds.cards.length}`);
-      return result;
+    return result;
+  }
 
-    } catch (error) {
-      console.error('[EPL Odds] Error getting all match odds:', error.message);
-      return null;
+  /**
+   * De-vig every two-way price (each entry gets `fair`: probabilities by
+   * method, keyed by side) and build the consensus of each market
+   * (marketIdentity) and line, so e.g. 1st-half or red-card prices never
+   * vote on the match-cards line of the same bucket
+   * @param {Object} odds - result.odds of getAllMatchOdds (entries are updated)
+   * @returns {Object} bucket => [{ market, line, bookmakers, overround, probability, methods }]
+   */
+  attachFairPrices(odds) {
+    const bySide = (sides, values) => Object.fromEntries(sides.map((side, i) => [side, values[i]]));
+    const addVote = (groups, market, line, vote) => {
+      const key = `${market}|${line}`;
+      if (!groups.has(key)) groups.set(key, { market, line, books: [] });
+      groups.get(key).books.push(vote);
+    };
+    const result = {};
+
+    for (const [bucket, fields] of Object.entries(TWO_WAY_BUCKETS)) {
+      const sides = Object.keys(fields);
+      const groups = new Map();
+
+      for (const entry of odds[bucket] || []) {
+        const fair = devig(sides.map(side => entry[fields[side]]));
+        if (!fair) continue;
+        entry.fair = { overround: fair.overround };
+        for (const [method, values] of Object.entries(fair)) {
+          if (method !== 'overround') entry.fair[method] = bySide(sides, values);
+        }
+
+        addVote(groups, entry.market || bucket, entry.line, { bookmaker: entry.bookmaker, fair });
+      }
+
+      // Draw no bet is the same bet as full-match Asian handicap 0
+      if (bucket === 'draw_no_bet') {
+        const level = (odds.handicap || []).filter(o => (o.market || 'handicap') === 'handicap' && o.line === 0 && o.fair);
+        for (const o of level) {
+          addVote(groups, 'draw_no_bet', null, {
+            bookmaker: o.bookmaker,
+            fair: devig(sides.map(side => o[fields[side]]))
+          });
+        }
+      }
+
+      result[bucket] = [...groups.values()].map(({ market, line, books }) => {
+        const c = consensus(books);
+        return {
+          market,
+          line,
+          bookmakers: c.bookmakers,
+          overround: c.overround,
+          probability: bySide(sides, c.probability),
+          methods: Object.fromEntries(Object.entries(c.methods).map(([m, v]) => [m, bySide(sides, v)]))
+        };
+      });
     }
+
+    return result;
   }
 
   /**
-   * Find best odds for a specific stat prediction
-   * @param {Object} prediction - Our prediction with statKey, line, side
+   * Consensus fair probability of a prediction's exact line and side, from
+   * the market our stat models (none for player props)
+   * @param {Object} prediction - { statKey, line, side }
    * @param {Object} matchOdds - Match odds from getAllMatchOdds
-   * @returns {Object} Best bookmaker odds
+   * @returns {Object|null} { probability, methods, bookmakers, overround, method }
    */
-  findBestOddsForPrediction(prediction, matchOdds) {
-    if (!matchOdds || !matchOdds.odds) return null;
+  getMarketConsensus(prediction, matchOdds) {
+    if (prediction.playerName) return null;
+    const bucket = STAT_BUCKETS[prediction.statKey];
+    const lines = matchOdds?.consensus?.[bucket];
+    if (!lines) return null;
+
+    const line = bucket === 'draw_no_bet' ? null : prediction.line;
+    const market = this.statMarket(prediction.statKey);
+    const entry = lines.find(l => l.market === market && l.line === line);
+    if (!entry || entry.probability[prediction.side] === undefined) return null;
 
-    // Map our stat keys to odds API market types
-    const statToMarketMap = {
-      'goals': 'goals',
-      'corners': 'corners',
-      'corner_taken': 'corners',
-      'yellow_cards': 'cards',
-      'red_cards': 'cards',
-      'total_yel_card': 'cards',
-      'shots_on_target': 'shots',
-      'ontarget_scoring_att': 'shots',
-      'offsides': 'other',
-      'fouls': 'other'
+    return {
+      probability: entry.probability[prediction.side],
+      methods: Object.fromEntries(Object.entries(entry.methods).map(([m, v]) => [m, v[prediction.side]])),
+      bookmakers: entry.bookmakers,
+      overround: entry.overround,
+      method: CONSENSUS_METHOD
     };
+  }
 
-    const marketType = statToMarketMap[prediction.statKey] || 'other';
-    const marketOdds = matchOdds.odds[marketType] || [];
+  /**
+   * Model edge vs market edge of a bet
+   * - modelEdge: our probability minus the market's fair probability (percentage points)
+   * - marketEdge: EV (%) of the price at the market's own fair probability,
+   *   i.e. what the price is worth if the market is right
+   * @param {Object} prediction - { statKey, line, side, probability (0-1) }
+   * @param {Object} matchOdds - Match odds from getAllMatchOdds
+   * @param {number} decimalOdds - Price being taken
+   * @returns {Object|null} { fairPrice, modelEdge, marketEdge } with probabilities in %
+   */
+  compareWithMarket(prediction, matchOdds, decimalOdds) {
+    const market = this.getMarketConsensus(prediction, matchOdds);
+    if (!market) return null;
 
-    if (marketOdds.length === 0) {
-      return null;
+    const pct = (p) => Number((p * 100).toFixed(1));
+    return {
+      fairPrice: {
+        probability: pct(market.probability),
+        fairOdds: Number((1 / market.probability).toFixed(3)),
+        method: market.method,
+        methods: Object.fromEntries(Object.entries(market.methods).map(([m, p]) => [m, pct(p)])),
+        bookmakers: market.bookmakers,
+        overround: pct(market.overround)
+      },
+      modelEdge: Number(((prediction.probability - market.probability) * 100).toFixed(1)),
+      marketEdge: Number(this.calculateEV(market.probability, decimalOdds).toFixed(1))
+    };
+  }
+
+  /**
+   * Every priced line of a match with each side's quotes across bookmakers:
+   * the two-way buckets plus the 1X2. Quotes are only pooled within one
+   * market (marketIdentity), so a 1st-half line is never paired with a
+   * full-match one that happens to share its bucket.
+   * @param {Object} matchOdds - Match odds from getAllMatchOdds
+   * @returns {Array} { bucket, market, line, sides: { side: [{ bookmaker, odds, marketName }] } }
+   */
+  marketQuotes(matchOdds) {
+    const buckets = { ...TWO_WAY_BUCKETS, result: { home: 'homeOdds', draw: 'drawOdds', away: 'awayOdds' } };
+    const markets = new Map();
+
+    for (const [bucket, fields] of Object.entries(buckets)) {
+      for (const odd of matchOdds?.odds?.[bucket] || []) {
+        const market = odd.market || bucket;
+        const key = `${market}|${odd.line}`;
+        if (!markets.has(key)) {
+          const sides = Object.fromEntries(Object.keys(fields).map(side => [side, []]));
+          markets.set(key, { bucket, market, line: odd.line ?? null, sides });
+        }
+        const quotes = markets.get(key);
+        for (const [side, field] of Object.entries(fields)) {
+          if (odd[field]) quotes.sides[side].push({ bookmaker: odd.bookmaker, odds: odd[field], marketName: odd.marketName });
+        }
+      }
     }
+    return [...markets.values()];
+  }
 
-    // Find odds matching our line (within 0.5 tolerance)
-    const lineTolerance = 0.5;
-    const matchingOdds = marketOdds.filter(odd =>
-      Math.abs(odd.line - prediction.line) <= lineTolerance
-    );
+  /**
+   * Sure bets and middles of a match with stakes for a bankroll
+   * @param {Object} matchOdds - Match odds from getAllMatchOdds
+   * @param {number} bankroll - Total stake
+   * @param {number} maxMiddleCost - Largest loss (% of bankroll) of a middle when only one side wins
+   */
+  findArbitrage(matchOdds, bankroll, maxMiddleCost) {
+    const markets = this.marketQuotes(matchOdds);
+    return {
+      arbitrages: findArbitrages(markets, bankroll),
+      middles: findMiddles(markets, bankroll, maxMiddleCost)
+    };
+  }
 
-    if (matchingOdds.length === 0) {
-      // Try to find closest line
-      const closestOdd = marketOdds.reduce((closest, odd) => {
-        const diff = Math.abs(odd.line - prediction.line);
-        const closestDiff = Math.abs(closest.line - prediction.line);
-        return diff < closestDiff ? odd : closest;
-      }, marketOdds[0]);
+  /**
+   * Odds bucket of a bookmaker market (the keys of getAllMatchOdds().odds)
+   * @param {string} marketName - Market name from the odds API
+   * @param {string} homeTeam - Home team name
+   * @param {string} awayTeam - Away team name
+   * @returns {string} Odds bucket ('other' when not modelled)
+   */
+  marketBucket(marketName, homeTeam, awayTeam) {
+    if (this.isPlayerMarket(marketName)) return 'player_props';
+    const selectionType = this.classifySelectionMarket(marketName);
+    if (selectionType) return selectionType;
+
+    // Map stat keys to market types; the stat words come before the generic
+    // "total", or "Total Cards" would be read as a goals total
+    const marketTypeMap = {
+      'corner': 'corners',
+      'card': 'cards',
+      'booking': 'cards',
+      'shot': 'shots',
+      'total': 'goals',
+      'goal': 'goals'
+    };
 
-      if (Math.abs(closestOdd.line - prediction.line) <= 2) {
-        matchingOdds.push(closestOdd);
+    const marketNameLower = (marketName || '').toLowerCase();
+    let marketType = 'other';
+    for (const [keyword, type] of Object.entries(marketTypeMap)) {
+      if (marketNameLower.includes(keyword)) {
+        marketType = type;
+        break;
       }
     }
+    if (marketType === 'goals') {
+      marketType = this.classifyGoalMarket(marketName, homeTeam, awayTeam);
+    }
+    if (marketType === 'corners') {
+      marketType = this.classifyCornerMarket(marketName, homeTeam, awayTeam);
+    }
+    if (marketType === 'cards' && marketNameLower.includes('point')) {
+      marketType = 'booking_points';
+    }
+    return marketType;
+  }
+
+  /**
+   * Which bet a bookmaker market is, beyond its bucket: the bucket itself for
+   * the bucket's own market, with the period, team and variant the name adds
+   * otherwise ("Total Cards" => cards, "1st Half Cards" => cards:1h,
+   * "Arsenal Red Cards" => cards:home:red). Unmodelled markets keep their name.
+   * Only quotes with the same identity are the same bet.
+   * @returns {string}
+   */
+  marketIdentity(bucket, marketName, homeTeam, awayTeam) {
+    const name = (marketName || '').toLowerCase();
+    if (bucket === 'other') return `other:${name.replace(/[^a-z0-9+]+/g, ' ').trim()}`;
+
+    const qualifiers = [];
+    if (!['first_half_goals', 'second_half_goals'].includes(bucket)) {
+      if (FIRST_HALF.test(name)) qualifiers.push('1h');
+      else if (SECOND_HALF.test(name)) qualifiers.push('2h');
+    }
+    if (!/_(home|away)$/.test(bucket)) {
+      const home = name.includes('home') || (homeTeam && name.includes(homeTeam.toLowerCase()));
+      const away = name.includes('away') || (awayTeam && name.includes(awayTeam.toLowerCase()));
+      if (home && !away) qualifiers.push('home');
+      if (away && !home) qualifiers.push('away');
+    }
+    if (name.includes('on target')) qualifiers.push('on_target');
+    if (/\bred\b/.test(name)) qualifiers.push('red');
+    else if (name.includes('yellow')) qualifiers.push('yellow');
+    if (name.includes('european') || /3[- ]?way/.test(name)) qualifiers.push('3way');
+    if (name.includes('player')) qualifiers.push('player');
+
+    return qualifiers.length ? `${bucket}:${qualifiers.join(':')}` : bucket;
+  }
+
+  /**
+   * Market identity (marketIdentity) a stat key is priced against
+   * @param {string} statKey - Our stat key
+   * @returns {string|undefined}
+   */
+  statMarket(statKey) {
+    return STAT_MARKETS[statKey] || STAT_BUCKETS[statKey];
+  }
+
+  /**
+   * Whether a market prices individual players (scorers, player shots, ...)
+   * @param {string} marketName - Market name from the odds API
+   * @returns {boolean}
+   */
+  isPlayerMarket(marketName) {
+    const name = (marketName || '').toLowerCase();
+    return name.includes('player') || name.includes('scorer');
+  }
+
+  /**
+   * Our player stat key of a player market; null when it isn't modelled
+   * (first/last scorer, half-time markets, fouls, ...)
+   * @param {string} marketName - Market name from the odds API
+   * @returns {string|null}
+   */
+  classifyPlayerMarket(marketName) {
+    const name = (marketName || '').toLowerCase();
+    if (FIRST_HALF.test(name) || SECOND_HALF.test(name)) return null;
+
+    // Anytime scorer only: first/last scorer, braces and "score or assist" are other bets
+    if (name.includes('scorer') || name.includes('to score')) {
+      return /first|last|\d\+|or more|twice|hat|assist/.test(name) ? null : 'anytime_scorer';
+    }
+    if (name.includes('on target')) return 'shots_on_target';
+    if (name.includes('shot')) return 'shots';
+    if (name.includes('goal')) return 'goals';
+    if (name.includes('assist')) return 'assists';
+    if (name.includes('tackle')) return 'tackles';
+    if (name.includes('pass')) return 'passes';
+    return null;
+  }
+
+  /**
+   * Normalise one odds row of a player market
+   * Scorer markets are yes-only, at the 0.5 goals line; a player goals 0.5
+   * line is the same bet and is keyed as anytime_scorer too.
+   * @param {string} statKey - From classifyPlayerMarket
+   * @param {Object} odd - Raw odds row
+   * @returns {Object|null} { statKey, player, line, overOdds, underOdds }
+   */
+  parsePlayerOdd(statKey, odd) {
+    const price = (v) => parseFloat(v) || null;
+    const player = odd.label ?? odd.player ?? odd.name;
+    if (!player) return null;
+
+    if (statKey === 'anytime_scorer') {
+      return {
+        statKey,
+        player,
+        line: 0.5,
+        overOdds: price(odd.yes ?? odd.over ?? odd.odds ?? odd.price),
+        underOdds: price(odd.no ?? odd.under)
+      };
+    }
+
+    const line = parseFloat(odd.hdp ?? odd.line);
+    if (isNaN(line)) return null;
+    return {
+      statKey: statKey === 'goals' && line === 0.5 ? 'anytime_scorer' : statKey,
+      player,
+      line,
+      overOdds: price(odd.over),
+      underOdds: price(odd.under)
+    };
+  }
+
+  /**
+   * Split goal totals into full match, team and half totals
+   * @param {string} marketName - Market name from the odds API
+   * @param {string} homeTeam - Home team name
+   * @param {string} awayTeam - Away team name
+   * @returns {string} Odds bucket
+   */
+  classifyGoalMarket(marketName, homeTeam, awayTeam) {
+    const name = (marketName || '').toLowerCase();
+    const firstHalf = FIRST_HALF.test(name);
+    const secondHalf = SECOND_HALF.test(name);
+    const home = name.includes('home') || (homeTeam && name.includes(homeTeam.toLowerCase()));
+    const away = name.includes('away') || (awayTeam && name.includes(awayTeam.toLowerCase()));
+    const teamTotal = name.includes('team') || home || away;
+
+    // Team totals per half aren't modelled
+    if ((firstHalf || secondHalf) && teamTotal) return 'other';
+    if (firstHalf) return 'first_half_goals';
+    if (secondHalf) return 'second_half_goals';
+    if (home && !away) return 'team_total_home';
+    if (away && !home) return 'team_total_away';
+    if (teamTotal) return 'other';
+    return 'goals';
+  }
+
+  /**
+   * Split corner markets into match total, team corners and handicap
+   * @param {string} marketName - Market name from the odds API
+   * @param {string} homeTeam - Home team name
+   * @param {string} awayTeam - Away team name
+   * @returns {string} Odds bucket
+   */
+  classifyCornerMarket(marketName, homeTeam, awayTeam) {
+    const name = (marketName || '').toLowerCase();
+    if (name.includes('handicap') || name.includes('spread')) return 'corner_handicap';
+    // Half-time corners aren't modelled
+    if (/(1st|first|2nd|second) half|\b[12]h\b/.test(name)) return 'other';
+    if (name.includes('race')) return 'corner_race';
+
+    const home = name.includes('home') || (homeTeam && name.includes(homeTeam.toLowerCase()));
+    const away = name.includes('away') || (awayTeam && name.includes(awayTeam.toLowerCase()));
+    if (home && !away) return 'team_corners_home';
+    if (away && !home) return 'team_corners_away';
+    if (name.includes('team')) return 'other';
+    return 'corners';
+  }
+
+  /**
+   * Classify match result / handicap style markets
+   * @param {string} marketName - Market name from the odds API
+   * @returns {string|null} Odds bucket, or null for over/under markets
+   */
+  classifySelectionMarket(marketName) {
+    const name = (marketName || '').toLowerCase().trim();
+
+    // Corner/card handicaps belong to their own stat buckets
+    if (name.includes('corner') || name.includes('card') || name.includes('booking')) return null;
+    // Half-time results, handicaps and scores aren't modelled (the score matrix is full time)
+    if (FIRST_HALF.test(name) || SECOND_HALF.test(name)) return null;
+
+    if (name.includes('double chance')) return 'double_chance';
+    if (name.includes('draw no bet')) return 'draw_no_bet';
+    // European (3-way) handicaps have a draw and settle differently from Asian ones
+    if (name.includes('european') || /3[- ]?way/.test(name)) return null;
+    if (name.includes('handicap') || name === 'spread') return 'handicap';
+    if (name.includes('winning margin')) return 'winning_margin';
+    if (name.includes('correct score')) return 'exact';
+    if (name === 'ml' || name === '1x2' || name === 'moneyline' ||
+        name.includes('match result') || name.includes('full time result') || name.includes('match winner')) {
+      return 'result';
+    }
+    return null;
+  }
+
+  /**
+   * Normalise one odds row of a selection market
+   * @param {string} type - Bucket from classifySelectionMarket, or 'handicap' / 'race' for corners
+   * @param {Object} odd - Raw odds row
+   * @param {Object} [teams] - { home, away } team names, for labels that name a team
+   * @returns {Object|null} Prices keyed by selection
+   */
+  parseSelectionOdd(type, odd, teams = {}) {
+    const price = (v) => parseFloat(v) || null;
+
+    switch (type) {
+      case 'result':
+        return { line: null, homeOdds: price(odd.home), drawOdds: price(odd.draw), awayOdds: price(odd.away) };
+      case 'double_chance':
+        return {
+          line: null,
+          odds1X: price(odd['1X'] ?? odd.homeDraw),
+          odds12: price(odd['12'] ?? odd.homeAway),
+          oddsX2: price(odd['X2'] ?? odd.drawAway)
+        };
+      case 'draw_no_bet':
+        return { line: null, homeOdds: price(odd.home), awayOdds: price(odd.away) };
+      case 'handicap': {
+        const line = odd.hdp ?? odd.handicap ?? odd.line;
+        if (line === undefined || line === null) return null;
+        // A draw price makes it a European handicap, whatever the market is called
+        if (price(odd.draw)) return null;
+        return { line: parseFloat(line), homeOdds: price(odd.home), awayOdds: price(odd.away) };
+      }
+      case 'race': {
+        const target = parseInt(odd.hdp ?? odd.line ?? odd.target, 10);
+        if (!(target > 0)) return null;
+        return {
+          line: target,
+          homeOdds: price(odd.home),
+          awayOdds: price(odd.away),
+          neitherOdds: price(odd.neither ?? odd.none ?? odd.draw)
+        };
+      }
+      case 'exact': {
+        const label = odd.label ?? odd.name ?? odd.score;
+        if (!label) return null;
+        return { line: null, selection: this.normaliseSelection(label), odds: price(odd.odds ?? odd.price) };
+      }
+      case 'winning_margin': {
+        const selection = this.marginSelection(odd.label ?? odd.name, teams.home, teams.away);
+        if (!selection) return null;
+        return { line: null, selection, odds: price(odd.odds ?? odd.price) };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Normalise selection labels ("2:1", "2 - 1", "Home 1") for comparison
+   */
+  normaliseSelection(label) {
+    return String(label).toLowerCase().replace(/\s+/g, '').replace(':', '-');
+  }
+
+  /**
+   * Winning-margin label in our side form: "Home 1", "Arsenal by 2",
+   * "Away 3+", "Chelsea to win by 3 or more", "Draw" => home_1, home_2,
+   * away_3+, away_3+, draw. "Score draw" / "No goal" split the draw and
+   * aren't the same bet, so they (and anything unreadable) give null.
+   */
+  marginSelection(label, homeTeam, awayTeam) {
+    const text = String(label || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (text === 'draw' || text === 'x') return 'draw';
+
+    const prefixes = [
+      ['home', ['home', '1 ', homeTeam?.toLowerCase()]],
+      ['away', ['away', '2 ', awayTeam?.toLowerCase()]]
+    ];
+    for (const [team, names] of prefixes) {
+      const name = names.find(n => n && text.startsWith(n));
+      if (!name) continue;
+
+      const margin = text.slice(name.length).match(/(\d+)\s*(\+|or more|and over|or over)?/);
+      if (!margin) return null;
+      return `${team}_${margin[1]}${margin[2] ? '+' : ''}`;
+    }
+    return null;
+  }
+
+  /**
+   * Find best odds for a match result / handicap prediction
+   * Lines must match exactly - a different handicap is a different bet
+   */
+  findBestSelectionOdds(prediction, matchOdds) {
+    const bucket = STAT_BUCKETS[prediction.statKey];
+    const ownMarket = (bucket) => (o) => (o.market || bucket) === bucket;
+    let candidates = (matchOdds.odds[bucket] || []).filter(ownMarket(bucket));
+
+    // Draw no bet is the same bet as Asian handicap 0
+    if (prediction.statKey === 'draw_no_bet') {
+      candidates = candidates.concat((matchOdds.odds.handicap || []).filter(ownMarket('handicap')).filter(o => o.line === 0));
+    }
+    if (['asian_handicap', 'corner_handicap', 'race_to_corners'].includes(prediction.statKey)) {
+      candidates = candidates.filter(o => o.line === prediction.line);
+    }
+
+    const priceOf = (odd) => {
+      if (bucket === 'exact') {
+        return odd.selection === this.normaliseSelection(prediction.side) ? odd.odds : null;
+      }
+      if (bucket === 'winning_margin') return odd.selection === prediction.side ? odd.odds : null;
+      if (bucket === 'double_chance') return odd[`odds${prediction.side}`];
+      return odd[`${prediction.side}Odds`];
+    };
+
+    const allBookmakers = candidates
+      .map(odd => ({ bookmaker: odd.bookmaker, odds: priceOf(odd), line: odd.line, marketName: odd.marketName }))
+      .filter(b => b.odds)
+      .sort((a, b) => b.odds - a.odds);
+
+    if (allBookmakers.length === 0) return null;
+
+    const best = allBookmakers[0];
+    return {
+      bestBookmaker: best.bookmaker,
+      bestOdds: best.odds,
+      line: prediction.line,
+      marketName: best.marketName,
+      allBookmakers: allBookmakers.map(({ bookmaker, odds, line }) => ({ bookmaker, odds, line }))
+    };
+  }
+
+  /**
+   * Every line and side bookmakers actually offer for a match, by our stat keys.
+   * Only the market each stat key models is listed (total cards, not red, team
+   * or 1st-half cards; shots on target, not total shots).
+   * @param {Object} matchOdds - Match odds from getAllMatchOdds
+   * @returns {Array} { statKey, line, sides, bookmakers }
+   */
+  listOfferedLines(matchOdds) {
+    if (!matchOdds || !matchOdds.odds) return [];
+
+    // Odds bucket => [statKey, side => price field]
+    const bucketMap = {
+      goals: ['goals', { over: 'overOdds', under: 'underOdds' }],
+      team_total_home: ['home_team_goals', { over: 'overOdds', under: 'underOdds' }],
+      team_total_away: ['away_team_goals', { over: 'overOdds', under: 'underOdds' }],
+      first_half_goals: ['first_half_goals', { over: 'overOdds', under: 'underOdds' }],
+      second_half_goals: ['second_half_goals', { over: 'overOdds', under: 'underOdds' }],
+      corners: ['corners', { over: 'overOdds', under: 'underOdds' }],
+      team_corners_home: ['home_corners', { over: 'overOdds', under: 'underOdds' }],
+      team_corners_away: ['away_corners', { over: 'overOdds', under: 'underOdds' }],
+      cards: ['yellow_cards', { over: 'overOdds', under: 'underOdds' }],
+      booking_points: ['booking_points', { over: 'overOdds', under: 'underOdds' }],
+      shots: ['shots_on_target', { over: 'overOdds', under: 'underOdds' }],
+      handicap: ['asian_handicap', { home: 'homeOdds', away: 'awayOdds' }],
+      corner_handicap: ['corner_handicap', { home: 'homeOdds', away: 'awayOdds' }],
+      corner_race: ['race_to_corners', { home: 'homeOdds', away: 'awayOdds', neither: 'neitherOdds' }]
+    };
+
+    const offers = new Map();
+    for (const [bucket, [statKey, priceFields]] of Object.entries(bucketMap)) {
+      for (const odd of matchOdds.odds[bucket] || []) {
+        if ((odd.market || bucket) !== this.statMarket(statKey)) continue;
+        if (odd.line === null || odd.line === undefined || isNaN(odd.line)) continue;
+        const key = `${statKey}|${odd.line}`;
+        if (!offers.has(key)) {
+          offers.set(key, { statKey, line: odd.line, sides: new Set(), bookmakers: new Set() });
+        }
+        const offer = offers.get(key);
+        for (const [side, field] of Object.entries(priceFields)) {
+          if (odd[field]) offer.sides.add(side);
+        }
+        offer.bookmakers.add(odd.bookmaker);
+      }
+    }
+
+    return [...offers.values()]
+      .filter(o => o.sides.size > 0)
+      .map(o => ({ ...o, sides: [...o.sides], bookmakers: [...o.bookmakers] }));
+  }
+
+  /**
+   * Every player-prop line and side bookmakers offer for a match
+   * @param {Object} matchOdds - Match odds from getAllMatchOdds
+   * @returns {Array} { statKey, player, line, sides, bookmakers }
+   */
+  listOfferedPlayerLines(matchOdds) {
+    const offers = new Map();
+    for (const odd of matchOdds?.odds?.player_props || []) {
+      const key = `${normaliseName(odd.player)}|${odd.statKey}|${odd.line}`;
+      if (!offers.has(key)) {
+        offers.set(key, { statKey: odd.statKey, player: odd.player, line: odd.line, sides: new Set(), bookmakers: new Set() });
+      }
+      const offer = offers.get(key);
+      if (odd.overOdds) offer.sides.add('over');
+      if (odd.underOdds) offer.sides.add('under');
+      offer.bookmakers.add(odd.bookmaker);
+    }
+
+    return [...offers.values()]
+      .filter(o => o.sides.size > 0)
+      .map(o => ({ ...o, sides: [...o.sides], bookmakers: [...o.bookmakers] }));
+  }
+
+  /**
+   * Find best odds for a specific stat prediction: the prediction's own
+   * market at exactly its line (a quote at another line is another bet).
+   * Player props (predictions with a playerName) only match that player's line.
+   * @param {Object} prediction - Our prediction with statKey, line, side (and playerName)
+   * @param {Object} matchOdds - Match odds from getAllMatchOdds
+   * @returns {Object} Best bookmaker odds
+   */
+  findBestOddsForPrediction(prediction, matchOdds) {
+    if (!matchOdds || !matchOdds.odds) return null;
+
+    const selectionMarkets = ['match_result', 'double_chance', 'draw_no_bet', 'asian_handicap', 'winning_margin', 'correct_score', 'corner_handicap', 'race_to_corners'];
+    if (selectionMarkets.includes(prediction.statKey)) {
+      return this.findBestSelectionOdds(prediction, matchOdds);
+    }
+
+    let matchingOdds;
+    if (prediction.playerName) {
+      const player = normaliseName(prediction.playerName);
+      matchingOdds = (matchOdds.odds.player_props || []).filter(odd =>
+        odd.statKey === prediction.statKey && normaliseName(odd.player) === player
+      );
+    } else {
+      // Map our stat keys to odds API market types
+      const marketType = STAT_BUCKETS[prediction.statKey];
+      const market = this.statMarket(prediction.statKey);
+      matchingOdds = (matchOdds.odds[marketType] || []).filter(odd => (odd.market || marketType) === market);
+    }
+    matchingOdds = matchingOdds.filter(odd => odd.line === prediction.line);
 
     if (matchingOdds.length === 0) return null;
 
@@ -563,6 +1325,25 @@ class EPLOddsService {
     return ev * 100; // Return as percentage
   }
 
+  /**
+   * Calculate EV for a prediction, settling pushes and half stakes
+   * (draw no bet, Asian handicap) when the prediction carries a settlement.
+   * The probability of such a market is its push-adjusted win probability,
+   * so EV is that of a plain bet scaled by the stake actually at risk; this
+   * also prices a blended probability that differs from the settlement's own.
+   * @param {Object} prediction - { probability (0-1), settlement? }
+   * @param {number} decimalOdds - Bookmaker odds
+   * @returns {number} EV as percentage
+   */
+  calculatePredictionEV(prediction, decimalOdds) {
+    const s = prediction.settlement;
+    if (!s) {
+      return this.calculateEV(prediction.probability, decimalOdds);
+    }
+    const atRisk = s.win + s.halfWin / 2 + s.loss + s.halfLoss / 2;
+    return atRisk * this.calculateEV(prediction.probability, decimalOdds);
+  }
+
   /**
    * Clear the odds cache
    */
@@ -0,0 +1,134 @@
+// eplPlayerModel.js - Per-90 scoring and shooting model for EPL player props
+//
+// A player's goals/shots/shots on target are Poisson with rate
+//   per90 * minutes / 90
+// The per-90 rate is decay-weighted and shrunk toward a positional prior;
+// minutes are a weighted mixture of the player's recent appearances, so a
+// bench player's cameos and a starter's 90s are priced differently.
+const { poissonCdf } = require("./distributions");
+const { decayWeights, weightedMean } = require("./timeDecay");
+const { meanShiftInterval } = require("./intervals");
+
+// League-typical per-90 rates by position, used as the prior
+const POSITION_RATES = {
+  F: { goals: 0.4, shots: 2.6, shots_on_target: 1.0 },
+  M: { goals: 0.13, shots: 1.3, shots_on_target: 0.45 },
+  D: { goals: 0.05, shots: 0.6, shots_on_target: 0.18 },
+  G: { goals: 0, shots: 0.02, shots_on_target: 0 },
+};
+// Minutes of prior-rate play blended into each player's rate
+const PRIOR_MINUTES = 450;
+// Recent appearances that make up the minutes mixture
+const MINUTES_GAMES = 10;
+
+const RATE_STATS = Object.keys(POSITION_RATES.F);
+
+/**
+ * Position group from balldontlie's EPL position ("Forward", "Midfielder", "FW", ...).
+ */
+function positionGroup(position) {
+  const p = String(position || "").toUpperCase();
+  if (p.startsWith("G")) return "G";
+  if (p.startsWith("D")) return "D";
+  if (p.startsWith("F") || p.includes("STRIKER") || p.includes("WING") || p === "ST") return "F";
+  return "M";
+}
+
+/**
+ * Decay-weighted per-90 rates, shrunk toward the positional prior.
+ *
+ * @param {Array<{ minutes: number, goals: number, shots: number, shots_on_target: number }>} games - newest first
+ * @param {string} position
+ * @param {number} [halfLife] - in games
+ * @returns {{ goals, shots, shots_on_target }} per-90 rates
+ */
+function per90Rates(games, position, halfLife) {
+  const prior = POSITION_RATES[positionGroup(position)];
+  const weights = halfLife ? decayWeights(games.map((_, i) => i), halfLife) : games.map(() => 1);
+
+  // weighted minutes, rescaled to real minutes so PRIOR_MINUTES keeps its meaning
+  const rawMinutes = games.reduce((s, g) => s + g.minutes, 0);
+  const weightedMinutes = games.reduce((s, g, i) => s + weights[i] * g.minutes, 0);
+  const scale = weightedMinutes > 0 ? rawMinutes / weightedMinutes : 0;
+
+  const rates = {};
+  for (const stat of RATE_STATS) {
+    const count = scale * games.reduce((s, g, i) => s + weights[i] * (g[stat] || 0), 0);
+    rates[stat] = ((count + (prior[stat] * PRIOR_MINUTES) / 90) / (rawMinutes + PRIOR_MINUTES)) * 90;
+  }
+  return rates;
+}
+
+/**
+ * Minutes scenarios from recent appearances: [{ minutes, weight }], weights sum to 1.
+ */
+function minutesMixture(games, halfLife) {
+  const recent = games.slice(0, MINUTES_GAMES);
+  const weights = halfLife ? decayWeights(recent.map((_, i) => i), halfLife) : recent.map(() => 1);
+  const total = weights.reduce((s, w) => s + w, 0);
+  return recent.map((g, i) => ({ minutes: g.minutes, weight: weights[i] / total }));
+}
+
+/**
+ * P(X <= k) under the minutes mixture.
+ */
+function mixtureCdf(k, per90, mixture) {
+  return mixture.reduce((s, m) => s + m.weight * poissonCdf(k, (per90 * m.minutes) / 90), 0);
+}
+
+/**
+ * Price a player's scoring and shooting props.
+ *
+ * @param {Object[]} games - { minutes, goals, shots, shots_on_target }, newest first
+ * @param {Object} opts
+ * @param {string} [opts.position]
+ * @param {number} [opts.halfLife] - form half-life in games
+ * @param {Object<string, number[]>} [opts.lines] - stat => lines (goals lines give 1+, 2+, ...)
+ * @returns {{ rates, expectedMinutes, markets: Array }} or null without minutes history
+ */
+function playerScoringMarkets(games, { position, halfLife, lines = {} } = {}) {
+  if (!games.length || !games.some((g) => g.minutes > 0)) return null;
+
+  const rates = per90Rates(games, position, halfLife);
+  const mixture = minutesMixture(games, halfLife);
+  const expectedMinutes = weightedMean(
+    mixture.map((m) => m.minutes),
+    mixture.map((m) => m.weight)
+  );
+
+  // Events (observed + prior) behind each rate; log(rate) has sd ~ 1 / sqrt(events)
+  const minutes = games.reduce((s, g) => s + g.minutes, 0) + PRIOR_MINUTES;
+
+  const markets = [];
+  for (const stat of RATE_STATS) {
+    const expected = (rates[stat] * expectedMinutes) / 90;
+    const events = (rates[stat] * minutes) / 90;
+    for (const line of lines[stat] || []) {
+      const k = Math.floor(line);
+      const under = mixtureCdf(k, rates[stat], mixture);
+      // a zero rate (goalkeeper goals) gets no band: sd is infinite and ignored
+      const band = (side) =>
+        meanShiftInterval(
+          (logRate) => {
+            const u = mixtureCdf(k, Math.exp(logRate), mixture);
+            return side === "over" ? 1 - u : u;
+          },
+          Math.log(rates[stat]),
+          1 / Math.sqrt(events)
+        );
+      markets.push({ statKey: stat, line, side: "over", probability: 1 - under, expected, interval: band("over") });
+      markets.push({ statKey: stat, line, side: "under", probability: under, expected, interval: band("under") });
+    }
+  }
+
+  return { rates, expectedMinutes, markets };
+}
+
+module.exports = {
+  POSITION_RATES,
+  RATE_STATS,
+  positionGroup,
+  per90Rates,
+  minutesMixture,
+  playerScoringMarkets,
+};
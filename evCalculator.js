@@ -1,16 +1,22 @@
 // evCalculator.js
+const { createDistribution, lineProbabilities } = require("./distributions");
+const { decayEstimate } = require("./timeDecay");
+const { shrinkToPrior } = require("./nbaPriors");
+const { simulate } = require("./simulation");
+const { meanShiftInterval, blendEffectiveN } = require("./intervals");
 
-// Standard normal CDF approximation
-function normalCdf(z) {
-  const t = 1 / (1 + 0.2316419 * Math.abs(z));
-  const d = 0.3989423 * Math.exp((-z * z) / 2);
-  const prob =
-    d *
-    t *
-    (0.3193815 +
-      t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  return z > 0 ? 1 - prob : prob;
-}
+// Default distribution family per stat key. Low-count stats are
+// over-dispersed counts; high-volume totals are close enough to normal.
+const STAT_DISTRIBUTIONS = {
+  pts: "normal",
+  reb: "negbin",
+  ast: "negbin",
+  fg3m: "negbin",
+  pra: "normal",
+  pr: "normal",
+  pa: "normal",
+  ra: "negbin",
+};
 
 function mean(arr) {
   if (!arr.length) return 0;
@@ -33,6 +39,18 @@ function stdDev(arr) {
  * @param {number} line - prop line (e.g. 27.5)
  * @param {"over"|"under"} side
  * @param {number} weightRecent - [0,1] (default 0.65 => 65% form, 35% season)
+ * @param {number} [halfLife] - decay half-life; replaces the recent/season blend when set
+ * @param {"games"|"days"} [halfLifeUnit] - unit of halfLife (default "games")
+ * @param {Array<string|Date>} [dates] - newest-first dates matching seasonValues (for "days")
+ * @param {{mu: number, sigma: number}} [projection] - externally projected mean/sd
+ *   (e.g. minutes model); replaces the form estimate when set
+ * @param {Object} [prior] - positional prior (nbaPriors.findPrior); shrinks mu/sigma
+ * @param {number} [muFactor] - multiplicative context adjustment on mu (opponent, venue, rest)
+ * @param {number} [sigmaFactor] - multiplicative context adjustment on sigma
+ * @param {string} [statKey] - stat key, used to pick the default family
+ * @param {"normal"|"poisson"|"negbin"|"empirical"} [family] - override family
+ * @param {Function} [simulated] - simulatedTotal() of the stat; prices lines from the
+ *   simulated draws (shifted to mu) instead of a fitted family
  */
 function computePropProb({
   seasonValues,
@@ -40,6 +58,16 @@ function computePropProb({
   line,
   side,
   weightRecent = 0.65,
+  halfLife,
+  halfLifeUnit = "games",
+  dates,
+  projection,
+  prior,
+  muFactor = 1,
+  sigmaFactor = 1,
+  statKey,
+  family,
+  simulated,
 }) {
   if (!seasonValues.length) {
     throw new Error("No season data found for this player/stat");
@@ -48,37 +76,137 @@ function computePropProb({
   const seasonAvg = mean(seasonValues);
   const recentAvg = recentValues.length ? mean(recentValues) : seasonAvg;
 
-  // 65% recent form, 35% season baseline
-  const mu = weightRecent * recentAvg + (1 - weightRecent) * seasonAvg;
+  // games' worth of information behind mu, for the probability band
+  let mu, sigma, effectiveN;
+  if (projection) {
+    mu = projection.mu;
+    sigma = projection.sigma;
+    effectiveN = seasonValues.length;
+  } else if (halfLife) {
+    // decay-weighted over the full season (seasonValues are newest first)
+    const est = decayEstimate(seasonValues, { halfLife, unit: halfLifeUnit, dates });
+    mu = est.mean;
+    sigma = est.sigma;
+    effectiveN = est.effectiveN;
+  } else {
+    // 65% recent form, 35% season baseline
+    mu = weightRecent * recentAvg + (1 - weightRecent) * seasonAvg;
+    sigma = recentValues.length ? stdDev(recentValues) : 0;
+    // recentValues are the newest seasonValues
+    effectiveN = blendEffectiveN(seasonValues.length, recentValues.length, weightRecent);
+  }
+
+  let priorWeight = null;
+  if (prior) {
+    // empirical Bayes: small samples lean on similar players
+    const post = shrinkToPrior({ mu, sigma, n: seasonValues.length }, prior);
+    mu = post.mu;
+    sigma = post.sigma;
+    priorWeight = post.weight;
+    // the prior counts as n / weight - n extra games
+    effectiveN += seasonValues.length * (1 / post.weight - 1);
+  }
 
-  let sigma = recentValues.length ? stdDev(recentValues) : 0;
   if (sigma === 0) {
     // crude fallback: don't pretend zero volatility
     sigma = 0.4 * seasonAvg || 1;
   }
 
-  let z, p;
-  if (side === "over") {
-    // continuity correction
-    z = (line + 0.5 - mu) / sigma;
-    p = 1 - normalCdf(z);
-  } else {
-    z = (line - 0.5 - mu) / sigma;
-    p = normalCdf(z);
-  }
+  mu *= muFactor;
+  sigma *= sigmaFactor;
+
+  const priceAt = (m) => {
+    if (simulated) {
+      // the simulated totals are centred on mu; a different mean shifts them
+      const probs = simulated(line - (m - mu));
+      return { family: "simulated", p: side === "over" ? probs.over : probs.under };
+    }
+    const dist = createDistribution(
+      family || STAT_DISTRIBUTIONS[statKey] || "normal",
+      { mu: m, sigma, values: seasonValues }
+    );
+    const probs = lineProbabilities(dist, line);
+    return { family: dist.family, p: side === "over" ? probs.over : probs.under };
+  };
+  const { family: fitted, p } = priceAt(mu);
 
   const fairOdds = 1 / p;
 
+  // posterior band on p from the uncertainty in mu (sigma / sqrt(n))
+  const interval = meanShiftInterval(
+    (m) => priceAt(Math.max(m, 0)).p,
+    mu,
+    sigma / Math.sqrt(Math.max(effectiveN, 1))
+  );
+
   return {
     seasonAvg,
     recentAvg,
     mu,
     sigma,
+    priorWeight,
+    family: fitted,
     p,
     fairOdds,
+    interval,
+  };
+}
+
+/**
+ * Simulate one game from per-player stat distributions, e.g. the mu/sigma
+ * computePropProb returns for each player and stat.
+ * Variables without a family use the stat key's default family.
+ *
+ * @param {Object} opts
+ * @param {Array<{id: string, statKey: string, mu: number, sigma: number, family?: string}>} opts.variables
+ * @param {Object<string, Object<string, number>>} [opts.correlation] - corr[idA][idB]
+ * @param {number} [opts.n] - number of draws
+ * @param {number} [opts.seed] - seed for reproducible results
+ * @returns {Simulation} see simulation.js
+ */
+function simulateGame({ variables, correlation, n, seed }) {
+  return simulate({
+    variables: variables.map((v) => ({
+      ...v,
+      family: v.family || STAT_DISTRIBUTIONS[v.statKey] || "normal",
+    })),
+    correlation,
+    n,
+    seed,
+  });
+}
+
+/**
+ * Over/under probabilities of a sum of simulated variables at any line, e.g.
+ * a combo from its correlated components. The totals are sorted once, so
+ * each line is a binary search rather than a pass over the draws.
+ *
+ * @param {Simulation} sim - from simulateGame
+ * @param {string[]} ids - variables to add up
+ * @returns {(line: number) => {over: number, under: number}}
+ */
+function simulatedTotal(sim, ids) {
+  const totals = Float64Array.from({ length: sim.n }, (_, i) => sim.total(ids, i)).sort();
+  // number of totals below x (or at most x)
+  const countBelow = (x, inclusive) => {
+    let lo = 0;
+    let hi = totals.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (totals[mid] < x || (inclusive && totals[mid] === x)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
   };
+  return (line) => ({
+    over: sim.n ? (sim.n - countBelow(line, true)) / sim.n : 0,
+    under: sim.n ? countBelow(line, false) / sim.n : 0,
+  });
 }
 
 module.exports = {
   computePropProb,
+  simulateGame,
+  simulatedTotal,
+  STAT_DISTRIBUTIONS,
 };
@@ -1,4 +1,7 @@
 // evCalculatorFootball.js - Football/Soccer Probability Calculator
+const { decayEstimate } = require("./timeDecay");
+const { simulate } = require("./simulation");
+const { meanShiftInterval, blendEffectiveN } = require("./intervals");
 
 // Standard normal CDF approximation
 function normalCdf(z) {
@@ -33,6 +36,9 @@ function stdDev(arr) {
  * @param {number} line - prop line (e.g. 0.5 for goals)
  * @param {"over"|"under"} side
  * @param {number} weightRecent - [0,1] (default 0.65 => 65% form, 35% season)
+ * @param {number} [halfLife] - decay half-life; replaces the recent/season blend when set
+ * @param {"games"|"days"} [halfLifeUnit] - unit of halfLife (default "games")
+ * @param {Array<string|Date>} [dates] - newest-first dates matching seasonValues (for "days")
  */
 function computePlayerPropProb({
   seasonValues,
@@ -40,6 +46,9 @@ function computePlayerPropProb({
   line,
   side,
   weightRecent = 0.65,
+  halfLife,
+  halfLifeUnit = "games",
+  dates,
 }) {
   if (!seasonValues.length) {
     throw new Error("No season data found for this player/stat");
@@ -48,27 +57,35 @@ function computePlayerPropProb({
   const seasonAvg = mean(seasonValues);
   const recentAvg = recentValues.length ? mean(recentValues) : seasonAvg;
 
-  // 65% recent form, 35% season baseline (same as NBA)
-  const mu = weightRecent * recentAvg + (1 - weightRecent) * seasonAvg;
+  let mu, sigma, effectiveN;
+  if (halfLife) {
+    // decay-weighted over the full season (same as NBA)
+    const est = decayEstimate(seasonValues, { halfLife, unit: halfLifeUnit, dates });
+    mu = est.mean;
+    sigma = est.sigma;
+    effectiveN = est.effectiveN;
+  } else {
+    // 65% recent form, 35% season baseline (same as NBA)
+    mu = weightRecent * recentAvg + (1 - weightRecent) * seasonAvg;
+    sigma = recentValues.length ? stdDev(recentValues) : 0;
+    effectiveN = blendEffectiveN(seasonValues.length, recentValues.length, weightRecent);
+  }
 
-  let sigma = recentValues.length ? stdDev(recentValues) : 0;
   if (sigma === 0) {
     // crude fallback: don't pretend zero volatility
     sigma = 0.4 * seasonAvg || 0.5;
   }
 
-  let z, p;
-  if (side === "over") {
-    // continuity correction
-    z = (line + 0.5 - mu) / sigma;
-    p = 1 - normalCdf(z);
-  } else {
-    z = (line - 0.5 - mu) / sigma;
-    p = normalCdf(z);
-  }
+  // continuity correction
+  const priceAt = (m) =>
+    side === "over" ? 1 - normalCdf((line + 0.5 - m) / sigma) : normalCdf((line - 0.5 - m) / sigma);
+  const p = priceAt(mu);
 
   const fairOdds = 1 / p;
 
+  // posterior band on p from the uncertainty in mu
+  const interval = meanShiftInterval(priceAt, mu, sigma / Math.sqrt(Math.max(effectiveN, 1)));
+
   return {
     seasonAvg,
     recentAvg,
@@ -76,6 +93,7 @@ function computePlayerPropProb({
     sigma,
     p,
     fairOdds,
+    interval,
   };
 }
 
@@ -127,30 +145,97 @@ function computeMatchStatProb({
     sigma = 0.3 * mu || 1;
   }
 
-  let z, p;
-  if (side === "over") {
-    z = (line + 0.5 - mu) / sigma;
-    p = 1 - normalCdf(z);
-  } else {
-    z = (line - 0.5 - mu) / sigma;
-    p = normalCdf(z);
-  }
+  const priceAt = (m) =>
+    side === "over" ? 1 - normalCdf((line + 0.5 - m) / sigma) : normalCdf((line - 0.5 - m) / sigma);
+  const p = priceAt(mu);
 
   const fairOdds = 1 / p;
 
+  // posterior band on p: both teams' means are estimated from their own games
+  const homeN = blendEffectiveN(homeSeasonValues.length, homeRecentValues.length, weightRecent);
+  const awayN = blendEffectiveN(awaySeasonValues.length, awayRecentValues.length, weightRecent);
+  const se = Math.sqrt(
+    (homeN ? (homeStd * homeStd) / homeN : 0) + (awayN ? (awayStd * awayStd) / awayN : 0)
+  );
+  const interval = meanShiftInterval(priceAt, mu, se);
+
   return {
     homeAvg: homeMu,
     awayAvg: awayMu,
     matchPrediction: mu,
     sigma,
+    se,
     p,
     fairOdds,
+    interval,
   };
 }
 
+/**
+ * Simulate a match from the two teams' expected goals (or any other
+ * per-team count such as corners). Variables are "home" and "away";
+ * extra variables (players, cards, ...) can be appended.
+ *
+ * @param {Object} opts
+ * @param {number} opts.homeMu - expected home count
+ * @param {number} opts.awayMu - expected away count
+ * @param {number} [opts.correlation] - home/away correlation (default 0)
+ * @param {"poisson"|"negbin"} [opts.family] - default "poisson"
+ * @param {number} [opts.homeSigma] - needed for negbin
+ * @param {number} [opts.awaySigma] - needed for negbin
+ * @param {Array<Object>} [opts.extraVariables] - see simulation.js
+ * @param {Object} [opts.extraCorrelation] - corr[idA][idB] for extra variables
+ * @param {number} [opts.n] - number of draws
+ * @param {number} [opts.seed] - seed for reproducible results
+ * @returns {Simulation} see simulation.js
+ */
+function simulateMatch({
+  homeMu,
+  awayMu,
+  correlation = 0,
+  family = "poisson",
+  homeSigma = Math.sqrt(homeMu),
+  awaySigma = Math.sqrt(awayMu),
+  extraVariables = [],
+  extraCorrelation = {},
+  n,
+  seed,
+}) {
+  return simulate({
+    variables: [
+      { id: "home", family, mu: homeMu, sigma: homeSigma },
+      { id: "away", family, mu: awayMu, sigma: awaySigma },
+      ...extraVariables,
+    ],
+    correlation: { ...extraCorrelation, home: { ...extraCorrelation.home, away: correlation } },
+    n,
+    seed,
+  });
+}
+
+/**
+ * Race markets (first team to `target` corners, goals, ...) of a simulated match.
+ *
+ * @param {Simulation} sim - from simulateMatch
+ * @param {number[]} targets
+ * @returns {Array} { line: target, side: "home"|"away"|"neither", probability }
+ */
+function raceMarkets(sim, targets) {
+  const markets = [];
+  for (const target of targets) {
+    const race = sim.firstTo(["home"], ["away"], target);
+    markets.push({ line: target, side: "home", probability: race.a });
+    markets.push({ line: target, side: "away", probability: race.b });
+    markets.push({ line: target, side: "neither", probability: race.neither });
+  }
+  return markets;
+}
+
 module.exports = {
   computePlayerPropProb,
   computeMatchStatProb,
+  simulateMatch,
+  raceMarkets,
   mean,
   stdDev,
 };
@@ -2,6 +2,27 @@
 // Fetches match and team stats for multiple European leagues
 
 const fetch = require('node-fetch');
+const {
+  fitDixonColes,
+  expectedGoals,
+  scoreMatrix,
+  matrixProbability,
+  asianHandicapSettlement,
+  settlementFairOdds,
+  goalsForExpectedScore
+} = require('./dixonColes');
+const { h2hTendency, h2hGoalTotals, tableMotivation, motivationFactors } = require('./matchContext');
+const { drawnIntervals, marketKey } = require('./intervals');
+const { pmfFromMatrix, priceOffers } = require('./linePricing');
+const ratingService = require('./ratingService');
+
+// Share of goals scored before half-time across the big European leagues,
+// used as the prior for each competition's own share
+const DEFAULT_FIRST_HALF_SHARE = 0.44;
+// Goals of league-average weight behind the prior share
+const FIRST_HALF_PRIOR_GOALS = 200;
+// Games of recent form the rating prior is worth in the form fallback
+const RATING_PRIOR_GAMES = 6;
 
 class FootballDataService {
   constructor() {
@@ -23,6 +44,17 @@ class FootballDataService {
     // Cache for API responses (10 minute TTL)
     this.cache = new Map();
     this.cacheTTL = 10 * 60 * 1000;
+
+    // Fitted Dixon-Coles models per competition (6 hour TTL)
+    this.models = new Map();
+    this.modelTTL = 6 * 60 * 60 * 1000;
+
+    // Optional adjustments on top of the score model (FOOTBALL_MATCH_FEATURES=h2h,motivation or none)
+    const features = (process.env.FOOTBALL_MATCH_FEATURES ?? 'h2h,motivation').split(',').map(f => f.trim());
+    this.matchFeatures = {
+      h2h: features.includes('h2h'),
+      motivation: features.includes('motivation')
+    };
   }
 
   /**
@@ -252,6 +284,140 @@ class FootballDataService {
     }
   }
 
+  /**
+   * Get all finished matches of the current season for a competition
+   */
+  async getFinishedMatches(competitionCode) {
+    try {
+      const data = await this.apiRequest(`/competitions/${competitionCode}/matches?status=FINISHED`);
+      return data.matches || [];
+    } catch (error) {
+      console.error(`[Football-Data] Error fetching finished matches for ${competitionCode}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get (or fit) the Dixon-Coles model for a competition
+   */
+  async getScoreModel(competitionCode) {
+    const cached = this.models.get(competitionCode);
+    if (cached && Date.now() - cached.timestamp < this.modelTTL) {
+      return cached.model;
+    }
+
+    const finished = await this.getFinishedMatches(competitionCode);
+    const model = fitDixonColes(
+      finished
+        .filter(m => m.score?.fullTime?.home != null && m.score?.fullTime?.away != null)
+        .map(m => ({
+          homeId: m.homeTeam.id,
+          awayId: m.awayTeam.id,
+          homeGoals: m.score.fullTime.home,
+          awayGoals: m.score.fullTime.away,
+          date: m.utcDate
+        }))
+    );
+
+    if (model) {
+      console.log(`[Football-Data] Fitted Dixon-Coles for ${competitionCode}: ${model.matches} matches, home adv ${Math.exp(model.homeAdv).toFixed(2)}x, rho ${model.rho.toFixed(3)}`);
+    } else {
+      console.log(`[Football-Data] Not enough finished matches to fit ${competitionCode}`);
+    }
+
+    const firstHalfShare = this.estimateFirstHalfShare(finished);
+    this.models.set(competitionCode, { model, firstHalfShare, timestamp: Date.now() });
+    return model;
+  }
+
+  /**
+   * Share of goals scored in the first half, from half-time scores,
+   * shrunk toward the cross-league share. Matches that went to extra
+   * time are skipped so the second half isn't inflated.
+   */
+  estimateFirstHalfShare(matches) {
+    let firstHalf = 0;
+    let total = 0;
+
+    for (const m of matches) {
+      if (m.score?.duration && m.score.duration !== 'REGULAR') continue;
+      const ht = m.score?.halfTime;
+      const ft = m.score?.fullTime;
+      if (ht?.home == null || ht?.away == null || ft?.home == null || ft?.away == null) continue;
+
+      firstHalf += ht.home + ht.away;
+      total += ft.home + ft.away;
+    }
+
+    return (firstHalf + FIRST_HALF_PRIOR_GOALS * DEFAULT_FIRST_HALF_SHARE) / (total + FIRST_HALF_PRIOR_GOALS);
+  }
+
+  /**
+   * First-half goal share for a competition (prior share if unknown)
+   */
+  async getFirstHalfShare(competitionCode) {
+    if (!competitionCode) return DEFAULT_FIRST_HALF_SHARE;
+    await this.getScoreModel(competitionCode);
+    return this.models.get(competitionCode)?.firstHalfShare ?? DEFAULT_FIRST_HALF_SHARE;
+  }
+
+  /**
+   * Expected goals for a match: from the competition's Dixon-Coles model,
+   * or from both teams' recent form when the model can't rate them
+   * (e.g. early season, or a European tie against an unseen opponent).
+   * Form is shrunk toward the split of its total goals that the teams' Glicko
+   * ratings imply, when both are rated.
+   * Also carries the competition's first-half goal share.
+   */
+  async getMatchGoalModel(match) {
+    const model = match.leagueCode ? await this.getScoreModel(match.leagueCode) : null;
+    const firstHalfShare = await this.getFirstHalfShare(match.leagueCode);
+    const fitted = expectedGoals(model, match.homeTeam.id, match.awayTeam.id);
+    if (fitted) {
+      return { home: fitted.home, away: fitted.away, logSd: fitted.logSd, rho: model.rho, firstHalfShare, model: 'dixon-coles' };
+    }
+
+    const [homeMatches, awayMatches] = await Promise.all([
+      this.getTeamRecentMatches(match.homeTeam.id, 10),
+      this.getTeamRecentMatches(match.awayTeam.id, 10)
+    ]);
+
+    const homeStats = this.calculateTeamStats(homeMatches, match.homeTeam.id);
+    const awayStats = this.calculateTeamStats(awayMatches, match.awayTeam.id);
+    if (!homeStats || !awayStats) return null;
+
+    let home = (parseFloat(homeStats.avgGoalsFor) + parseFloat(awayStats.avgGoalsAgainst)) / 2;
+    let away = (parseFloat(awayStats.avgGoalsFor) + parseFloat(homeStats.avgGoalsAgainst)) / 2;
+    // each side averages two samples of ~n games; log sd of a Poisson mean is 1 / sqrt(count)
+    const n = Math.min(homeStats.gamesPlayed, awayStats.gamesPlayed);
+
+    const strength = match.leagueCode
+      ? ratingService.strengthPrior(ratingService.tableKey('football', match.leagueCode), match.homeTeam.id, match.awayTeam.id)
+      : null;
+    let ratingWeight = 0;
+    if (strength && home + away > 0) {
+      // geometric blend, so the prior moves the split but not the total much
+      const rated = goalsForExpectedScore(home + away, strength.homeExpectedScore);
+      ratingWeight = RATING_PRIOR_GAMES / (n + RATING_PRIOR_GAMES);
+      home = Math.exp((1 - ratingWeight) * Math.log(home) + ratingWeight * Math.log(rated.home));
+      away = Math.exp((1 - ratingWeight) * Math.log(away) + ratingWeight * Math.log(rated.away));
+    }
+
+    return {
+      home,
+      away,
+      logSd: {
+        home: 1 / Math.sqrt(Math.max(2 * n * home, 1)),
+        away: 1 / Math.sqrt(Math.max(2 * n * away, 1))
+      },
+      rho: 0,
+      firstHalfShare,
+      model: strength ? 'form+rating' : 'form',
+      strength,
+      ratingWeight: Number(ratingWeight.toFixed(3))
+    };
+  }
+
   /**
    * Calculate team stats from recent matches
    */
@@ -308,168 +474,159 @@ class FootballDataService {
   }
 
   /**
-   * Get match predictions based on team form
-   * Using wider probability range (55-70%) to capture more value opportunities
+   * League-table context for both sides of a fixture (null outside domestic leagues)
    */
-  async generateMatchPredictions(match, minProb = 0.55, maxProb = 0.70) {
-    const predictions = [];
+  async getTableMotivation(match) {
+    if (!match.leagueCode || this.leagues[match.leagueCode]?.country === 'Europe') return null;
 
-    try {
-      // Get recent matches for both teams
-      const [homeMatches, awayMatches] = await Promise.all([
-        this.getTeamRecentMatches(match.homeTeam.id, 10),
-        this.getTeamRecentMatches(match.awayTeam.id, 10)
-      ]);
+    const standings = await this.getStandings(match.leagueCode);
+    const total = standings.find(s => s.type === 'TOTAL')?.table;
+    if (!total) return null;
 
-      const homeStats = this.calculateTeamStats(homeMatches, match.homeTeam.id);
-      const awayStats = this.calculateTeamStats(awayMatches, match.awayTeam.id);
+    const home = tableMotivation(total, match.homeTeam.id);
+    const away = tableMotivation(total, match.awayTeam.id);
+    if (!home || !away) return null;
+    return { home, away };
+  }
 
-      if (!homeStats || !awayStats) {
-        console.log(`[Football-Data] Insufficient stats for ${match.homeTeam.name} vs ${match.awayTeam.name}`);
-        return predictions;
+  /**
+   * Optional head-to-head and motivation adjustments to the expected goals.
+   * Each step is applied on top of the previous one, so every feature's
+   * contribution can be reported separately.
+   * @returns {Array} [{ name, goals, detail }] in application order
+   */
+  async getMatchFeatures(match, goals, features = this.matchFeatures) {
+    const steps = [];
+    let current = goals;
+
+    if (features.h2h) {
+      const h2h = await this.getHeadToHead(match.id);
+      const tendency = h2hTendency(h2hGoalTotals(h2h, match.utcDate), current.home + current.away);
+      current = { ...current, home: current.home * tendency.factor, away: current.away * tendency.factor };
+      steps.push({ name: 'h2h', goals: current, detail: tendency });
+    }
+
+    if (features.motivation) {
+      const motivation = await this.getTableMotivation(match);
+      if (motivation) {
+        const factors = motivationFactors(motivation.home.status, motivation.away.status);
+        current = { ...current, home: current.home * factors.home, away: current.away * factors.away };
+        steps.push({ name: 'motivation', goals: current, detail: { ...motivation, factors } });
       }
+    }
 
-      // Calculate expected goals
-      const expectedHomeGoals = (parseFloat(homeStats.avgGoalsFor) + parseFloat(awayStats.avgGoalsAgainst)) / 2;
-      const expectedAwayGoals = (parseFloat(awayStats.avgGoalsFor) + parseFloat(homeStats.avgGoalsAgainst)) / 2;
-      const expectedTotalGoals = expectedHomeGoals + expectedAwayGoals;
-
-      console.log(`[Football-Data] ${match.homeTeam.name} vs ${match.awayTeam.name}: Expected total ${expectedTotalGoals.toFixed(2)} (H: ${expectedHomeGoals.toFixed(2)}, A: ${expectedAwayGoals.toFixed(2)})`);
-
-      // Generate over/under predictions for total goals
-      // Include more lines to capture more opportunities
-      const totalGoalsLines = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
-
-      for (const line of totalGoalsLines) {
-        // Calculate probability using Poisson-like approximation
-        const prob = this.calculateTotalGoalsProbability(expectedTotalGoals, line);
-
-        // Over probability
-        if (prob.over >= minProb && prob.over <= maxProb) {
-          predictions.push({
-            type: 'match',
-            statKey: 'goals',
-            line,
-            side: 'over',
-            probability: prob.over,
-            fairOdds: 1 / prob.over,
-            homeAvg: parseFloat(homeStats.avgGoalsFor),
-            awayAvg: parseFloat(awayStats.avgGoalsFor),
-            matchPrediction: expectedTotalGoals
-          });
-        }
+    return steps;
+  }
 
-        // Under probability
-        if (prob.under >= minProb && prob.under <= maxProb) {
-          predictions.push({
-            type: 'match',
-            statKey: 'goals',
-            line,
-            side: 'under',
-            probability: prob.under,
-            fairOdds: 1 / prob.under,
-            homeAvg: parseFloat(homeStats.avgGoalsFor),
-            awayAvg: parseFloat(awayStats.avgGoalsFor),
-            matchPrediction: expectedTotalGoals
-          });
-        }
-      }
+  /**
+   * Every market of a fixture from its expected goals
+   */
+  deriveAllMarkets(goals) {
+    const matrix = scoreMatrix(goals.home, goals.away, goals.rho);
+    return [
+      ...this.deriveGoalMarkets(matrix, goals),
+      ...this.deriveTeamAndHalfMarkets(matrix, goals),
+      ...this.deriveResultMarkets(matrix, goals)
+    ];
+  }
 
-      // BTTS (Both Teams To Score) prediction
-      const homeScoreProb = 1 - Math.exp(-expectedHomeGoals); // Poisson P(X >= 1)
-      const awayScoreProb = 1 - Math.exp(-expectedAwayGoals);
-      const bttsProb = homeScoreProb * awayScoreProb;
-      const noBttsProb = 1 - bttsProb;
+  /**
+   * Expected goals of a match before and after the optional features
+   * @returns {Object|null} { baseGoals, steps, goals }
+   */
+  async getMatchModel(match, features = this.matchFeatures) {
+    const baseGoals = await this.getMatchGoalModel(match);
+    if (!baseGoals) return null;
 
-      if (bttsProb >= minProb && bttsProb <= maxProb) {
-        predictions.push({
-          type: 'match',
-          statKey: 'btts',
-          line: null,
-          side: 'yes',
-          probability: bttsProb,
-          fairOdds: 1 / bttsProb,
-          homeAvg: parseFloat(homeStats.avgGoalsFor),
-          awayAvg: parseFloat(awayStats.avgGoalsFor),
-          matchPrediction: null
-        });
-      }
+    const steps = await this.getMatchFeatures(match, baseGoals, features);
+    const goals = steps.length ? steps[steps.length - 1].goals : baseGoals;
+    return { baseGoals, steps, goals };
+  }
 
-      if (noBttsProb >= minProb && noBttsProb <= maxProb) {
-        predictions.push({
-          type: 'match',
-          statKey: 'btts',
-          line: null,
-          side: 'no',
-          probability: noBttsProb,
-          fairOdds: 1 / noBttsProb,
-          homeAvg: parseFloat(homeStats.avgGoalsFor),
-          awayAvg: parseFloat(awayStats.avgGoalsFor),
-          matchPrediction: null
-        });
-      }
+  /**
+   * Market predictions at every stage of a match model, with each feature's
+   * contribution and a probability band from the uncertainty of the expected goals
+   * @param {Object} matchModel - from getMatchModel
+   * @param {Function} price - goals => [{ statKey, line, side, probability, ... }]
+   * @param {Function} keep - market => whether to predict it
+   * @param {number} seed - seed for the band draws
+   */
+  predictMarkets(matchModel, price, keep, seed) {
+    const { baseGoals, steps, goals } = matchModel;
+    const predictions = [];
 
-      // Home/Away team to score predictions
-      if (homeScoreProb >= minProb && homeScoreProb <= maxProb) {
-        predictions.push({
-          type: 'match',
-          statKey: 'home_to_score',
-          line: 0.5,
-          side: 'over',
-          probability: homeScoreProb,
-          fairOdds: 1 / homeScoreProb,
-          homeAvg: parseFloat(homeStats.avgGoalsFor),
-          awayAvg: parseFloat(awayStats.avgGoalsFor),
-          matchPrediction: expectedHomeGoals
-        });
-      }
+    // Market probabilities before any feature and after each one
+    const key = marketKey;
+    const stages = [baseGoals, ...steps.map(s => s.goals)].map(g =>
+      new Map(price(g).map(m => [key(m), m]))
+    );
+    const final = stages[stages.length - 1];
+
+    for (const market of final.values()) {
+      if (!keep(market)) continue;
+      const k = key(market);
+      const matchFeatures = {};
+      steps.forEach((step, i) => {
+        matchFeatures[step.name] = {
+          ...step.detail,
+          contribution: stages[i + 1].get(k).probability - stages[i].get(k).probability
+        };
+      });
+
+      predictions.push({
+        type: 'match',
+        ...market,
+        fairOdds: 1 / market.probability,
+        homeAvg: goals.home,
+        awayAvg: goals.away,
+        model: goals.model,
+        baseProbability: stages[0].get(k).probability,
+        features: matchFeatures
+      });
+    }
 
-      if (awayScoreProb >= minProb && awayScoreProb <= maxProb) {
-        predictions.push({
-          type: 'match',
-          statKey: 'away_to_score',
-          line: 0.5,
-          side: 'over',
-          probability: awayScoreProb,
-          fairOdds: 1 / awayScoreProb,
-          homeAvg: parseFloat(homeStats.avgGoalsFor),
-          awayAvg: parseFloat(awayStats.avgGoalsFor),
-          matchPrediction: expectedAwayGoals
-        });
+    if (predictions.length > 0) {
+      const bands = drawnIntervals(
+        { home: goals.home, away: goals.away },
+        goals.logSd || {},
+        means => price({ ...goals, ...means }),
+        { seed }
+      );
+      for (const prediction of predictions) {
+        prediction.interval = bands.get(key(prediction));
       }
+    }
 
-      // Clean sheet predictions
-      const homeCleanSheetProb = Math.exp(-expectedAwayGoals); // Poisson P(Away = 0)
-      const awayCleanSheetProb = Math.exp(-expectedHomeGoals); // Poisson P(Home = 0)
+    return predictions;
+  }
 
-      if (homeCleanSheetProb >= minProb && homeCleanSheetProb <= maxProb) {
-        predictions.push({
-          type: 'match',
-          statKey: 'home_clean_sheet',
-          line: null,
-          side: 'yes',
-          probability: homeCleanSheetProb,
-          fairOdds: 1 / homeCleanSheetProb,
-          homeAvg: parseFloat(homeStats.avgGoalsAgainst),
-          awayAvg: parseFloat(awayStats.avgGoalsFor),
-          matchPrediction: expectedAwayGoals
-        });
-      }
+  /**
+   * Get match predictions from the home x away score matrix
+   * Using wider probability range (55-70%) to capture more value opportunities
+   * @param {Object} [features] - { h2h, motivation } toggles (default from FOOTBALL_MATCH_FEATURES)
+   * @param {Object} [matchModel] - from getMatchModel, when already built
+   */
+  async generateMatchPredictions(match, minProb = 0.55, maxProb = 0.70, features = this.matchFeatures, matchModel = null) {
+    let predictions = [];
 
-      if (awayCleanSheetProb >= minProb && awayCleanSheetProb <= maxProb) {
-        predictions.push({
-          type: 'match',
-          statKey: 'away_clean_sheet',
-          line: null,
-          side: 'yes',
-          probability: awayCleanSheetProb,
-          fairOdds: 1 / awayCleanSheetProb,
-          homeAvg: parseFloat(homeStats.avgGoalsFor),
-          awayAvg: parseFloat(awayStats.avgGoalsAgainst),
-          matchPrediction: expectedHomeGoals
-        });
+    try {
+      const model = matchModel || await this.getMatchModel(match, features);
+
+      if (!model) {
+        console.log(`[Football-Data] Insufficient stats for ${match.homeTeam.name} vs ${match.awayTeam.name}`);
+        return predictions;
       }
 
+      const { steps, goals } = model;
+      console.log(`[Football-Data] ${match.homeTeam.name} vs ${match.awayTeam.name}: Expected total ${(goals.home + goals.away).toFixed(2)} (H: ${goals.home.toFixed(2)}, A: ${goals.away.toFixed(2)}, ${goals.model}${steps.length ? ` + ${steps.map(s => s.name).join(', ')}` : ''})`);
+
+      predictions = this.predictMarkets(
+        model,
+        g => this.deriveAllMarkets(g),
+        m => m.probability >= minProb && m.probability <= maxProb,
+        Number(match.id) || 1
+      );
+
       console.log(`[Football-Data] Generated ${predictions.length} predictions for ${match.homeTeam.name} vs ${match.awayTeam.name}`);
 
       // Sort by probability
@@ -483,56 +640,203 @@ class FootballDataService {
   }
 
   /**
-   * Calculate probability for over/under total goals using Poisson approximation
+   * Price exactly the lines bookmakers offer (eplOddsService.listOfferedLines).
+   * Goal totals, team totals, half totals and Asian handicaps; other offers are skipped.
+   * @param {Object} matchModel - from getMatchModel
+   * @param {Array} offers - { statKey, line, sides }
+   * @param {number} [seed] - seed for the band draws (the match id)
+   * @returns {Array} predictions shaped like generateMatchPredictions
    */
-  calculateTotalGoalsProbability(expectedTotal, line) {
-    // Using simplified Poisson distribution
-    // P(X <= k) = sum of e^(-lambda) * lambda^i / i! for i = 0 to k
-
-    const lambda = expectedTotal;
-    let cumulativeProb = 0;
+  priceOfferedLines(matchModel, offers, seed = 1) {
+    const price = (goals) => {
+      const matrix = scoreMatrix(goals.home, goals.away, goals.rho);
+      const share = goals.firstHalfShare ?? DEFAULT_FIRST_HALF_SHARE;
+      const halfTotals = (s) => pmfFromMatrix(scoreMatrix(goals.home * s, goals.away * s, 0), (h, a) => h + a);
+      return priceOffers(offers, {
+        pmfs: {
+          goals: pmfFromMatrix(matrix, (h, a) => h + a),
+          home_team_goals: pmfFromMatrix(matrix, (h) => h),
+          away_team_goals: pmfFromMatrix(matrix, (h, a) => a),
+          first_half_goals: halfTotals(share),
+          second_half_goals: halfTotals(1 - share)
+        },
+        matrices: { asian_handicap: matrix }
+      });
+    };
+    return this.predictMarkets(matchModel, price, m => m.probability > 0, seed);
+  }
 
-    // Calculate P(X <= line) using Poisson CDF
-    const k = Math.floor(line);
-    for (let i = 0; i <= k; i++) {
-      cumulativeProb += (Math.exp(-lambda) * Math.pow(lambda, i)) / this.factorial(i);
+  /**
+   * Every goal market derived from one score matrix
+   * @param {number[][]} matrix - matrix[home][away] probabilities
+   * @param {Object} goals - expected goals { home, away }
+   * @returns {Array} { statKey, line, side, probability, matchPrediction }
+   */
+  deriveGoalMarkets(matrix, goals) {
+    const markets = [];
+    const expectedTotal = goals.home + goals.away;
+
+    // Over/under total goals
+    for (const line of [0.5, 1.5, 2.5, 3.5, 4.5, 5.5]) {
+      const over = matrixProbability(matrix, (h, a) => h + a > line);
+      markets.push({ statKey: 'goals', line, side: 'over', probability: over, matchPrediction: expectedTotal });
+      markets.push({ statKey: 'goals', line, side: 'under', probability: 1 - over, matchPrediction: expectedTotal });
     }
 
-    // Handle half lines (e.g., 2.5)
-    // For over 2.5, we need P(X >= 3) = 1 - P(X <= 2)
-    const underProb = cumulativeProb;
-    const overProb = 1 - underProb;
+    // BTTS (Both Teams To Score)
+    const btts = matrixProbability(matrix, (h, a) => h > 0 && a > 0);
+    markets.push({ statKey: 'btts', line: null, side: 'yes', probability: btts, matchPrediction: null });
+    markets.push({ statKey: 'btts', line: null, side: 'no', probability: 1 - btts, matchPrediction: null });
 
-    return {
-      over: Math.max(0, Math.min(1, overProb)),
-      under: Math.max(0, Math.min(1, underProb))
+    // Home/Away team to score
+    markets.push({ statKey: 'home_to_score', line: 0.5, side: 'over', probability: matrixProbability(matrix, (h) => h > 0), matchPrediction: goals.home });
+    markets.push({ statKey: 'away_to_score', line: 0.5, side: 'over', probability: matrixProbability(matrix, (h, a) => a > 0), matchPrediction: goals.away });
+
+    // Clean sheets
+    markets.push({ statKey: 'home_clean_sheet', line: null, side: 'yes', probability: matrixProbability(matrix, (h, a) => a === 0), matchPrediction: goals.away });
+    markets.push({ statKey: 'away_clean_sheet', line: null, side: 'yes', probability: matrixProbability(matrix, (h) => h === 0), matchPrediction: goals.home });
+
+    return markets;
+  }
+
+  /**
+   * Team totals and per-half totals.
+   * Team totals are the matrix marginals. Each half gets its own score
+   * matrix with expected goals scaled by the first-half share; the
+   * low-score correction is dropped since rho is fitted on full-time scores.
+   * @param {number[][]} matrix - matrix[home][away] probabilities
+   * @param {Object} goals - expected goals { home, away, firstHalfShare }
+   * @returns {Array} { statKey, line, side, probability, matchPrediction }
+   */
+  deriveTeamAndHalfMarkets(matrix, goals) {
+    const markets = [];
+    const overUnder = (statKey, m, total, lines, expected) => {
+      for (const line of lines) {
+        const over = matrixProbability(m, (h, a) => total(h, a) > line);
+        markets.push({ statKey, line, side: 'over', probability: over, matchPrediction: expected });
+        markets.push({ statKey, line, side: 'under', probability: 1 - over, matchPrediction: expected });
+      }
     };
+
+    // Home / away team totals
+    overUnder('home_team_goals', matrix, (h) => h, [0.5, 1.5, 2.5, 3.5], goals.home);
+    overUnder('away_team_goals', matrix, (h, a) => a, [0.5, 1.5, 2.5, 3.5], goals.away);
+
+    // First / second half totals
+    const share = goals.firstHalfShare ?? DEFAULT_FIRST_HALF_SHARE;
+    const halves = [
+      { statKey: 'first_half_goals', share },
+      { statKey: 'second_half_goals', share: 1 - share }
+    ];
+    for (const half of halves) {
+      const home = goals.home * half.share;
+      const away = goals.away * half.share;
+      overUnder(half.statKey, scoreMatrix(home, away, 0), (h, a) => h + a, [0.5, 1.5, 2.5], home + away);
+    }
+
+    return markets;
   }
 
   /**
-   * Factorial helper for Poisson calculation
+   * Match result and handicap markets derived from one score matrix.
+   * Markets that can push or half-settle (draw no bet, Asian handicap) carry
+   * a `settlement` distribution; their `probability` is the push-adjusted
+   * win probability (1 / fair odds), so it compares like-for-like with the rest.
+   * @param {number[][]} matrix - matrix[home][away] probabilities
+   * @param {Object} goals - expected goals { home, away }
+   * @returns {Array} { statKey, line, side, probability, matchPrediction, settlement? }
    */
-  factorial(n) {
-    if (n <= 1) return 1;
-    let result = 1;
-    for (let i = 2; i <= n; i++) {
-      result *= i;
+  deriveResultMarkets(matrix, goals) {
+    const markets = [];
+    const expectedMargin = goals.home - goals.away;
+
+    // 1X2
+    const home = matrixProbability(matrix, (h, a) => h > a);
+    const draw = matrixProbability(matrix, (h, a) => h === a);
+    const away = 1 - home - draw;
+    markets.push({ statKey: 'match_result', line: null, side: 'home', probability: home, matchPrediction: expectedMargin });
+    markets.push({ statKey: 'match_result', line: null, side: 'draw', probability: draw, matchPrediction: expectedMargin });
+    markets.push({ statKey: 'match_result', line: null, side: 'away', probability: away, matchPrediction: expectedMargin });
+
+    // Double chance
+    markets.push({ statKey: 'double_chance', line: null, side: '1X', probability: home + draw, matchPrediction: expectedMargin });
+    markets.push({ statKey: 'double_chance', line: null, side: '12', probability: home + away, matchPrediction: expectedMargin });
+    markets.push({ statKey: 'double_chance', line: null, side: 'X2', probability: draw + away, matchPrediction: expectedMargin });
+
+    // Handicap-style markets settle from the same matrix
+    const settled = (statKey, line, side, handicap = line) => {
+      const settlement = asianHandicapSettlement(matrix, handicap, side);
+      return {
+        statKey,
+        line,
+        side,
+        probability: 1 / settlementFairOdds(settlement),
+        matchPrediction: expectedMargin,
+        settlement
+      };
+    };
+
+    // Draw no bet (= Asian handicap 0)
+    markets.push(settled('draw_no_bet', null, 'home', 0));
+    markets.push(settled('draw_no_bet', null, 'away', 0));
+
+    // Asian handicap, home-perspective lines incl. quarter lines
+    for (let line = -2.5; line <= 2.5; line += 0.25) {
+      const l = Number(line.toFixed(2));
+      markets.push(settled('asian_handicap', l, 'home'));
+      markets.push(settled('asian_handicap', l, 'away'));
     }
-    return result;
+
+    // Winning margin
+    for (const team of ['home', 'away']) {
+      for (const margin of [1, 2]) {
+        markets.push({
+          statKey: 'winning_margin',
+          line: null,
+          side: `${team}_${margin}`,
+          probability: matrixProbability(matrix, (h, a) => (team === 'home' ? h - a : a - h) === margin),
+          matchPrediction: expectedMargin
+        });
+      }
+      markets.push({
+        statKey: 'winning_margin',
+        line: null,
+        side: `${team}_3+`,
+        probability: matrixProbability(matrix, (h, a) => (team === 'home' ? h - a : a - h) >= 3),
+        matchPrediction: expectedMargin
+      });
+    }
+    markets.push({ statKey: 'winning_margin', line: null, side: 'draw', probability: draw, matchPrediction: expectedMargin });
+
+    // Correct score (up to 5 goals each)
+    for (let h = 0; h <= 5; h++) {
+      for (let a = 0; a <= 5; a++) {
+        markets.push({
+          statKey: 'correct_score',
+          line: null,
+          side: `${h}-${a}`,
+          probability: matrix[h][a],
+          matchPrediction: expectedMargin
+        });
+      }
+    }
+
+    return markets;
   }
 
   /**
    * Get all value bets across all leagues
    */
-  async getAllValueBets(minProb = 0.58, maxProb = 0.62) {
+  async getAllValueBets(minProb = 0.58, maxProb = 0.62, features = this.matchFeatures) {
     const allMatches = await this.getAllTodaysMatches();
     const results = [];
 
     for (const match of allMatches) {
       try {
-        const predictions = await this.generateMatchPredictions(match, minProb, maxProb);
+        const matchModel = await this.getMatchModel(match, features);
+        const predictions = await this.generateMatchPredictions(match, minProb, maxProb, features, matchModel);
 
-        if (predictions.length > 0) {
+        if (predictions.length > 0 || matchModel) {
           results.push({
             matchId: match.id,
             homeTeam: match.homeTeam,
@@ -542,7 +846,9 @@ class FootballDataService {
             leagueName: match.leagueName,
             country: match.country,
             oddsSlug: match.oddsSlug,
-            predictions: predictions.slice(0, 10)
+            predictions: predictions.slice(0, 10),
+            // kept for pricing the offered lines once the odds are in
+            matchModel
           });
         }
       } catch (error) {
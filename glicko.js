@@ -0,0 +1,89 @@
+// glicko.js - Glicko-1 team ratings (Elo with a rating deviation)
+//
+// Each team has a rating r and a deviation RD. RD shrinks as a team plays
+// and grows back while it is idle (off-season), so a new or long-idle team
+// moves quickly and an established one slowly.
+
+const Q = Math.LN10 / 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INITIAL_RATING = 1500;
+const MAX_RD = 350;
+// Floor so ratings keep tracking form instead of freezing
+const MIN_RD = 40;
+// RD growth per idle day: an established team (RD 50) is back to 350 after a year
+const RD_GROWTH_PER_DAY = Math.sqrt((MAX_RD ** 2 - 50 ** 2) / 365);
+
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score of team a against team b (1 = win, 0.5 = draw).
+ *
+ * @param {{ rating: number, rd: number }} a
+ * @param {{ rating: number, rd: number }} b
+ * @param {number} [advantage] - rating points added to a (home advantage)
+ */
+function expectedScore(a, b, advantage = 0) {
+  return 1 / (1 + Math.pow(10, (-g(b.rd) * (a.rating + advantage - b.rating)) / 400));
+}
+
+/**
+ * RD after `days` without a game.
+ */
+function inflateRd(rd, days) {
+  return Math.min(MAX_RD, Math.sqrt(rd * rd + RD_GROWTH_PER_DAY ** 2 * Math.max(0, days)));
+}
+
+function newRating() {
+  return { rating: INITIAL_RATING, rd: MAX_RD, games: 0, lastPlayed: null };
+}
+
+// One-game Glicko update of `team` against `opponent`
+function updateOne(team, opponent, score, advantage) {
+  const e = expectedScore(team, opponent, advantage);
+  const gj = g(opponent.rd);
+  const d2 = 1 / (Q * Q * gj * gj * e * (1 - e));
+  const precision = 1 / (team.rd * team.rd) + 1 / d2;
+  return {
+    rating: team.rating + (Q / precision) * gj * (score - e),
+    rd: Math.max(MIN_RD, Math.sqrt(1 / precision)),
+  };
+}
+
+/**
+ * Update both teams after a result. Both updates use the pre-game ratings.
+ *
+ * @param {Object} home - { rating, rd, games, lastPlayed }
+ * @param {Object} away
+ * @param {number} homeScore
+ * @param {number} awayScore
+ * @param {Object} [opts]
+ * @param {string|number} [opts.date] - game date (drives RD inflation)
+ * @param {number} [opts.homeAdvantage] - rating points
+ * @returns {{ home: Object, away: Object }} updated copies
+ */
+function rateGame(home, away, homeScore, awayScore, { date, homeAdvantage = 0 } = {}) {
+  const when = date ? new Date(date).getTime() : Date.now();
+  const idle = (t) => (t.lastPlayed ? (when - new Date(t.lastPlayed).getTime()) / DAY_MS : 0);
+
+  const h = { ...home, rd: inflateRd(home.rd, idle(home)) };
+  const a = { ...away, rd: inflateRd(away.rd, idle(away)) };
+  const s = homeScore > awayScore ? 1 : homeScore < awayScore ? 0 : 0.5;
+  const played = new Date(when).toISOString();
+
+  return {
+    home: { ...h, ...updateOne(h, a, s, homeAdvantage), games: h.games + 1, lastPlayed: played },
+    away: { ...a, ...updateOne(a, h, 1 - s, -homeAdvantage), games: a.games + 1, lastPlayed: played },
+  };
+}
+
+module.exports = {
+  INITIAL_RATING,
+  MAX_RD,
+  expectedScore,
+  inflateRd,
+  newRating,
+  rateGame,
+};
@@ -0,0 +1,138 @@
+// intervals.js - Uncertainty bands on model probabilities and the EV they imply
+//
+// A probability rests on estimated means (a player's average, a team's
+// expected goals), and those estimates come from a handful of games. Two ways
+// to carry that through to the price:
+// - meanShiftInterval: the probability is monotone in one estimated mean, so
+//   the band is the price at both ends of the mean's own (normal) interval.
+// - drawnIntervals: expected counts are drawn from lognormal posteriors and
+//   every market is re-priced per draw; the band is the quantiles of the draws.
+const { normalCdf } = require("./distributions");
+const { createRng, gaussian } = require("./simulation");
+const { effectiveSampleSize } = require("./timeDecay");
+
+// Central 80% band
+const INTERVAL_LEVEL = 0.8;
+const INTERVAL_DRAWS = 200;
+
+/**
+ * Standard normal quantile (bisection on the cdf; accurate to ~1e-10).
+ */
+function normalQuantile(q) {
+  let lo = -10;
+  let hi = 10;
+  for (let i = 0; i < 70; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < q) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Effective games behind the recent-form / season blend
+ * (weightRecent on the newest `recent` games, the rest on all `n`).
+ */
+function blendEffectiveN(n, recent, weightRecent) {
+  if (!n) return 0;
+  const r = Math.min(recent, n);
+  return effectiveSampleSize(
+    Array.from({ length: n }, (_, i) => (1 - weightRecent) / n + (i < r ? weightRecent / r : 0))
+  );
+}
+
+/**
+ * Band for a probability that moves monotonically with one estimated mean.
+ *
+ * @param {Function} priceAt - mean => probability
+ * @param {number} mu - point estimate of the mean
+ * @param {number} se - standard error of the mean
+ * @param {number} [level]
+ * @returns {{ low: number, high: number, level: number }}
+ */
+function meanShiftInterval(priceAt, mu, se, level = INTERVAL_LEVEL) {
+  const z = normalQuantile(0.5 + level / 2);
+  const spread = Number.isFinite(se) && se > 0 ? z * se : 0;
+  const a = priceAt(mu - spread);
+  const b = priceAt(mu + spread);
+  return { low: Math.min(a, b), high: Math.max(a, b), level };
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Bands for every market of a fixture by re-pricing at drawn expected counts.
+ *
+ * @param {Object<string, number>} means - e.g. { home: 1.6, away: 1.1 }
+ * @param {Object<string, number>} logSd - sd of log(mean) for each key of means
+ * @param {Function} price - means => [{ statKey, line, side, probability }]
+ * @param {Object} [opts] - { draws, seed, level }
+ * @returns {Map<string, { low, high, level }>} keyed by marketKey
+ */
+function drawnIntervals(means, logSd, price, { draws = INTERVAL_DRAWS, seed = 1, level = INTERVAL_LEVEL } = {}) {
+  const rng = createRng(seed);
+  const samples = new Map();
+
+  for (let i = 0; i < draws; i++) {
+    const drawn = {};
+    for (const [key, mu] of Object.entries(means)) {
+      const sd = logSd[key] || 0;
+      // median-unbiased: the draws centre on the point estimate
+      drawn[key] = mu * Math.exp(sd * gaussian(rng));
+    }
+    for (const m of price(drawn)) {
+      const key = marketKey(m);
+      if (!samples.has(key)) samples.set(key, []);
+      samples.get(key).push(m.probability);
+    }
+  }
+
+  const tail = (1 - level) / 2;
+  const bands = new Map();
+  for (const [key, values] of samples) {
+    const sorted = values.sort((a, b) => a - b);
+    bands.set(key, { low: quantile(sorted, tail), high: quantile(sorted, 1 - tail), level });
+  }
+  return bands;
+}
+
+/**
+ * Identity of a market within one fixture.
+ */
+function marketKey(m) {
+  return `${m.statKey}|${m.line}|${m.side}`;
+}
+
+/**
+ * EV (%) at both ends of a probability band.
+ * Markets that can push or half-settle scale by the stake actually at risk,
+ * matching eplOddsService.calculatePredictionEV at the point estimate.
+ *
+ * @param {{ low: number, high: number }} interval - probabilities (0-1)
+ * @param {number} odds - decimal odds
+ * @param {Object} [settlement] - { win, halfWin, push, halfLoss, loss }
+ * @returns {{ low: number, high: number }}
+ */
+function evInterval(interval, odds, settlement = null) {
+  const atRisk = settlement
+    ? settlement.win + settlement.halfWin / 2 + settlement.loss + settlement.halfLoss / 2
+    : 1;
+  const ev = (p) => atRisk * (p * odds - 1) * 100;
+  return { low: ev(interval.low), high: ev(interval.high) };
+}
+
+module.exports = {
+  INTERVAL_LEVEL,
+  INTERVAL_DRAWS,
+  normalQuantile,
+  blendEffectiveN,
+  meanShiftInterval,
+  drawnIntervals,
+  marketKey,
+  evInterval,
+};
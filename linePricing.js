@@ -0,0 +1,115 @@
+// linePricing.js - Price the exact lines bookmakers offer
+//
+// Ladder scans only produce half lines in a probability window; bookmakers
+// also hang whole lines (which push) and quarter lines (which split the
+// stake). Every offered line is priced from the model's distribution of the
+// count, with the full settlement so EV is right for all three kinds.
+const { normalCdf } = require("./distributions");
+const { asianHandicapSettlement, settlementFairOdds } = require("./dixonColes");
+
+// Normal approximations are cut where this little mass is left
+const TAIL_SDS = 8;
+
+/**
+ * Distribution of a count from a joint table, e.g. total goals from a
+ * home x away score matrix.
+ *
+ * @param {number[][]} matrix - matrix[h][a]
+ * @param {Function} count - (h, a) => integer
+ * @returns {number[]} pmf[k]
+ */
+function pmfFromMatrix(matrix, count) {
+  const pmf = [];
+  for (let h = 0; h < matrix.length; h++) {
+    for (let a = 0; a < matrix[h].length; a++) {
+      const k = count(h, a);
+      pmf[k] = (pmf[k] || 0) + matrix[h][a];
+    }
+  }
+  return Array.from(pmf, (p) => p || 0);
+}
+
+/**
+ * Integer pmf of a normal approximation (continuity-corrected, negative
+ * mass lumped at 0), as computeMatchStatProb prices over/under.
+ */
+function normalPmf(mu, sigma) {
+  const max = Math.max(1, Math.ceil(mu + TAIL_SDS * sigma));
+  const pmf = [];
+  for (let k = 0; k <= max; k++) {
+    const upper = normalCdf((k + 0.5 - mu) / sigma);
+    const lower = k === 0 ? 0 : normalCdf((k - 0.5 - mu) / sigma);
+    pmf.push(upper - lower);
+  }
+  return pmf;
+}
+
+/**
+ * Settlement of an over/under bet on a count; quarter lines (2.25) split
+ * the stake over the two neighbouring lines.
+ *
+ * @param {number[]} pmf - pmf[k]
+ * @param {number} line
+ * @param {"over"|"under"} side
+ * @returns {{ win, halfWin, push, halfLoss, loss }}
+ */
+function totalSettlement(pmf, line, side) {
+  const quarter = Math.abs((line * 4) % 2) === 1;
+  const lines = quarter ? [line - 0.25, line + 0.25] : [line, line];
+  const settle = (k, l) => {
+    const r = side === "over" ? k - l : l - k;
+    return r > 0 ? 1 : r < 0 ? -1 : 0;
+  };
+
+  const result = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+  pmf.forEach((p, k) => {
+    const score = settle(k, lines[0]) + settle(k, lines[1]);
+    result[{ 2: "win", 1: "halfWin", 0: "push", "-1": "halfLoss", "-2": "loss" }[score]] += p;
+  });
+  return result;
+}
+
+/**
+ * Price offered lines.
+ *
+ * @param {Array<{ statKey, line, sides: string[] }>} offers - eplOddsService.listOfferedLines
+ * @param {Object} model
+ * @param {Object<string, number[]>} [model.pmfs] - statKey => pmf of the count
+ * @param {Object<string, number[][]>} [model.matrices] - handicap statKey => home x away table
+ * @returns {Array} { statKey, line, side, probability, matchPrediction, settlement }
+ */
+function priceOffers(offers, { pmfs = {}, matrices = {} }) {
+  const markets = [];
+  for (const offer of offers) {
+    const pmf = pmfs[offer.statKey];
+    const matrix = matrices[offer.statKey];
+    if (!pmf && !matrix) continue;
+
+    // expected count, or expected home margin for handicaps
+    const expected = pmf
+      ? pmf.reduce((s, p, k) => s + p * k, 0)
+      : matrix.reduce((s, row, h) => s + row.reduce((t, p, a) => t + p * (h - a), 0), 0);
+
+    for (const side of offer.sides) {
+      const settlement = pmf
+        ? totalSettlement(pmf, offer.line, side)
+        : asianHandicapSettlement(matrix, offer.line, side);
+      markets.push({
+        statKey: offer.statKey,
+        line: offer.line,
+        side,
+        probability: 1 / settlementFairOdds(settlement),
+        matchPrediction: expected,
+        settlement,
+      });
+    }
+  }
+  return markets;
+}
+
+module.exports = {
+  pmfFromMatrix,
+  normalPmf,
+  totalSettlement,
+  priceOffers,
+};
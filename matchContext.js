@@ -0,0 +1,125 @@
+// matchContext.js - Head-to-head tendencies and table motivation for football fixtures
+//
+// Both are optional multiplicative adjustments to a fixture's expected counts:
+// - H2H: how many goals (or corners) past meetings produced relative to what
+//   the model expects of this fixture now, shrunk toward no effect.
+// - Motivation: in the run-in, a side with nothing left to play for scores a
+//   little less and concedes a little more than its ratings say.
+
+// Meetings at which the observed H2H tendency gets half weight
+const H2H_SHRINK_MEETINGS = 10;
+// Older meetings say little about the current squads
+const H2H_MAX_AGE_YEARS = 5;
+const H2H_BOUNDS = [0.85, 1.15];
+
+// Motivation only matters once the table has mostly settled
+const RUN_IN_GAMES = 8;
+const EUROPEAN_PLACES = 4;
+const RELEGATION_PLACES = 3;
+// Scoring / conceding multipliers by status; "open" and the races are neutral
+const MOTIVATION_FACTORS = {
+  nothing: { attack: 0.95, concede: 1.05 },
+};
+
+/**
+ * Shrunk ratio of the meetings' mean total to the fixture's expected total.
+ *
+ * @param {number[]} totals - goals (or corners) per past meeting
+ * @param {number} expected - model's expected total for this fixture
+ * @returns {{ factor: number, meetings: number, observed: number|null, expected: number }}
+ */
+function h2hTendency(totals, expected) {
+  const n = totals.length;
+  if (!n || !(expected > 0)) return { factor: 1, meetings: n, observed: null, expected };
+
+  const observed = totals.reduce((s, t) => s + t, 0) / n;
+  const weight = n / (n + H2H_SHRINK_MEETINGS);
+  const factor = 1 + weight * (observed / expected - 1);
+  return {
+    factor: Math.min(H2H_BOUNDS[1], Math.max(H2H_BOUNDS[0], factor)),
+    meetings: n,
+    observed,
+    expected,
+  };
+}
+
+/**
+ * Goals per finished meeting from a football-data.org head2head response,
+ * limited to recent meetings before the fixture.
+ */
+function h2hGoalTotals(h2h, kickoff = new Date()) {
+  const before = new Date(kickoff).getTime();
+  const since = before - H2H_MAX_AGE_YEARS * 365.25 * 24 * 60 * 60 * 1000;
+  return (h2h?.matches || [])
+    .filter((m) => m.status === "FINISHED")
+    .filter((m) => {
+      const t = new Date(m.utcDate).getTime();
+      return t < before && t >= since;
+    })
+    .filter((m) => m.score?.fullTime?.home != null && m.score?.fullTime?.away != null)
+    .map((m) => m.score.fullTime.home + m.score.fullTime.away);
+}
+
+// Can the boundary below position `places` still move for this team?
+function boundaryOpen(table, row, places, totalGames) {
+  if (places <= 0 || places >= table.length) return false;
+  const remaining = (r) => Math.max(0, totalGames - r.playedGames);
+  const lastIn = table[places - 1];
+  const firstOut = table[places];
+  if (row.position <= places) {
+    return firstOut.points + 3 * remaining(firstOut) >= row.points;
+  }
+  return row.points + 3 * remaining(row) >= lastIn.points;
+}
+
+/**
+ * What a team is playing for, from a league table (football-data.org TOTAL table).
+ * Before the run-in everyone counts as "open".
+ *
+ * @param {Object[]} table - { position, team: { id }, playedGames, points }
+ * @param {number} teamId
+ * @param {Object} [opts] - { europeanPlaces, relegationPlaces }
+ * @returns {{ status: string, position: number, remaining: number } | null}
+ */
+function tableMotivation(table, teamId, { europeanPlaces = EUROPEAN_PLACES, relegationPlaces = RELEGATION_PLACES } = {}) {
+  const sorted = [...(table || [])].sort((a, b) => a.position - b.position);
+  const row = sorted.find((r) => r.team?.id === teamId);
+  if (!row) return null;
+
+  // double round robin
+  const totalGames = 2 * (sorted.length - 1);
+  const remaining = Math.max(0, totalGames - row.playedGames);
+  const context = { position: row.position, points: row.points, remaining };
+
+  if (remaining > RUN_IN_GAMES) return { status: "open", ...context };
+  if (boundaryOpen(sorted, row, 1, totalGames)) return { status: "title", ...context };
+  if (boundaryOpen(sorted, row, sorted.length - relegationPlaces, totalGames)) {
+    return { status: "relegation", ...context };
+  }
+  if (boundaryOpen(sorted, row, europeanPlaces, totalGames)) return { status: "europe", ...context };
+  return { status: "nothing", ...context };
+}
+
+/**
+ * Expected-goal multipliers for a fixture from both sides' motivation.
+ *
+ * @returns {{ home: number, away: number }} multipliers on home / away goals
+ */
+function motivationFactors(homeStatus, awayStatus) {
+  const neutral = { attack: 1, concede: 1 };
+  const home = MOTIVATION_FACTORS[homeStatus] || neutral;
+  const away = MOTIVATION_FACTORS[awayStatus] || neutral;
+  return {
+    home: home.attack * away.concede,
+    away: away.attack * home.concede,
+  };
+}
+
+module.exports = {
+  H2H_MAX_AGE_YEARS,
+  RUN_IN_GAMES,
+  h2hTendency,
+  h2hGoalTotals,
+  tableMotivation,
+  motivationFactors,
+};
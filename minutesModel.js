@@ -0,0 +1,157 @@
+// minutesModel.js - Minutes-based NBA projections (per-minute rate x projected minutes)
+const { decayWeights, weightedMean, weightedVariance } = require("./timeDecay");
+
+// A game is an early exit when the player logged less than this share of
+// their typical minutes
+const EARLY_EXIT_SHARE = 0.5;
+// Final margin that marks a blowout; starters sit the fourth quarter
+const BLOWOUT_MARGIN = 25;
+const BLOWOUT_MINUTES_SHARE = 0.8;
+// Number of recent games the minutes trend is fitted on
+const MINUTES_TREND_GAMES = 10;
+// Regulation minutes; a minutes boost can't project past them
+const GAME_MINUTES = 48;
+
+/**
+ * Parse balldontlie's `min` field ("34", "34:12", "" or null) to minutes.
+ */
+function parseMinutes(min) {
+  if (min == null || min === "") return 0;
+  if (typeof min === "number") return min;
+  const [m, s] = String(min).split(":");
+  const minutes = Number(m) + (s ? Number(s) / 60 : 0);
+  return Number.isFinite(minutes) ? minutes : 0;
+}
+
+function median(arr) {
+  if (!arr.length) return 0;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Drop DNPs, early exits (injury, ejection, foul trouble) and garbage-time
+ * blowouts, which understate what the player does in a normal game.
+ *
+ * @param {Object[]} stats - balldontlie stat rows
+ * @returns {Object[]} stat rows played under normal conditions
+ */
+function filterRepresentativeGames(stats) {
+  const played = stats.filter((s) => parseMinutes(s.min) > 0);
+  const typical = median(played.map((s) => parseMinutes(s.min)));
+  if (!typical) return played;
+
+  return played.filter((s) => {
+    const minutes = parseMinutes(s.min);
+    if (minutes < EARLY_EXIT_SHARE * typical) return false;
+
+    const margin = Math.abs(
+      (s.game?.home_team_score || 0) - (s.game?.visitor_team_score || 0)
+    );
+    if (margin >= BLOWOUT_MARGIN && minutes < BLOWOUT_MINUTES_SHARE * typical) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Project next-game minutes from a weighted linear trend over recent games.
+ * The projection is clamped to the observed range so a short streak can't
+ * extrapolate to 45 minutes.
+ *
+ * @param {number[]} minutes - newest first
+ * @param {number} halfLife - decay half-life in games
+ * @returns {{ mean: number, sigma: number, slope: number }}
+ */
+function projectMinutes(minutes, halfLife = 5) {
+  const recent = minutes.slice(0, MINUTES_TREND_GAMES);
+  const n = recent.length;
+  if (!n) return { mean: 0, sigma: 0, slope: 0 };
+
+  // x = -age so a positive slope means minutes are trending up
+  const xs = recent.map((_, i) => -i);
+  const w = decayWeights(xs.map((x) => -x), halfLife);
+  const xBar = weightedMean(xs, w);
+  const yBar = weightedMean(recent, w);
+
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += w[i] * (xs[i] - xBar) * (recent[i] - yBar);
+    sxx += w[i] * (xs[i] - xBar) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+
+  // Predict one game ahead (x = 1)
+  const raw = yBar + slope * (1 - xBar);
+  const mean = Math.min(Math.max(raw, Math.min(...recent)), Math.max(...recent));
+
+  const residuals = recent.map((y, i) => y - (yBar + slope * (xs[i] - xBar)));
+  const sigma = Math.sqrt(weightedVariance(residuals, w));
+
+  return { mean, sigma, slope };
+}
+
+/**
+ * Per-minute production rate and its game-to-game dispersion.
+ * Rates are pooled (sum of stat / sum of minutes) so short stints
+ * don't dominate; dispersion is minutes-weighted.
+ *
+ * @param {number[]} values - stat per game, newest first
+ * @param {number[]} minutes - minutes per game, aligned with values
+ * @param {number} halfLife - decay half-life in games
+ */
+function perMinuteRate(values, minutes, halfLife = 10) {
+  const decay = decayWeights(values.map((_, i) => i), halfLife);
+  const w = decay.map((d, i) => d * minutes[i]);
+  const rates = values.map((v, i) => (minutes[i] > 0 ? v / minutes[i] : 0));
+  return {
+    rate: weightedMean(rates, w),
+    rateVariance: weightedVariance(rates, w),
+  };
+}
+
+/**
+ * Project a stat as rate x minutes, with variance from both components:
+ * Var(R*M) = E[M]^2 Var(R) + E[R]^2 Var(M) + Var(R) Var(M)
+ *
+ * @param {number[]} values - stat per game, newest first
+ * @param {number[]} minutes - minutes per game, aligned with values
+ * @param {Object} [opts]
+ * @param {number} [opts.halfLife] - rate decay half-life in games
+ * @param {number} [opts.minutesHalfLife] - minutes-trend half-life in games
+ * @param {number} [opts.minutesFactor] - scales projected minutes (e.g. teammates out, usageModel.js)
+ */
+function projectFromMinutes(values, minutes, { halfLife = 10, minutesHalfLife = 5, minutesFactor = 1 } = {}) {
+  const { rate, rateVariance } = perMinuteRate(values, minutes, halfLife);
+  const projected = projectMinutes(minutes, minutesHalfLife);
+  const scale = projected.mean > 0 ? Math.min(minutesFactor, Math.max(1, GAME_MINUTES / projected.mean)) : 1;
+  const mins = { ...projected, mean: projected.mean * scale, sigma: projected.sigma * scale };
+  const minutesVariance = mins.sigma * mins.sigma;
+
+  const mu = rate * mins.mean;
+  const variance =
+    mins.mean * mins.mean * rateVariance +
+    rate * rate * minutesVariance +
+    rateVariance * minutesVariance;
+
+  return {
+    mu,
+    sigma: Math.sqrt(variance),
+    rate,
+    projectedMinutes: mins.mean,
+    minutesFactor: scale,
+    minutesSigma: mins.sigma,
+    minutesTrend: mins.slope,
+  };
+}
+
+module.exports = {
+  parseMinutes,
+  filterRepresentativeGames,
+  projectMinutes,
+  perMinuteRate,
+  projectFromMinutes,
+};
@@ -0,0 +1,127 @@
+// nbaDefense.js - Opponent-allowed factors per stat and position (NBA)
+
+// Games of evidence at which a team's raw factor gets half weight
+const SHRINK_GAMES = 10;
+// Never move mu by more than this in either direction
+const MAX_ADJUSTMENT = 0.15;
+
+/**
+ * Collapse balldontlie positions ("G", "G-F", "F-C", "C", "") to G / F / C.
+ */
+function positionGroup(position) {
+  const p = String(position || "").trim().toUpperCase();
+  if (p.startsWith("C")) return "C";
+  if (p.startsWith("F")) return "F";
+  if (p.startsWith("G")) return "G";
+  return "ALL";
+}
+
+/**
+ * Aggregate what every team allowed, per position group and stat.
+ *
+ * @param {Object[]} statRows - balldontlie /stats rows (player, team, game)
+ * @param {Object<string, Function>} extractors - stat key => (row) => value
+ * @returns {{ teams: Object, league: Object }} per-game averages keyed
+ *   [teamId][group][statKey] and league [group][statKey]
+ */
+function aggregateAllowed(statRows, extractors) {
+  // sums[teamId][group][key] and the set of games each team defended
+  const sums = {};
+  const teamGames = {};
+  const leagueSums = {};
+  const leagueGames = new Set();
+
+  for (const row of statRows) {
+    const game = row.game;
+    if (!game || !row.team) continue;
+
+    const offenseId = row.team.id;
+    const defenseId =
+      game.home_team_id === offenseId ? game.visitor_team_id : game.home_team_id;
+    if (defenseId == null) continue;
+
+    teamGames[defenseId] = teamGames[defenseId] || new Set();
+    teamGames[defenseId].add(game.id);
+    leagueGames.add(`${game.id}_${defenseId}`);
+
+    const groups = ["ALL", positionGroup(row.player?.position)];
+    for (const group of new Set(groups)) {
+      for (const [key, extract] of Object.entries(extractors)) {
+        const v = extract(row);
+        if (v == null || !Number.isFinite(v)) continue;
+
+        sums[defenseId] = sums[defenseId] || {};
+        sums[defenseId][group] = sums[defenseId][group] || {};
+        sums[defenseId][group][key] = (sums[defenseId][group][key] || 0) + v;
+
+        leagueSums[group] = leagueSums[group] || {};
+        leagueSums[group][key] = (leagueSums[group][key] || 0) + v;
+      }
+    }
+  }
+
+  const teams = {};
+  for (const [teamId, groups] of Object.entries(sums)) {
+    const n = teamGames[teamId].size;
+    teams[teamId] = { games: n };
+    for (const [group, keys] of Object.entries(groups)) {
+      teams[teamId][group] = {};
+      for (const [key, total] of Object.entries(keys)) {
+        teams[teamId][group][key] = total / n;
+      }
+    }
+  }
+
+  // league: average allowed per team-game
+  const league = {};
+  const teamGameCount = leagueGames.size || 1;
+  for (const [group, keys] of Object.entries(leagueSums)) {
+    league[group] = {};
+    for (const [key, total] of Object.entries(keys)) {
+      league[group][key] = total / teamGameCount;
+    }
+  }
+
+  return { teams, league };
+}
+
+/**
+ * Multiplicative factor on mu for a player facing `opponentId`.
+ * 1.05 means the opponent allows 5% more of this stat to this position
+ * than the league average, after shrinking toward 1 for small samples.
+ *
+ * @returns {number} factor (1 when no data)
+ */
+function opponentFactor(allowed, opponentId, position, statKey) {
+  const team = allowed.teams[opponentId];
+  if (!team) return 1;
+
+  let group = positionGroup(position);
+  if (!team[group] || !allowed.league[group]) group = "ALL";
+
+  const teamValue = team[group]?.[statKey];
+  const leagueValue = allowed.league[group]?.[statKey];
+  if (!teamValue || !leagueValue) return 1;
+
+  const raw = teamValue / leagueValue;
+  const shrunk = 1 + (raw - 1) * (team.games / (team.games + SHRINK_GAMES));
+  return Math.min(1 + MAX_ADJUSTMENT, Math.max(1 - MAX_ADJUSTMENT, shrunk));
+}
+
+/**
+ * Factors for every stat key at once.
+ */
+function opponentFactors(allowed, opponentId, position, statKeys) {
+  const factors = {};
+  for (const key of statKeys) {
+    factors[key] = opponentFactor(allowed, opponentId, position, key);
+  }
+  return factors;
+}
+
+module.exports = {
+  positionGroup,
+  aggregateAllowed,
+  opponentFactor,
+  opponentFactors,
+};
@@ -0,0 +1,166 @@
+// nbaPriors.js - Empirical-Bayes priors by position and minutes tier (NBA)
+const { positionGroup } = require("./nbaDefense");
+const { parseMinutes } = require("./minutesModel");
+
+// Average minutes that separate bench / rotation / starter roles
+const MINUTES_TIERS = [
+  { tier: "starter", min: 28 },
+  { tier: "rotation", min: 18 },
+  { tier: "bench", min: 0 },
+];
+// Players need this many games in the window to inform a prior
+const MIN_PRIOR_GAMES = 3;
+// Groups with fewer players fall back to the position-wide prior
+const MIN_PRIOR_PLAYERS = 5;
+// Prior degrees of freedom for the variance (scaled inverse chi-square)
+const PRIOR_VARIANCE_DF = 6;
+
+function minutesTier(avgMinutes) {
+  return MINUTES_TIERS.find((t) => avgMinutes >= t.min).tier;
+}
+
+function meanVar(arr) {
+  const n = arr.length;
+  if (!n) return { mean: 0, variance: 0 };
+  const m = arr.reduce((s, x) => s + x, 0) / n;
+  if (n < 2) return { mean: m, variance: 0 };
+  return { mean: m, variance: arr.reduce((s, x) => s + (x - m) ** 2, 0) / (n - 1) };
+}
+
+/**
+ * Summarise a set of players into a prior for one stat.
+ * withinVar is the pooled game-to-game variance, betweenVar the spread of
+ * true player means (method of moments, floored so it never vanishes).
+ */
+function summarisePlayers(players) {
+  const means = players.map((p) => p.mean);
+  const across = meanVar(means);
+  const withinVar = players.reduce((s, p) => s + p.variance, 0) / players.length;
+  const avgGames = players.reduce((s, p) => s + p.games, 0) / players.length;
+  const betweenVar = Math.max(across.variance - withinVar / avgGames, 0.05 * withinVar, 1e-6);
+
+  return {
+    mean: across.mean,
+    withinVar,
+    betweenVar,
+    players: players.length,
+  };
+}
+
+/**
+ * Build priors keyed [group][tier][statKey] from league-wide stat rows.
+ * Every group also gets an "ALL" tier, and there is an "ALL" group.
+ *
+ * @param {Object[]} statRows - balldontlie /stats rows
+ * @param {Object<string, Function>} extractors - stat key => (row) => value
+ */
+function buildPositionalPriors(statRows, extractors) {
+  const byPlayer = new Map();
+  for (const row of statRows) {
+    const minutes = parseMinutes(row.min);
+    if (!row.player || minutes <= 0) continue;
+    if (!byPlayer.has(row.player.id)) {
+      byPlayer.set(row.player.id, { position: row.player.position, rows: [] });
+    }
+    byPlayer.get(row.player.id).rows.push(row);
+  }
+
+  // buckets[group][tier][key] => per-player summaries
+  const buckets = {};
+  const add = (group, tier, key, summary) => {
+    buckets[group] = buckets[group] || {};
+    buckets[group][tier] = buckets[group][tier] || {};
+    buckets[group][tier][key] = buckets[group][tier][key] || [];
+    buckets[group][tier][key].push(summary);
+  };
+
+  for (const { position, rows } of byPlayer.values()) {
+    if (rows.length < MIN_PRIOR_GAMES) continue;
+    const avgMinutes = rows.reduce((s, r) => s + parseMinutes(r.min), 0) / rows.length;
+    const group = positionGroup(position);
+    const tier = minutesTier(avgMinutes);
+
+    for (const [key, extract] of Object.entries(extractors)) {
+      const values = rows.map(extract).filter((v) => v != null && Number.isFinite(v));
+      if (values.length < MIN_PRIOR_GAMES) continue;
+      const summary = { ...meanVar(values), games: values.length };
+
+      for (const g of new Set([group, "ALL"])) {
+        add(g, tier, key, summary);
+        add(g, "ALL", key, summary);
+      }
+    }
+  }
+
+  const priors = {};
+  for (const [group, tiers] of Object.entries(buckets)) {
+    priors[group] = {};
+    for (const [tier, keys] of Object.entries(tiers)) {
+      priors[group][tier] = {};
+      for (const [key, players] of Object.entries(keys)) {
+        if (players.length >= MIN_PRIOR_PLAYERS) {
+          priors[group][tier][key] = summarisePlayers(players);
+        }
+      }
+    }
+  }
+
+  return priors;
+}
+
+/**
+ * Most specific prior available for a player: position+tier, then
+ * position, then tier league-wide, then league-wide.
+ */
+function findPrior(priors, position, avgMinutes, statKey) {
+  const group = positionGroup(position);
+  const tier = minutesTier(avgMinutes);
+  const candidates = [
+    [group, tier],
+    [group, "ALL"],
+    ["ALL", tier],
+    ["ALL", "ALL"],
+  ];
+  for (const [g, t] of candidates) {
+    const prior = priors?.[g]?.[t]?.[statKey];
+    if (prior) return { ...prior, group: g, tier: t };
+  }
+  return null;
+}
+
+/**
+ * Shrink a player's mean and sd toward a prior.
+ *
+ * The mean uses the normal-normal posterior; the variance uses the
+ * scaled inverse chi-square posterior. The returned sigma is predictive:
+ * it includes the remaining uncertainty about the mean.
+ *
+ * @param {{ mu: number, sigma: number, n: number }} estimate
+ * @param {{ mean: number, withinVar: number, betweenVar: number }} prior
+ * @returns {{ mu: number, sigma: number, weight: number }} weight = share
+ *   of the player's own data in the posterior mean
+ */
+function shrinkToPrior({ mu, sigma, n }, prior) {
+  const weight = n / (n + prior.withinVar / prior.betweenVar);
+  const postMu = weight * mu + (1 - weight) * prior.mean;
+
+  const dfData = Math.max(n - 1, 0);
+  const variance =
+    (dfData * sigma * sigma + PRIOR_VARIANCE_DF * prior.withinVar) /
+    (dfData + PRIOR_VARIANCE_DF);
+  const meanVariance = 1 / (n / variance + 1 / prior.betweenVar);
+
+  return {
+    mu: postMu,
+    sigma: Math.sqrt(variance + meanVariance),
+    weight,
+  };
+}
+
+module.exports = {
+  MINUTES_TIERS,
+  minutesTier,
+  buildPositionalPriors,
+  findPrior,
+  shrinkToPrior,
+};
@@ -0,0 +1,126 @@
+// nbaSituational.js - Home/away and rest-day adjustments (NBA)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// League-wide effects used as the prior. mu is multiplicative on the
+// player's overall mean, sigma multiplicative on their overall sd.
+const LEAGUE_EFFECTS = {
+  venue: {
+    home: { mu: 1.015, sigma: 1 },
+    away: { mu: 0.985, sigma: 1 },
+  },
+  rest: {
+    0: { mu: 0.97, sigma: 1.05 }, // back-to-back, second leg
+    1: { mu: 1, sigma: 1 },
+    "2+": { mu: 1.01, sigma: 1 },
+  },
+};
+
+// Games in a bucket at which the player's own estimate gets half weight
+const SHRINK_GAMES = 15;
+// A split of a dozen games can't justify more than a 25% change in spread
+const SIGMA_BOUNDS = [0.75, 1.25];
+
+/**
+ * Rest bucket from days between games (1 = played yesterday).
+ */
+function restBucket(daysBetween) {
+  if (daysBetween == null || !Number.isFinite(daysBetween)) return "2+";
+  const rest = Math.max(0, Math.round(daysBetween) - 1);
+  if (rest === 0) return 0;
+  if (rest === 1) return 1;
+  return "2+";
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / DAY_MS;
+}
+
+/**
+ * Tag each game of a newest-first log with venue and rest bucket.
+ *
+ * @param {Object[]} stats - balldontlie stat rows, newest first
+ * @returns {Array<{ venue: "home"|"away", rest: number|string }>}
+ */
+function tagSituations(stats) {
+  return stats.map((s, i) => {
+    const prev = stats[i + 1];
+    return {
+      venue: s.game?.home_team_id === s.team?.id ? "home" : "away",
+      rest: restBucket(prev ? daysBetween(s.game.date, prev.game.date) : null),
+    };
+  });
+}
+
+function meanSd(arr) {
+  if (!arr.length) return { mean: 0, sd: 0 };
+  const m = arr.reduce((s, x) => s + x, 0) / arr.length;
+  if (arr.length < 2) return { mean: m, sd: 0 };
+  const v = arr.reduce((s, x) => s + (x - m) ** 2, 0) / (arr.length - 1);
+  return { mean: m, sd: Math.sqrt(v) };
+}
+
+function shrink(raw, prior, n) {
+  return (n * raw + SHRINK_GAMES * prior) / (n + SHRINK_GAMES);
+}
+
+/**
+ * Player-specific effect for one situation, shrunk toward the league effect.
+ *
+ * @param {number[]} values - stat per game, aligned with tags
+ * @param {Object[]} tags - from tagSituations
+ * @param {"venue"|"rest"} feature
+ * @param {string|number} level - e.g. "home" or 0
+ * @returns {{ mu: number, sigma: number, games: number }}
+ */
+function situationEffect(values, tags, feature, level) {
+  const prior = LEAGUE_EFFECTS[feature][level];
+  const overall = meanSd(values);
+  const inBucket = values.filter((_, i) => tags[i]?.[feature] === level);
+  const n = inBucket.length;
+
+  if (!n || !overall.mean) {
+    return { mu: prior.mu, sigma: prior.sigma, games: n };
+  }
+
+  const bucket = meanSd(inBucket);
+  const rawMu = bucket.mean / overall.mean;
+  // need at least two games for a spread
+  const rawSigma = n >= 2 && overall.sd > 0 ? bucket.sd / overall.sd : prior.sigma;
+
+  return {
+    mu: shrink(rawMu, prior.mu, n),
+    sigma: Math.min(
+      SIGMA_BOUNDS[1],
+      Math.max(SIGMA_BOUNDS[0], shrink(rawSigma, prior.sigma, n >= 2 ? n : 0))
+    ),
+    games: n,
+  };
+}
+
+/**
+ * Combined venue + rest adjustment for an upcoming game.
+ *
+ * @param {number[]} values - stat per game, newest first
+ * @param {Object[]} tags - from tagSituations (aligned with values)
+ * @param {{ venue: "home"|"away", rest: number|string }} upcoming
+ */
+function situationalAdjustment(values, tags, upcoming) {
+  const venue = situationEffect(values, tags, "venue", upcoming.venue);
+  const rest = situationEffect(values, tags, "rest", upcoming.rest);
+  return {
+    venue,
+    rest,
+    mu: venue.mu * rest.mu,
+    sigma: venue.sigma * rest.sigma,
+  };
+}
+
+module.exports = {
+  LEAGUE_EFFECTS,
+  restBucket,
+  daysBetween,
+  tagSituations,
+  situationEffect,
+  situationalAdjustment,
+};
@@ -0,0 +1,240 @@
+// oddsHistoryService.js - Append-only store of bookmaker odds snapshots
+// Every fetched price (event, bookmaker, market, line, prices, updatedAt) is
+// written as one JSON line, so line movement can be charted after the
+// in-memory odds cache has expired. Once the file passes a size limit it is
+// rotated to "<file>.1" (replacing the previous one), and both are read.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Raw odds fields that identify a line or selection rather than price it
+const LINE_FIELDS = ['hdp', 'handicap', 'line'];
+const SELECTION_FIELDS = ['label', 'name', 'score'];
+
+// Size at which the file is rotated
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+class OddsHistoryService {
+  constructor() {
+    this.file = process.env.ODDS_HISTORY_FILE || path.join(__dirname, 'data', 'odds-history.jsonl');
+    this.rotatedFile = `${this.file}.1`;
+    this.maxFileBytes = Number(process.env.ODDS_HISTORY_MAX_BYTES) || MAX_FILE_BYTES;
+    // event ID => { kickoff, series: series key => last prices written }, so
+    // unchanged prices aren't written again; dropped once the event kicks off
+    this.lastWritten = new Map();
+  }
+
+  /**
+   * Forget the last-written prices of events that have kicked off
+   */
+  pruneStarted(now = Date.now()) {
+    for (const [eventId, event] of this.lastWritten) {
+      if (event.kickoff && new Date(event.kickoff).getTime() <= now) this.lastWritten.delete(eventId);
+    }
+  }
+
+  rotateIfFull() {
+    if (!fs.existsSync(this.file) || fs.statSync(this.file).size < this.maxFileBytes) return;
+    fs.renameSync(this.file, this.rotatedFile);
+    console.log(`[Odds History] Rotated ${this.file} to ${this.rotatedFile}`);
+  }
+
+  seriesKey(row) {
+    return [row.eventId, row.bookmaker, row.market, row.line, row.selection].join('|');
+  }
+
+  /**
+   * Flatten an odds-api event response into one row per bookmaker, market and line
+   * @param {string|number} eventId
+   * @param {Object} oddsData - getEventOdds response ({ home, away, date, bookmakers })
+   * @param {Function} [bucketOf] - market name => odds bucket (eplOddsService.marketBucket)
+   * @param {string} [capturedAt]
+   */
+  snapshotRows(eventId, oddsData, bucketOf = null, capturedAt = new Date().toISOString()) {
+    const rows = [];
+    for (const [bookmaker, markets] of Object.entries(oddsData?.bookmakers || {})) {
+      if (!Array.isArray(markets)) continue;
+
+      for (const market of markets) {
+        if (!market.name || !Array.isArray(market.odds)) continue;
+
+        for (const odd of market.odds) {
+          const lineField = LINE_FIELDS.find(f => odd[f] !== undefined && odd[f] !== null);
+          const selectionField = SELECTION_FIELDS.find(f => odd[f] !== undefined && odd[f] !== null);
+
+          const prices = {};
+          for (const [field, value] of Object.entries(odd)) {
+            if (LINE_FIELDS.includes(field) || SELECTION_FIELDS.includes(field)) continue;
+            const price = parseFloat(value);
+            if (Number.isFinite(price)) prices[field] = price;
+          }
+          if (!Object.keys(prices).length) continue;
+
+          rows.push({
+            eventId: String(eventId),
+            capturedAt,
+            home: oddsData.home || null,
+            away: oddsData.away || null,
+            kickoff: oddsData.date || null,
+            bookmaker,
+            market: market.name,
+            bucket: bucketOf ? bucketOf(market.name) : null,
+            line: lineField ? parseFloat(odd[lineField]) : null,
+            selection: selectionField ? String(odd[selectionField]) : null,
+            prices,
+            updatedAt: market.updatedAt || null
+          });
+        }
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Append a pre-match snapshot; rows whose prices haven't changed since they
+   * were last written are skipped
+   * @returns {number} Rows written
+   */
+  recordSnapshot(eventId, oddsData, bucketOf = null) {
+    try {
+      // Only pre-match prices are kept
+      const kickoff = oddsData?.date || null;
+      if (kickoff && new Date(kickoff).getTime() <= Date.now()) return 0;
+
+      this.pruneStarted();
+      const id = String(eventId);
+      const event = this.lastWritten.get(id) || { series: new Map() };
+      event.kickoff = kickoff;
+      this.lastWritten.set(id, event);
+      const written = event.series;
+
+      const rows = this.snapshotRows(eventId, oddsData, bucketOf).filter(row => {
+        const key = this.seriesKey(row);
+        const state = JSON.stringify([row.prices, row.updatedAt]);
+        if (written.get(key) === state) return false;
+        written.set(key, state);
+        return true;
+      });
+      if (!rows.length) return 0;
+
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.rotateIfFull();
+      fs.appendFileSync(this.file, rows.map(r => `${JSON.stringify(r)}\n`).join(''));
+      console.log(`[Odds History] Recorded ${rows.length} prices for event ${eventId}`);
+      return rows.length;
+    } catch (error) {
+      console.error(`[Odds History] Error writing ${this.file}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Stored rows of one event, oldest first (streams the rotated and current files)
+   * @param {string|number} eventId
+   * @param {Object} [filter] - { market (name or bucket, case-insensitive), bookmaker }
+   */
+  async getRows(eventId, { market = null, bookmaker = null } = {}) {
+    const files = [this.rotatedFile, this.file].filter(file => fs.existsSync(file));
+    if (!files.length) return [];
+
+    const id = String(eventId);
+    const needle = `"eventId":${JSON.stringify(id)}`;
+    const wantMarket = market ? market.toLowerCase() : null;
+    const wantBookmaker = bookmaker ? bookmaker.toLowerCase() : null;
+    const rows = [];
+
+    for (const file of files) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.includes(needle)) continue;
+        let row;
+        try {
+          row = JSON.parse(line);
+        } catch (e) {
+          continue; // a torn last line
+        }
+        if (row.eventId !== id) continue;
+        if (wantMarket && row.market.toLowerCase() !== wantMarket && row.bucket !== wantMarket) continue;
+        if (wantBookmaker && row.bookmaker.toLowerCase() !== wantBookmaker) continue;
+        rows.push(row);
+      }
+    }
+
+    return rows.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+  }
+
+  /**
+   * The latest stored prices of an event in the getEventOdds format, rebuilt
+   * from the last row of every series (rows are only written on a change)
+   * @param {Array} rows - getRows result of one event
+   * @returns {Object|null} { home, away, date, bookmakers } (null without rows)
+   */
+  latestOdds(rows) {
+    if (!rows.length) return null;
+
+    const latest = new Map();
+    for (const row of rows) latest.set(this.seriesKey(row), row);
+
+    const markets = {};
+    for (const row of latest.values()) {
+      const bookmaker = (markets[row.bookmaker] = markets[row.bookmaker] || {});
+      const market = (bookmaker[row.market] = bookmaker[row.market] || { name: row.market, updatedAt: row.updatedAt, odds: [] });
+      const odd = { ...row.prices };
+      if (row.line !== null) odd.hdp = row.line;
+      if (row.selection !== null) odd.label = row.selection;
+      market.odds.push(odd);
+    }
+
+    const last = rows[rows.length - 1];
+    return {
+      home: last.home,
+      away: last.away,
+      date: last.kickoff,
+      bookmakers: Object.fromEntries(Object.entries(markets).map(([bookmaker, byName]) => [bookmaker, Object.values(byName)]))
+    };
+  }
+
+  /**
+   * Line movement per bookmaker, market, line and selection
+   * @returns {Array} [{ bookmaker, market, bucket, line, selection, points, movement }]
+   *   movement: price field => { open, latest, change (%), direction }
+   *   ('shortening' = the price came in, i.e. money / information for that side)
+   */
+  async getMovement(eventId, filter = {}) {
+    const series = new Map();
+    for (const row of await this.getRows(eventId, filter)) {
+      const key = this.seriesKey(row);
+      if (!series.has(key)) {
+        series.set(key, {
+          bookmaker: row.bookmaker,
+          market: row.market,
+          bucket: row.bucket,
+          line: row.line,
+          selection: row.selection,
+          points: []
+        });
+      }
+      series.get(key).points.push({ capturedAt: row.capturedAt, updatedAt: row.updatedAt, prices: row.prices });
+    }
+
+    return [...series.values()].map(s => {
+      const first = s.points[0].prices;
+      const last = s.points[s.points.length - 1].prices;
+      const movement = {};
+      for (const field of Object.keys(last)) {
+        if (first[field] === undefined) continue;
+        const change = (last[field] / first[field] - 1) * 100;
+        movement[field] = {
+          open: first[field],
+          latest: last[field],
+          change: Number(change.toFixed(2)),
+          direction: change < 0 ? 'shortening' : change > 0 ? 'drifting' : 'flat'
+        };
+      }
+      return { ...s, movement };
+    });
+  }
+}
+
+module.exports = new OddsHistoryService();
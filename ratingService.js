@@ -0,0 +1,172 @@
+// ratingService.js - Persistent team strength ratings
+// Glicko ratings per sport/competition, updated from finished results and
+// stored on disk so they carry across restarts
+
+const fs = require('fs');
+const path = require('path');
+const { newRating, rateGame, expectedScore, inflateRd } = require('./glicko');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Applied result IDs are remembered this long (behind the latest result) so
+// late and rescheduled results can still be applied once
+const PROCESSED_WINDOW_DAYS = 30;
+
+class RatingService {
+  constructor() {
+    this.file = process.env.RATINGS_FILE || path.join(__dirname, 'data', 'ratings.json');
+    this.tables = null;
+
+    // Home advantage in rating points
+    this.homeAdvantage = {
+      nba: 70,
+      football: 65
+    };
+  }
+
+  /**
+   * Load the ratings file once (missing file = start from scratch)
+   */
+  load() {
+    if (this.tables) return this.tables;
+
+    this.tables = {};
+    try {
+      if (fs.existsSync(this.file)) {
+        this.tables = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        console.log(`[Ratings] Loaded ${Object.keys(this.tables).length} rating tables from ${this.file}`);
+      }
+    } catch (error) {
+      console.error(`[Ratings] Error loading ${this.file}:`, error.message);
+    }
+    return this.tables;
+  }
+
+  /**
+   * Write the ratings file (via a temp file so a crash can't truncate it)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.tables, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (error) {
+      console.error(`[Ratings] Error saving ${this.file}:`, error.message);
+    }
+  }
+
+  /**
+   * Rating table key: 'nba', 'epl' or 'football:<competition code>'
+   */
+  tableKey(sport, competition = null) {
+    return competition ? `${sport}:${competition}` : sport;
+  }
+
+  table(key) {
+    const tables = this.load();
+    if (!tables[key]) {
+      tables[key] = { teams: {}, lastResultAt: null, processedIds: {}, updatedAt: null };
+    }
+    return tables[key];
+  }
+
+  /**
+   * Apply finished results to a table, oldest first. IDs applied within the
+   * last PROCESSED_WINDOW_DAYS of the latest result are kept, so overlapping
+   * fetches are safe and a late or rescheduled result inside the window is
+   * still applied. Results older than the window can't be told apart from
+   * already-applied ones and are skipped.
+   * @param {string} key - Table key
+   * @param {Array} results - { id, date, homeId, homeName, awayId, awayName, homeScore, awayScore }
+   * @returns {number} Number of new results applied
+   */
+  recordResults(key, results) {
+    const table = this.table(key);
+    const processed = table.processedIds || {};
+    const lastAt = table.lastResultAt ? new Date(table.lastResultAt).getTime() : -Infinity;
+    const cutoff = lastAt - PROCESSED_WINDOW_DAYS * DAY_MS;
+    const advantage = this.homeAdvantage[key.split(':')[0]] ?? this.homeAdvantage.football;
+
+    const fresh = results
+      .filter(r => r.id != null && !(r.id in processed) && new Date(r.date).getTime() >= cutoff)
+      .filter(r => Number.isFinite(r.homeScore) && Number.isFinite(r.awayScore))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    for (const r of fresh) {
+      const home = table.teams[r.homeId] || { ...newRating(), name: r.homeName };
+      const away = table.teams[r.awayId] || { ...newRating(), name: r.awayName };
+
+      const rated = rateGame(home, away, r.homeScore, r.awayScore, { date: r.date, homeAdvantage: advantage });
+      table.teams[r.homeId] = { ...rated.home, name: r.homeName || home.name };
+      table.teams[r.awayId] = { ...rated.away, name: r.awayName || away.name };
+      processed[r.id] = new Date(r.date).toISOString();
+    }
+
+    if (fresh.length > 0) {
+      const latest = Math.max(lastAt, new Date(fresh[fresh.length - 1].date).getTime());
+      const keepFrom = latest - PROCESSED_WINDOW_DAYS * DAY_MS;
+      table.processedIds = Object.fromEntries(
+        Object.entries(processed).filter(([, date]) => new Date(date).getTime() >= keepFrom)
+      );
+      table.lastResultAt = new Date(latest).toISOString();
+      table.updatedAt = new Date().toISOString();
+      this.save();
+      console.log(`[Ratings] ${key}: applied ${fresh.length} results`);
+    }
+    return fresh.length;
+  }
+
+  /**
+   * Ratings of a table, strongest first. RD is inflated to today so idle
+   * teams show their current uncertainty.
+   */
+  getRatings(key) {
+    const table = this.load()[key];
+    if (!table) return [];
+
+    const now = Date.now();
+    return Object.entries(table.teams)
+      .map(([id, t]) => ({
+        teamId: isNaN(Number(id)) ? id : Number(id),
+        name: t.name,
+        rating: Number(t.rating.toFixed(1)),
+        rd: Number(inflateRd(t.rd, t.lastPlayed ? (now - new Date(t.lastPlayed)) / 86400000 : 0).toFixed(1)),
+        games: t.games,
+        lastPlayed: t.lastPlayed
+      }))
+      .sort((a, b) => b.rating - a.rating);
+  }
+
+  /**
+   * Table keys, optionally those of one sport
+   */
+  listTables(sport = null) {
+    return Object.keys(this.load()).filter(key => !sport || key === sport || key.startsWith(`${sport}:`));
+  }
+
+  getUpdatedAt(key) {
+    return this.load()[key]?.updatedAt || null;
+  }
+
+  /**
+   * Strength prior for a fixture: both ratings and the home side's
+   * expected score (win = 1, draw = 0.5). Null if either team is unrated.
+   */
+  strengthPrior(key, homeId, awayId) {
+    const teams = this.load()[key]?.teams;
+    const home = teams?.[homeId];
+    const away = teams?.[awayId];
+    if (!home || !away) return null;
+
+    const advantage = this.homeAdvantage[key.split(':')[0]] ?? this.homeAdvantage.football;
+    return {
+      homeRating: home.rating,
+      awayRating: away.rating,
+      homeAdvantage: advantage,
+      homeExpectedScore: expectedScore(home, away, advantage)
+    };
+  }
+}
+
+module.exports = new RatingService();
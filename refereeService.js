@@ -0,0 +1,196 @@
+// refereeService.js - Referee card tendencies
+// Loads referee records from a local JSON/CSV file and from football-data.org
+// matches (referee assignments, plus bookings where the plan includes them)
+
+const fs = require('fs');
+const path = require('path');
+const teamService = require('./teamService');
+
+class RefereeService {
+  constructor() {
+    // JSON: [{ name, games, yellowCards, redCards }] or { "<name>": { games, yellowCards, redCards } }
+    // CSV:  name,games,yellow_cards,red_cards (totals over the games)
+    this.dataFile = process.env.REFEREE_DATA_FILE || path.join(__dirname, 'data', 'referees.json');
+    this.fileRecords = new Map();
+    this.matchRecords = new Map();
+    this.importedMatches = new Set();
+    this.loaded = false;
+  }
+
+  /**
+   * Normalise a referee name for lookups ("Michael Oliver" / " michael  oliver" / "Michaël Oliver")
+   */
+  normaliseName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Load the local dataset once (missing file = no local data)
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    if (!fs.existsSync(this.dataFile)) {
+      console.log(`[Referees] No referee dataset at ${this.dataFile}`);
+      return;
+    }
+
+    try {
+      const count = this.loadFile(this.dataFile);
+      console.log(`[Referees] Loaded ${count} referees from ${this.dataFile}`);
+    } catch (error) {
+      console.error(`[Referees] Error loading ${this.dataFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Load referee records from a JSON or CSV file
+   * @returns {number} Number of referees loaded
+   */
+  loadFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const rows = file.toLowerCase().endsWith('.csv') ? this.parseCsv(text) : this.parseJson(text);
+
+    let count = 0;
+    for (const row of rows) {
+      const games = Number(row.games);
+      if (!row.name || !(games > 0)) continue;
+      this.fileRecords.set(this.normaliseName(row.name), {
+        name: row.name,
+        games,
+        yellowCards: Number(row.yellowCards) || 0,
+        redCards: Number(row.redCards) || 0,
+        source: 'file'
+      });
+      count++;
+    }
+    return count;
+  }
+
+  parseJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+    return Object.entries(data).map(([name, record]) => ({ name, ...record }));
+  }
+
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return [];
+
+    const clean = (v) => v.trim().replace(/^"|"$/g, '');
+    const header = lines[0].split(',').map(h => clean(h).toLowerCase().replace(/[^a-z]/g, ''));
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const cols = {
+      name: column('name', 'referee'),
+      games: column('games', 'matches'),
+      yellowCards: column('yellowcards', 'yellows'),
+      redCards: column('redcards', 'reds')
+    };
+
+    return lines.slice(1).map(line => {
+      const values = line.split(',').map(clean);
+      const row = {};
+      for (const [key, index] of Object.entries(cols)) {
+        if (index >= 0) row[key] = values[index];
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Main referee of a match: football-data.org `referees` or a `referee` field
+   * @returns {string|null} Referee name
+   */
+  getMatchReferee(match) {
+    if (Array.isArray(match?.referees)) {
+      const main = match.referees.find(r => r.type === 'REFEREE') || match.referees[0];
+      return main?.name || null;
+    }
+    if (match?.referee) {
+      return typeof match.referee === 'string' ? match.referee : match.referee.name || null;
+    }
+    return null;
+  }
+
+  /**
+   * Add card records from finished football-data.org matches.
+   * Only matches with `bookings` carry card counts; each match is counted once.
+   * @returns {number} Number of matches imported
+   */
+  importFootballDataMatches(matches) {
+    let imported = 0;
+
+    for (const match of matches || []) {
+      const name = this.getMatchReferee(match);
+      if (!name || !Array.isArray(match.bookings) || this.importedMatches.has(match.id)) continue;
+
+      const key = this.normaliseName(name);
+      const record = this.matchRecords.get(key) || { name, games: 0, yellowCards: 0, redCards: 0, source: 'football-data' };
+      record.games++;
+      for (const booking of match.bookings) {
+        if (booking.card === 'YELLOW') record.yellowCards++;
+        else if (booking.card === 'RED' || booking.card === 'YELLOW_RED') record.redCards++;
+      }
+
+      this.matchRecords.set(key, record);
+      this.importedMatches.add(match.id);
+      imported++;
+    }
+
+    if (imported > 0) {
+      console.log(`[Referees] Imported ${imported} matches from football-data.org`);
+    }
+    return imported;
+  }
+
+  /**
+   * Card record for a referee. When both sources know the referee,
+   * the larger sample wins (they usually cover the same games).
+   * Unknown referees get an empty record, which the cards model treats as league average.
+   * @returns {Object|null} { name, games, yellowCards, redCards, source }
+   */
+  getReferee(name) {
+    if (!name) return null;
+    this.ensureLoaded();
+
+    const key = this.normaliseName(name);
+    const fromFile = this.fileRecords.get(key);
+    const fromMatches = this.matchRecords.get(key);
+    if (fromFile && fromMatches) {
+      return fromMatches.games > fromFile.games ? fromMatches : fromFile;
+    }
+    return fromFile || fromMatches || { name, games: 0, yellowCards: 0, redCards: 0, source: 'none' };
+  }
+
+  /**
+   * Find a fixture's referee among football-data.org matches by kickoff day
+   * and teams (matched by team ID where the team service knows both sides' IDs)
+   * @param {string|Object} homeTeam - name or { name, source, id }
+   * @param {string|Object} awayTeam
+   * @returns {string|null} Referee name
+   */
+  findFixtureReferee(matches, homeTeam, awayTeam, kickoff) {
+    const day = kickoff ? new Date(kickoff).toISOString().slice(0, 10) : null;
+    const sameDay = (matches || [])
+      .filter(m => !day || (m.utcDate || '').slice(0, 10) === day)
+      .map(m => ({
+        home: m.homeTeam?.name,
+        away: m.awayTeam?.name,
+        homeId: m.homeTeam?.id ?? null,
+        awayId: m.awayTeam?.id ?? null,
+        match: m
+      }));
+
+    const { fixture } = teamService.bestFixture(homeTeam, awayTeam, sameDay, { candidateSource: 'football-data' });
+    return fixture ? this.getMatchReferee(fixture.match) : null;
+  }
+}
+
+module.exports = new RefereeService();
@@ -3,13 +3,59 @@ require("dotenv").config();
 const express = require("express");
 const fetch = require("node-fetch");
 const cron = require("node-cron");
-const { computePropProb } = require("./evCalculator");
+const { computePropProb, simulateGame, simulatedTotal } = require("./evCalculator");
+const { FAMILIES } = require("./distributions");
+const { DECAY_UNITS } = require("./timeDecay");
+const {
+  parseMinutes,
+  filterRepresentativeGames,
+  projectFromMinutes,
+} = require("./minutesModel");
+const { aggregateAllowed, opponentFactors } = require("./nbaDefense");
+const {
+  restBucket,
+  daysBetween,
+  tagSituations,
+  situationalAdjustment,
+} = require("./nbaSituational");
+const { buildPositionalPriors, findPrior } = require("./nbaPriors");
+const { cornerRows, buildCornerModel, cornerMeanLogSd, cornerMatrix, cornerMarkets } = require("./cornersModel");
+const { h2hTendency, tableMotivation } = require("./matchContext");
+const {
+  BOOKING_POINTS,
+  isDerby,
+  buildCardModel,
+  cardMeanLogSd,
+  cardMarkets,
+  cardTotalPmfs,
+} = require("./cardsModel");
+const { INTERVAL_LEVEL, normalQuantile, drawnIntervals, marketKey, evInterval } = require("./intervals");
+const { pmfFromMatrix, normalPmf, priceOffers } = require("./linePricing");
+const { playerScoringMarkets } = require("./eplPlayerModel");
+const {
+  COMBO_COMPONENTS,
+  isCombo,
+  correlationMatrix,
+  sumDistribution,
+} = require("./comboModel");
 const {
   computePlayerPropProb,
   computeMatchStatProb,
+  simulateMatch,
+  raceMarkets,
 } = require("./evCalculatorFootball");
 const eplOddsService = require("./eplOddsService");
+const oddsHistoryService = require("./oddsHistoryService");
+const clvService = require("./clvService");
 const footballDataService = require("./footballDataService");
+const refereeService = require("./refereeService");
+const ratingService = require("./ratingService");
+const availabilityService = require("./availabilityService");
+const blendService = require("./blendService");
+const teamService = require("./teamService");
+const { MATCH_THRESHOLD, normaliseName } = require("./teamNames");
+const { blendProbability } = require("./blending");
+const { availabilityFactors } = require("./usageModel");
 
 const app = express();
 app.use(express.json());
@@ -18,6 +64,9 @@ app.use(express.json());
 const cache = {
   epl: {
     data: null,
+    // gameId => line model for pricing offered lines (kept out of the data payload)
+    lineModels: {},
+    playerModels: {},
     lastUpdated: null,
     isLoading: false,
   },
@@ -173,6 +222,66 @@ async function fetchPlayerStatsSeason(playerId) {
   return json.data || [];
 }
 
+// 4) Get every player stat row league-wide since a date (regular season)
+async function fetchLeagueStatsSince(startDate) {
+  const rows = [];
+  let cursor = undefined;
+
+  while (true) {
+    const url = new URL(`${BASE_URL}/stats`);
+    url.searchParams.append("seasons[]", CURRENT_SEASON);
+    url.searchParams.append("start_date", startDate);
+    url.searchParams.append("per_page", 100);
+    url.searchParams.append("postseason", "false");
+    if (cursor !== undefined) {
+      url.searchParams.append("cursor", cursor);
+    }
+
+    const json = await bdFetch(url.toString());
+    if (json.data && json.data.length) {
+      rows.push(...json.data);
+    }
+
+    if (json.meta && json.meta.next_cursor) {
+      cursor = json.meta.next_cursor;
+    } else {
+      break;
+    }
+  }
+
+  return rows;
+}
+
+// League-wide tables (opponent-allowed factors and positional priors),
+// rebuilt at most every 12 hours
+const LEAGUE_WINDOW_DAYS = 30;
+const LEAGUE_TABLES_TTL = 12 * 60 * 60 * 1000;
+let leagueTablesCache = { data: null, timestamp: 0 };
+
+async function getLeagueTables() {
+  if (leagueTablesCache.data && Date.now() - leagueTablesCache.timestamp < LEAGUE_TABLES_TTL) {
+    return leagueTablesCache.data;
+  }
+
+  const startDate = new Date(Date.now() - LEAGUE_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  console.log(`[League] Building league tables since ${startDate}...`);
+
+  const rows = await fetchLeagueStatsSince(startDate);
+  const played = rows.filter((r) => parseMinutes(r.min) > 0);
+  const data = {
+    defense: aggregateAllowed(played, statExtractors),
+    priors: buildPositionalPriors(played, statExtractors),
+  };
+
+  console.log(
+    `[League] Built tables from ${played.length} stat rows for ${Object.keys(data.defense.teams).length} teams`
+  );
+  leagueTablesCache = { data, timestamp: Date.now() };
+  return data;
+}
+
 // Sort stats by date (newest first)
 function sortStatsByDate(stats) {
   return [...stats].sort(
@@ -180,6 +289,11 @@ function sortStatsByDate(stats) {
   );
 }
 
+// Minimum games to price a player: without a positional prior we need a
+// real sample; with one, a handful of games is enough
+const MIN_GAMES = 8;
+const MIN_GAMES_WITH_PRIOR = 3;
+
 // Build numeric arrays for one stat key
 function buildStatSeries(stats, key) {
   const extractor = statExtractors[key];
@@ -187,30 +301,67 @@ function buildStatSeries(stats, key) {
   return stats.map((s) => extractor(s)).filter((v) => v != null);
 }
 
+// Pick the entries of `items` (aligned with stats) for the rows
+// buildStatSeries keeps, e.g. dates or minutes for the same games
+function buildAlignedSeries(stats, key, items) {
+  const extractor = statExtractors[key];
+  if (!extractor) return [];
+  return items.filter((_, i) => extractor(stats[i]) != null);
+}
+
+// Projection modes for NBA props
+// direct  - model the stat's own game log
+// minutes - per-minute rate x projected minutes (see minutesModel.js)
+const PROJECTION_MODES = ["direct", "minutes"];
+
+// NBA props have no bookmaker feed here; EV is quoted at a standard -110 price
+const REFERENCE_ODDS = 1.91;
+
+// Probability band (0-1) as percentages, rounded like `probability`
+function percentInterval(interval) {
+  if (!interval) return null;
+  return {
+    low: Number((interval.low * 100).toFixed(1)),
+    high: Number((interval.high * 100).toFixed(1)),
+    level: interval.level,
+  };
+}
+
+// EV band (%), rounded like the EV figures
+function roundedInterval(interval) {
+  if (!interval) return null;
+  return { low: Number(interval.low.toFixed(1)), high: Number(interval.high.toFixed(1)) };
+}
+
 // Generate bets for one player & one stat key
+// Model options (weightRecent, halfLife, halfLifeUnit, family, projection,
+// prior, muFactor, sigmaFactor) are passed straight through to computePropProb.
+// `adjustments` is only reported on each bet.
+// `lines` ([{ line, sides }], offered by bookmakers) are priced exactly, every
+// offered side whatever its probability; without them a ladder is scanned.
 function generateBetsForSeries({
   seasonValues,
   recentValues,
+  dates,
   player,
   statKey,
   minProb,
   maxProb,
-  weightRecent,
+  minGames = MIN_GAMES,
+  adjustments = {},
+  lines,
+  ...modelOpts
 }) {
   const bets = [];
-  if (seasonValues.length < 8) {
+  if (seasonValues.length < minGames) {
     // too little data, skip
     return bets;
   }
 
+  const probArgs = { seasonValues, recentValues, dates, statKey, ...modelOpts };
+
   // Quick call to get mu & sigma (line doesn't matter for this)
-  const base = computePropProb({
-    seasonValues,
-    recentValues,
-    line: 0,
-    side: "over",
-    weightRecent,
-  });
+  const base = computePropProb({ ...probArgs, line: 0, side: "over" });
 
   const mu = base.mu;
   const sigma = base.sigma;
@@ -219,60 +370,43 @@ function generateBetsForSeries({
     return bets;
   }
 
+  const toBet = (line, side) => {
+    const res = computePropProb({ ...probArgs, line, side });
+    return {
+      playerId: player.id,
+      playerName: `${player.first_name} ${player.last_name}`,
+      stat: statKey,
+      side,
+      line: Number(line.toFixed(1)),
+      probability: res.p,
+      interval: res.interval,
+      fairOdds: res.fairOdds,
+      seasonAvg: res.seasonAvg,
+      recentAvg: res.recentAvg,
+      mu: res.mu,
+      sigma: res.sigma,
+      priorWeight: res.priorWeight,
+      distribution: res.family,
+      projectedMinutes: modelOpts.projection?.projectedMinutes ?? null,
+      adjustments,
+    };
+  };
+
+  if (lines) {
+    return lines.flatMap(({ line, sides }) => sides.map((side) => toBet(line, side)));
+  }
+
   // Scan candidate lines around mean: [mu-8, mu+8] step 0.5 (clamped >= 0)
   const startLine = Math.max(0, Math.floor(mu - 8));
   const endLine = Math.floor(mu + 8);
   const step = 0.5;
 
   for (let line = startLine; line <= endLine; line += step) {
-    // Over
-    const overRes = computePropProb({
-      seasonValues,
-      recentValues,
-      line,
-      side: "over",
-      weightRecent,
-    });
-
-    const overP = overRes.p;
-    if (overP >= minProb && overP <= maxProb) {
-      bets.push({
-        playerId: player.id,
-        playerName: `${player.first_name} ${player.last_name}`,
-        stat: statKey,
-        side: "over",
-        line: Number(line.toFixed(1)),
-        probability: overP,
-        fairOdds: overRes.fairOdds,
-        seasonAvg: overRes.seasonAvg,
-        recentAvg: overRes.recentAvg,
-        sigma: overRes.sigma,
-      });
-    }
-
-    // Under
-    const underRes = computePropProb({
-      seasonValues,
-      recentValues,
-      line,
-      side: "under",
-      weightRecent,
-    });
-
-    const underP = underRes.p;
-    if (underP >= minProb && underP <= maxProb) {
-      bets.push({
-        playerId: player.id,
-        playerName: `${player.first_name} ${player.last_name}`,
-        stat: statKey,
-        side: "under",
-        line: Number(line.toFixed(1)),
-        probability: underP,
-        fairOdds: underRes.fairOdds,
-        seasonAvg: underRes.seasonAvg,
-        recentAvg: underRes.recentAvg,
-        sigma: underRes.sigma,
-      });
+    for (const side of ["over", "under"]) {
+      const bet = toBet(line, side);
+      if (bet.probability >= minProb && bet.probability <= maxProb) {
+        bets.push(bet);
+      }
     }
   }
 
@@ -282,34 +416,181 @@ function generateBetsForSeries({
 }
 
 // Generate bets for a player across all stat keys
+// `upcoming` ({ date, isHome }) enables home/away and rest-day adjustments.
+// `priors` (from buildPositionalPriors) enables shrinkage for small samples.
+// `availability` (from availabilityFactors) boosts stats when teammates are out;
+// with projectionMode "minutes" its minutes factor goes into projected minutes.
+// `lines` (statKey => [{ line, sides }]) prices the player's offered lines
+// instead of a ladder; there is no NBA odds feed yet, so the routes don't pass it.
 function generateBetsForPlayer({
   stats,
   player,
   minProb,
   maxProb,
-  weightRecent,
   recentGames = 5,
+  projectionMode = "direct",
+  opponentFactors: oppFactors = {},
+  availability = {},
+  upcoming,
+  priors,
+  lines,
+  ...modelOpts
 }) {
   const bets = [];
   if (!stats.length) return bets;
 
-  const sorted = sortStatsByDate(stats);
+  // Venue/rest are tagged on the full log so dropped games still count as rest
+  const allSorted = sortStatsByDate(stats);
+  const allTags = tagSituations(allSorted);
+  const tagByRow = new Map(allSorted.map((s, i) => [s, allTags[i]]));
+
+  let situation = null;
+  if (upcoming) {
+    situation = {
+      venue: upcoming.isHome ? "home" : "away",
+      rest: restBucket(
+        allSorted.length ? daysBetween(upcoming.date, allSorted[0].game.date) : null
+      ),
+    };
+  }
+
+  // DNPs, early exits and garbage-time games don't describe a normal night
+  const sorted = sortStatsByDate(filterRepresentativeGames(stats));
   const recent = sorted.slice(0, recentGames);
+  const tags = sorted.map((s) => tagByRow.get(s));
+  const avgMinutes = sorted.length
+    ? sorted.reduce((sum, s) => sum + parseMinutes(s.min), 0) / sorted.length
+    : 0;
+
+  // Correlation of the combo components, from games where all are present
+  const componentKeys = ["pts", "reb", "ast"];
+  const jointRows = sorted.filter((s) =>
+    componentKeys.every((k) => statExtractors[k](s) != null)
+  );
+  const corr = correlationMatrix(
+    Object.fromEntries(componentKeys.map((k) => [k, buildStatSeries(jointRows, k)])),
+    componentKeys,
+    modelOpts.halfLifeUnit === "games" ? modelOpts.halfLife : undefined
+  );
 
+  // Final (adjusted) mu/sigma and adjustments of each single stat, so combos
+  // are priced as the sum of the same distributions
+  const components = {};
+  // Correlated draws of the components, shared by every combo
+  let componentSim = null;
+
+  // STAT_KEYS lists single stats before combos
   for (const key of STAT_KEYS) {
     const seasonValues = buildStatSeries(sorted, key);
     const recentValues = buildStatSeries(recent, key);
+    const dates = buildAlignedSeries(sorted, key, sorted.map((s) => s.game.date));
+
+    let seriesOpts;
+    if (isCombo(key)) {
+      const parts = COMBO_COMPONENTS[key];
+      if (!parts.every((k) => components[k])) continue;
+
+      // mu-weighted average of the component adjustments, for reporting
+      const totalMu = parts.reduce((sum, k) => sum + components[k].mu, 0) || 1;
+      const weighted = (field) =>
+        parts.reduce(
+          (sum, k) => sum + components[k].adjustments[field] * components[k].mu,
+          0
+        ) / totalMu;
+
+      if (!componentSim) {
+        componentSim = simulateGame({
+          variables: componentKeys
+            .filter((k) => components[k])
+            .map((k) => ({ id: k, statKey: k, mu: components[k].mu, sigma: components[k].sigma })),
+          correlation: corr,
+          seed: player.id,
+        });
+      }
+
+      seriesOpts = {
+        projection: sumDistribution(parts, components, corr),
+        // lines are priced from the simulated sum of the components, so each
+        // keeps its own family (count stats stay discrete)
+        simulated: simulatedTotal(componentSim, parts),
+        prior: undefined,
+        // sample size was already checked on each component
+        minGames: 1,
+        adjustments: {
+          opponent: weighted("opponent"),
+          availability: weighted("availability"),
+          venue: situation?.venue ?? null,
+          rest: situation?.rest ?? null,
+          contextMu: weighted("contextMu"),
+          contextSigma: weighted("contextSigma"),
+        },
+      };
+    } else {
+      const prior = priors ? findPrior(priors, player.position, avgMinutes, key) : null;
+
+      if (seasonValues.length < (prior ? MIN_GAMES_WITH_PRIOR : MIN_GAMES)) continue;
+
+      let projection;
+      if (projectionMode === "minutes") {
+        projection = projectFromMinutes(
+          seasonValues,
+          buildAlignedSeries(sorted, key, sorted.map((s) => parseMinutes(s.min))),
+          {
+            ...(modelOpts.halfLifeUnit === "games" && modelOpts.halfLife ? { halfLife: modelOpts.halfLife } : {}),
+            minutesFactor: availability.min || 1,
+          }
+        );
+      }
+
+      const opponent = oppFactors[key] || 1;
+      const teammatesOut = availability[key] || 1;
+      // A minutes projection already has the extra minutes; only the change in
+      // output per minute is left for mu
+      const teammatesOutRate = projection ? teammatesOut / projection.minutesFactor : teammatesOut;
+      const context = situation
+        ? situationalAdjustment(seasonValues, buildAlignedSeries(sorted, key, tags), situation)
+        : null;
+
+      seriesOpts = {
+        projection,
+        prior: prior || undefined,
+        minGames: prior ? MIN_GAMES_WITH_PRIOR : MIN_GAMES,
+        muFactor: opponent * teammatesOutRate * (context ? context.mu : 1),
+        sigmaFactor: context ? context.sigma : 1,
+        adjustments: {
+          opponent,
+          availability: teammatesOut,
+          venue: situation?.venue ?? null,
+          rest: situation?.rest ?? null,
+          contextMu: context ? context.mu : 1,
+          contextSigma: context ? context.sigma : 1,
+        },
+      };
 
-    if (seasonValues.length < 8) continue;
+      const base = computePropProb({
+        seasonValues,
+        recentValues,
+        dates,
+        statKey: key,
+        line: 0,
+        side: "over",
+        ...modelOpts,
+        ...seriesOpts,
+      });
+      components[key] = { mu: base.mu, sigma: base.sigma, adjustments: seriesOpts.adjustments };
+    }
 
     const statBets = generateBetsForSeries({
       seasonValues,
       recentValues,
+      dates,
       player,
       statKey: key,
       minProb,
       maxProb,
-      weightRecent,
+      lines: lines && (lines[key] || []),
+      ...modelOpts,
+      ...seriesOpts,
     });
 
     bets.push(...statBets);
@@ -380,9 +661,78 @@ app.get("/api/player-stats", async (req, res) => {
   }
 });
 
+// ---------------- AVAILABILITY ----------------
+
+const AVAILABILITY_SPORTS = ["nba"];
+const SINGLE_STAT_KEYS = STAT_KEYS.filter((k) => !isCombo(k));
+
+// Split a roster into players who suit up and absent players (out/doubtful)
+function splitByAvailability(players, date) {
+  const available = [];
+  const absent = [];
+  for (const player of players) {
+    const status = availabilityService.getStatus("nba", player.id, date);
+    if (availabilityService.isAbsent(status)) {
+      absent.push({ player, status });
+    } else {
+      available.push(player);
+    }
+  }
+  return { available, absent };
+}
+
+// POST /api/availability
+// Body: { sport: "nba", players: [{ playerId, status, playerName?, teamId?, gameDate?, note? }] }
+// status: out | doubtful | questionable | probable | available
+app.post("/api/availability", (req, res) => {
+  const sport = (req.body?.sport || "nba").toLowerCase();
+  if (!AVAILABILITY_SPORTS.includes(sport)) {
+    return res.status(400).json({
+      error: "Invalid sport",
+      details: `sport must be one of: ${AVAILABILITY_SPORTS.join(", ")}`,
+    });
+  }
+
+  const updates = Array.isArray(req.body?.players) ? req.body.players : [req.body];
+  for (const update of updates) {
+    const problem = availabilityService.validate(update);
+    if (problem) {
+      return res.status(400).json({ error: "Invalid availability update", details: problem });
+    }
+  }
+
+  try {
+    const updated = availabilityService.setStatuses(sport, updates);
+    res.json({ sport, updated, statuses: availabilityService.listStatuses(sport) });
+  } catch (err) {
+    console.error("[Availability] Error:", err);
+    res.status(500).json({ error: "Failed to update availability", details: err.message });
+  }
+});
+
+// GET /api/availability?sport=nba - Current statuses
+app.get("/api/availability", (req, res) => {
+  const sport = (req.query.sport || "nba").toLowerCase();
+  if (!AVAILABILITY_SPORTS.includes(sport)) {
+    return res.status(400).json({
+      error: "Invalid sport",
+      details: `sport must be one of: ${AVAILABILITY_SPORTS.join(", ")}`,
+    });
+  }
+  res.json({ sport, statuses: availabilityService.listStatuses(sport) });
+});
+
 // ---------------- MAIN ENDPOINT ----------------
 //
 // GET /api/recommended-bets?minProb=0.58&maxProb=0.62&perGame=5&games=2&maxPlayersPerTeam=6
+// Optional: &distribution=normal|poisson|negbin|empirical overrides the per-stat family
+// Optional: &halfLife=10&halfLifeUnit=games|days sets the form decay (halfLife=0 => 65/35 blend)
+// Optional: &projection=direct|minutes selects per-minute rate x projected minutes
+// Optional: &opponentAdjust=false disables the opponent defensive adjustment
+// Optional: &shrinkage=false disables positional-prior shrinkage (back to an 8-game minimum)
+// Optional: &availability=false ignores injury statuses (no players dropped, no usage boost)
+// Optional: &refOdds=1.91 decimal price the EV and its 80% band are quoted at (default -110)
+// Optional: &positiveLowerEV=true keeps only picks whose EV band lies above zero
 //
 app.get("/api/recommended-bets", async (req, res) => {
   // Default: narrow window around 60% probability
@@ -398,15 +748,65 @@ app.get("/api/recommended-bets", async (req, res) => {
     ? Number(req.query.maxPlayersPerTeam)
     : 6; // default: 6 players per team
 
-  const weightRecent = 0.65; // 65% form / 35% season
+  const weightRecent = 0.65; // 65% form / 35% season (only when halfLife=0)
   const recentGames = 5;
 
+  // Exponential decay over the whole season (default: 10-game half-life)
+  const halfLife = req.query.halfLife !== undefined ? Number(req.query.halfLife) : 10;
+  const halfLifeUnit = req.query.halfLifeUnit || "games";
+  if (!Number.isFinite(halfLife) || halfLife < 0 || !DECAY_UNITS.includes(halfLifeUnit)) {
+    return res.status(400).json({
+      error: "Invalid decay settings",
+      details: `halfLife must be >= 0 and halfLifeUnit one of: ${DECAY_UNITS.join(", ")}`,
+    });
+  }
+
+  const projectionMode = req.query.projection || "direct";
+  if (!PROJECTION_MODES.includes(projectionMode)) {
+    return res.status(400).json({
+      error: "Invalid projection",
+      details: `projection must be one of: ${PROJECTION_MODES.join(", ")}`,
+    });
+  }
+
+  const family = req.query.distribution || undefined;
+  if (family && !FAMILIES.includes(family)) {
+    return res.status(400).json({
+      error: "Invalid distribution",
+      details: `distribution must be one of: ${FAMILIES.join(", ")}`,
+    });
+  }
+
+  const refOdds = req.query.refOdds !== undefined ? Number(req.query.refOdds) : REFERENCE_ODDS;
+  if (!Number.isFinite(refOdds) || refOdds <= 1) {
+    return res.status(400).json({
+      error: "Invalid refOdds",
+      details: "refOdds must be decimal odds above 1",
+    });
+  }
+
+  const opponentAdjust = req.query.opponentAdjust !== "false";
+  const shrinkage = req.query.shrinkage !== "false";
+  const useAvailability = req.query.availability !== "false";
+  const positiveLowerEV = req.query.positiveLowerEV === "true";
+
   try {
     console.log(
       `Fetching next ${gameLimit} games for season ${CURRENT_SEASON}...`
     );
     const games = await fetchNextGames(gameLimit);
 
+    let leagueTables = null;
+    if (opponentAdjust || shrinkage) {
+      try {
+        leagueTables = await getLeagueTables();
+      } catch (e) {
+        console.error("[League] Could not build league tables:", e.message);
+      }
+    }
+    const defense = opponentAdjust ? leagueTables?.defense : null;
+    const priors = shrinkage ? leagueTables?.priors : null;
+
     const result = [];
 
     for (const game of games) {
@@ -423,9 +823,25 @@ app.get("/api/recommended-bets", async (req, res) => {
         fetchPlayersForTeam(awayId),
       ]);
 
+      // Absent players aren't priced; their minutes and usage go to teammates
+      const noneOut = (players) => ({ available: players, absent: [] });
+      const homeRoster = useAvailability ? splitByAvailability(homePlayersAll, game.date) : noneOut(homePlayersAll);
+      const awayRoster = useAvailability ? splitByAvailability(awayPlayersAll, game.date) : noneOut(awayPlayersAll);
+
+      const absentLogs = new Map();
+      await Promise.all(
+        [...homeRoster.absent, ...awayRoster.absent].map(async ({ player }) => {
+          try {
+            absentLogs.set(player.id, await fetchPlayerStatsSeason(player.id));
+          } catch (e) {
+            console.error(`[Availability] Could not fetch log for ${player.id}:`, e.message);
+          }
+        })
+      );
+
       // Limit number of players per team for speed
-      const homePlayers = homePlayersAll.slice(0, maxPlayersPerTeam);
-      const awayPlayers = awayPlayersAll.slice(0, maxPlayersPerTeam);
+      const homePlayers = homeRoster.available.slice(0, maxPlayersPerTeam);
+      const awayPlayers = awayRoster.available.slice(0, maxPlayersPerTeam);
       const allPlayers = [...homePlayers, ...awayPlayers];
 
       console.log(
@@ -437,19 +853,46 @@ app.get("/api/recommended-bets", async (req, res) => {
       // Fetch stats for all players in parallel
       const statPromises = allPlayers.map(async (player) => {
         try {
+          const opponentId = homePlayers.includes(player) ? awayId : homeId;
+          const oppFactors = defense
+            ? opponentFactors(defense, opponentId, player.position, STAT_KEYS)
+            : {};
+
           const stats = await fetchPlayerStatsSeason(player.id);
-          if (stats.length < 8) {
+          if (stats.length < (priors ? MIN_GAMES_WITH_PRIOR : MIN_GAMES)) {
             // too few games, skip
             return;
           }
 
+          const absentees = (homePlayers.includes(player) ? homeRoster : awayRoster).absent
+            .filter(({ player: p }) => absentLogs.has(p.id))
+            .map(({ player: p }) => ({ stats: absentLogs.get(p.id) }));
+          const availability = absentees.length
+            ? availabilityFactors(
+                stats,
+                absentees,
+                Object.fromEntries(SINGLE_STAT_KEYS.map((k) => [k, statExtractors[k]]))
+              )
+            : {};
+
           const bets = generateBetsForPlayer({
             stats,
             player,
             minProb,
             maxProb,
-            weightRecent,
             recentGames,
+            weightRecent,
+            availability,
+            halfLife: halfLife || undefined,
+            halfLifeUnit,
+            family,
+            projectionMode,
+            opponentFactors: oppFactors,
+            priors,
+            upcoming: {
+              date: game.date,
+              isHome: homePlayers.includes(player),
+            },
           });
 
           if (bets.length) {
@@ -465,10 +908,15 @@ app.get("/api/recommended-bets", async (req, res) => {
 
       await Promise.all(statPromises);
 
+      // EV at the reference price, with the band implied by the probability band
+      const pricedBets = allBets
+        .map((b) => ({ ...b, ev: (b.probability * refOdds - 1) * 100, evInterval: evInterval(b.interval, refOdds) }))
+        .filter((b) => !positiveLowerEV || b.evInterval.low > 0);
+
       // Sort bets for this game by probability desc
-      allBets.sort((a, b) => b.probability - a.probability);
+      pricedBets.sort((a, b) => b.probability - a.probability);
 
-      const topBets = allBets.slice(0, perGame);
+      const topBets = pricedBets.slice(0, perGame);
 
       result.push({
         gameId: game.id,
@@ -476,6 +924,11 @@ app.get("/api/recommended-bets", async (req, res) => {
         datetime: game.datetime,
         home_team: game.home_team,
         visitor_team: game.visitor_team,
+        unavailable: [...homeRoster.absent, ...awayRoster.absent].map(({ player, status }) => ({
+          playerId: player.id,
+          playerName: `${player.first_name} ${player.last_name}`,
+          status: status.status,
+        })),
         bestPicks: topBets.map((b) => ({
           playerId: b.playerId,
           playerName: b.playerName,
@@ -483,10 +936,29 @@ app.get("/api/recommended-bets", async (req, res) => {
           side: b.side,
           line: b.line,
           probability: Number((b.probability * 100).toFixed(1)), // %
+          probabilityInterval: percentInterval(b.interval), // %
           fairOdds: Number(b.fairOdds.toFixed(3)), // decimal odds
+          ev: Number(b.ev.toFixed(1)), // % at refOdds
+          evInterval: roundedInterval(b.evInterval),
           seasonAvg: Number(b.seasonAvg.toFixed(2)),
           recentAvg: Number(b.recentAvg.toFixed(2)),
+          mu: Number(b.mu.toFixed(2)),
           sigma: Number(b.sigma.toFixed(2)),
+          priorWeight: b.priorWeight != null ? Number(b.priorWeight.toFixed(2)) : null,
+          distribution: b.distribution,
+          projectedMinutes:
+            b.projectedMinutes != null ? Number(b.projectedMinutes.toFixed(1)) : null,
+          opponentAdjustment: Number(b.adjustments.opponent.toFixed(3)),
+          availability: useAvailability
+            ? availabilityService.getStatus("nba", b.playerId, game.date)?.status ?? null
+            : null,
+          teammatesOutAdjustment: Number(b.adjustments.availability.toFixed(3)),
+          venue: b.adjustments.venue,
+          restDays: b.adjustments.rest,
+          contextAdjustment: {
+            mu: Number(b.adjustments.contextMu.toFixed(3)),
+            sigma: Number(b.adjustments.contextSigma.toFixed(3)),
+          },
         })),
       });
     }
@@ -496,6 +968,16 @@ app.get("/api/recommended-bets", async (req, res) => {
       minProb,
       maxProb,
       perGame,
+      distribution: family || "per-stat",
+      halfLife,
+      halfLifeUnit,
+      projection: projectionMode,
+      opponentAdjust: !!defense,
+      shrinkage: !!priors,
+      availability: useAvailability,
+      refOdds,
+      intervalLevel: INTERVAL_LEVEL,
+      positiveLowerEV,
       games: result,
     });
   } catch (err) {
@@ -520,16 +1002,31 @@ const EPL_MATCH_STATS = [
   "tackles",
 ];
 
-// EPL player stat keys
+// EPL player stat keys (scanned over per-game values)
 const EPL_PLAYER_STATS = [
-  "goals",
   "assists",
-  "shots_on_target",
   "yellow_cards",
   "tackles",
   "passes",
 ];
 
+// EPL player scoring/shooting lines, priced from per-90 rates (eplPlayerModel.js).
+// Goals 0.5 is the anytime scorer market, 1.5 is 2+ goals.
+const EPL_PER90_LINES = {
+  goals: [0.5, 1.5],
+  shots: [0.5, 1.5, 2.5, 3.5],
+  shots_on_target: [0.5, 1.5, 2.5],
+};
+
+// Form decay half-life (games) for EPL player props
+const EPL_FORM_HALF_LIFE = 8;
+
+// Simulated matches behind each band draw of a race market (the point price uses the default)
+const EPL_RACE_BAND_DRAWS = 500;
+
+// Table races that make a fixture high-stakes for the cards model
+const EPL_HIGH_STAKES = new Set(["title", "europe", "relegation"]);
+
 // Stat extractors for EPL team stats
 // Helper function to convert API stats array to object
 function convertStatsArrayToObject(statsArray) {
@@ -564,6 +1061,7 @@ const eplTeamStatExtractors = {
 const eplPlayerStatExtractors = {
   goals: (s) => s.goals || 0,
   assists: (s) => s.assists || 0,
+  shots: (s) => s.shots || s.total_scoring_att || 0,
   shots_on_target: (s) => s.shots_on_target || 0,
   yellow_cards: (s) => s.yellow_cards || 0,
   tackles: (s) => s.tackles || 0,
@@ -571,6 +1069,18 @@ const eplPlayerStatExtractors = {
   fouls: (s) => s.fouls || 0,
 };
 
+// Minutes played in an EPL player stat row, or null when the row has none
+function eplPlayerMinutes(s) {
+  const min = s.mins_played ?? s.minutes_played ?? s.minutes ?? s.min;
+  return min == null ? null : parseMinutes(min);
+}
+
+// EPL player stat rows, newest first
+function sortEPLPlayerGames(rows) {
+  const time = (s) => new Date(s.game?.kickoff || s.kickoff || s.game_date || s.date || 0).getTime();
+  return [...rows].sort((a, b) => time(b) - time(a) || (b.game_id || 0) - (a.game_id || 0));
+}
+
 // Cache for EPL teams
 let eplTeamsCache = null;
 
@@ -884,6 +1394,17 @@ function buildEPLPlayerStatSeries(playerGameStats, statKey) {
     .filter((v) => v != null && Number.isFinite(v));
 }
 
+// Per-game team stats of recent games, as buildEPLTeamStatSeries reads them
+function teamGameStats(games) {
+  return games.map((g) => ({
+    game_id: g.id,
+    home_team_id: g.home_team_id,
+    away_team_id: g.away_team_id,
+    home_stats: g.home_team_stats,
+    away_stats: g.away_team_stats,
+  }));
+}
+
 // Generate match stat predictions (team totals)
 function generateMatchStatPredictions({
   homeTeamId,
@@ -892,28 +1413,18 @@ function generateMatchStatPredictions({
   awayRecentGames,
   minProb,
   maxProb,
+  cardContext = {},
 }) {
   const predictions = [];
 
   // Fetch game stats for recent games
-  const homeRecentStats = homeRecentGames.map((g) => ({
-    game_id: g.id,
-    home_team_id: g.home_team_id,
-    away_team_id: g.away_team_id,
-    home_stats: g.home_team_stats,
-    away_stats: g.away_team_stats,
-  }));
-
-  const awayRecentStats = awayRecentGames.map((g) => ({
-    game_id: g.id,
-    home_team_id: g.home_team_id,
-    away_team_id: g.away_team_id,
-    home_stats: g.home_team_stats,
-    away_stats: g.away_team_stats,
-  }));
+  const homeRecentStats = teamGameStats(homeRecentGames);
+  const awayRecentStats = teamGameStats(awayRecentGames);
 
-  // For each stat type
+  // For each stat type (corners and cards have their own models below)
   for (const statKey of EPL_MATCH_STATS) {
+    if (statKey === "corners" || statKey === "yellow_cards" || statKey === "red_cards") continue;
+
     const homeSeasonValues = buildEPLTeamStatSeries(
       homeRecentStats,
       homeTeamId,
@@ -965,6 +1476,7 @@ function generateMatchStatPredictions({
             line: Number(line.toFixed(1)),
             side: "over",
             probability: overRes.p,
+            interval: overRes.interval,
             fairOdds: overRes.fairOdds,
             homeAvg: overRes.homeAvg,
             awayAvg: overRes.awayAvg,
@@ -987,6 +1499,7 @@ function generateMatchStatPredictions({
             line: Number(line.toFixed(1)),
             side: "under",
             probability: underRes.p,
+            interval: underRes.interval,
             fairOdds: underRes.fairOdds,
             homeAvg: underRes.homeAvg,
             awayAvg: underRes.awayAvg,
@@ -1003,62 +1516,521 @@ function generateMatchStatPredictions({
     predictions.push(...candidates.slice(0, 2));
   }
 
+  predictions.push(
+    ...generateCornerPredictions({
+      homeTeamId,
+      awayTeamId,
+      games: [...homeRecentGames, ...awayRecentGames],
+      minProb,
+      maxProb,
+    })
+  );
+
+  predictions.push(
+    ...generateCardPredictions({
+      homeTeamId,
+      awayTeamId,
+      homeRecentGames,
+      awayRecentGames,
+      minProb,
+      maxProb,
+      ...cardContext,
+    })
+  );
+
   return predictions;
 }
 
-// Generate player prop predictions
-function generateEPLPlayerPropPredictions({
-  player,
-  seasonStats,
-  recentGames,
+// Own cards per game for a team, tagged with venue (for cardsModel.js).
+// `statNames` are the field's spellings, first found wins; balldontlie leaves
+// zero-valued fields out, so a game with team stats but no card field had none.
+function teamCardGames(games, teamId, statNames) {
+  return games
+    .map((g) => {
+      const home = g.home_team_id === teamId;
+      const stats = home ? g.home_team_stats : g.away_team_stats;
+      if (!stats) return null;
+      const cards = Number(statNames.map((name) => stats[name]).find(Boolean)) || 0;
+      return { cards, venue: home ? "home" : "away" };
+    })
+    .filter(Boolean);
+}
+
+// Card model of a fixture, or null without enough card records
+function eplCardModel({ homeTeamId, awayTeamId, homeRecentGames, awayRecentGames, referee = null, derby = false, importance = false }) {
+  const games = (recent, teamId) => ({
+    yellow: teamCardGames(recent, teamId, ["total_yel_card", "yellow_cards"]),
+    red: teamCardGames(recent, teamId, ["red_card", "red_cards"]),
+  });
+  const home = games(homeRecentGames, homeTeamId);
+  const away = games(awayRecentGames, awayTeamId);
+  if (home.yellow.length < 3 && away.yellow.length < 3) {
+    return null; // insufficient data
+  }
+  return buildCardModel({ home, away, referee, derby, importance });
+}
+
+// Cards: team discipline x referee tendency x derby/importance (cardsModel.js)
+function generateCardPredictions({
+  homeTeamId,
+  awayTeamId,
+  homeRecentGames,
+  awayRecentGames,
   minProb,
   maxProb,
+  referee = null,
+  derby = false,
+  importance = false,
 }) {
+  const model = eplCardModel({ homeTeamId, awayTeamId, homeRecentGames, awayRecentGames, referee, derby, importance });
+  if (!model) return [];
+  const perTeam = {
+    yellow_cards: (t) => t.yellow,
+    red_cards: (t) => t.red,
+    booking_points: (t) => BOOKING_POINTS.yellow * t.yellow + BOOKING_POINTS.red * t.red,
+  };
+  const expectedYellow = perTeam.yellow_cards(model.home) + perTeam.yellow_cards(model.away);
+  const expectedPoints = perTeam.booking_points(model.home) + perTeam.booking_points(model.away);
+
+  const yellowLines = [];
+  for (let line = Math.max(0.5, Math.floor(expectedYellow - 2) + 0.5); line <= expectedYellow + 2; line++) {
+    yellowLines.push(line);
+  }
+  const pointLines = [];
+  // Points move in steps of 5, so bookmakers quote x5.5 lines
+  for (let line = Math.max(5.5, Math.floor((expectedPoints - 20) / 10) * 10 + 5.5); line <= expectedPoints + 20; line += 10) {
+    pointLines.push(line);
+  }
+
+  const lines = { yellow: yellowLines, bookingPoints: pointLines };
+  const markets = cardMarkets(model, lines);
+  const bands = drawnIntervals(
+    {
+      homeYellow: model.home.yellow,
+      awayYellow: model.away.yellow,
+      homeRed: model.home.red,
+      awayRed: model.away.red,
+    },
+    cardMeanLogSd(model),
+    (means) =>
+      cardMarkets(
+        {
+          ...model,
+          home: { ...model.home, yellow: means.homeYellow, red: means.homeRed },
+          away: { ...model.away, yellow: means.awayYellow, red: means.awayRed },
+        },
+        lines
+      ),
+    { seed: homeTeamId * 1000 + awayTeamId }
+  );
+
   const predictions = [];
+  for (const statKey of Object.keys(perTeam)) {
+    const candidates = markets
+      .filter((m) => m.statKey === statKey && m.probability >= minProb && m.probability <= maxProb)
+      .map((m) => ({
+        ...m,
+        interval: bands.get(marketKey(m)),
+        fairOdds: 1 / m.probability,
+        homeAvg: perTeam[statKey](model.home),
+        awayAvg: perTeam[statKey](model.away),
+        referee: model.referee,
+        derby,
+        importance,
+      }));
+    candidates.sort((a, b) => b.probability - a.probability);
+    predictions.push(...candidates.slice(0, 2));
+  }
 
-  if (!seasonStats || seasonStats.length === 0) return predictions;
+  return predictions;
+}
 
-  // Get player game stats for recent games
-  const recentGameIds = recentGames.map((g) => g.id);
+// Corner model of a fixture before and after the H2H tendency, or null without enough games.
+// Both teams' logs also inform the league averages through their opponents.
+// Past meetings in those logs add a shrunk H2H tendency (FOOTBALL_MATCH_FEATURES).
+function eplCornerModel({ homeTeamId, awayTeamId, games }) {
+  const rows = cornerRows(games);
+  const baseModel = buildCornerModel(rows, homeTeamId, awayTeamId);
+  if (baseModel.homeRating.games < 3 && baseModel.awayRating.games < 3) {
+    return null; // insufficient data
+  }
 
-  for (const statKey of EPL_PLAYER_STATS) {
-    // Build season series
-    const seasonValues = seasonStats.map((s) => {
-      const extractor = eplPlayerStatExtractors[statKey];
-      return extractor ? extractor(s) : 0;
-    });
+  let model = baseModel;
+  let h2h = null;
+  if (footballDataService.matchFeatures.h2h) {
+    const meetings = rows.filter(
+      (r) =>
+        (r.homeId === homeTeamId && r.awayId === awayTeamId) ||
+        (r.homeId === awayTeamId && r.awayId === homeTeamId)
+    );
+    h2h = h2hTendency(
+      meetings.map((r) => r.home + r.away),
+      baseModel.home + baseModel.away
+    );
+    model = { ...baseModel, home: baseModel.home * h2h.factor, away: baseModel.away * h2h.factor };
+  }
+  return { baseModel, model, h2h };
+}
 
-    if (seasonValues.length < 5) continue;
+// Corners: per-team for/against rates with home/away effects (cornersModel.js)
+function generateCornerPredictions({ homeTeamId, awayTeamId, games, minProb, maxProb }) {
+  const corners = eplCornerModel({ homeTeamId, awayTeamId, games });
+  if (!corners) return [];
+  const { baseModel, model, h2h } = corners;
 
-    // Recent values (last 5 games)
-    const recentValues = seasonValues.slice(0, 5);
+  const halfLines = (center, spread) => {
+    const lines = [];
+    for (let line = Math.max(0.5, Math.floor(center - spread) + 0.5); line <= center + spread; line++) {
+      lines.push(line);
+    }
+    return lines;
+  };
+  const handicap = [];
+  for (let line = -4; line <= 4; line += 0.5) handicap.push(line);
+
+  const lines = {
+    total: halfLines(model.home + model.away, 3),
+    team: [...new Set([...halfLines(model.home, 2), ...halfLines(model.away, 2)])],
+    handicap,
+  };
+  const markets = cornerMarkets(model, lines);
+  const baseMarkets = new Map(cornerMarkets(baseModel, lines).map((m) => [marketKey(m), m]));
+  // Re-pricing per draw is the slow part, so only when something qualifies
+  const inRange = (m) => m.probability >= minProb && m.probability <= maxProb;
+  const bands = markets.some(inRange)
+    ? drawnIntervals(
+        { home: model.home, away: model.away },
+        cornerMeanLogSd(model),
+        (means) => cornerMarkets({ ...model, ...means }, lines),
+        { seed: homeTeamId * 1000 + awayTeamId }
+      )
+    : new Map();
 
-    const seasonMean =
-      seasonValues.reduce((a, b) => a + b, 0) / seasonValues.length;
+  // Best two candidates per market, as for the other match stats
+  const predictions = [];
+  for (const statKey of ["corners", "home_corners", "away_corners", "corner_handicap"]) {
+    const candidates = markets
+      .filter((m) => m.statKey === statKey && inRange(m))
+      .map((m) => {
+        const baseProbability = baseMarkets.get(marketKey(m)).probability;
+        return {
+          ...m,
+          interval: bands.get(marketKey(m)),
+          fairOdds: 1 / m.probability,
+          homeAvg: model.home,
+          awayAvg: model.away,
+          baseProbability,
+          features: h2h ? { h2h: { ...h2h, contribution: m.probability - baseProbability } } : {},
+        };
+      });
+    candidates.sort((a, b) => b.probability - a.probability);
+    predictions.push(...candidates.slice(0, 2));
+  }
 
-    // Scan lines
-    const minLine = Math.max(0, Math.floor(seasonMean - 2));
-    const maxLine = Math.ceil(seasonMean + 2);
+  return predictions;
+}
 
-    const candidates = [];
+// Everything needed to price any line of a fixture's match stats later,
+// when the offered lines are known (lines=offered on /api/ev-bets)
+function eplLineModel({ homeTeamId, awayTeamId, homeRecentGames, awayRecentGames, cardContext = {} }) {
+  const homeRecentStats = teamGameStats(homeRecentGames);
+  const awayRecentStats = teamGameStats(awayRecentGames);
 
-    for (let line = minLine; line <= maxLine; line += 0.5) {
-      try {
+  const stats = {};
+  for (const statKey of EPL_MATCH_STATS) {
+    if (statKey === "corners" || statKey === "yellow_cards" || statKey === "red_cards") continue;
+    const homeSeasonValues = buildEPLTeamStatSeries(homeRecentStats, homeTeamId, statKey);
+    const awaySeasonValues = buildEPLTeamStatSeries(awayRecentStats, awayTeamId, statKey);
+    if (homeSeasonValues.length < 3 && awaySeasonValues.length < 3) continue;
+
+    const res = computeMatchStatProb({
+      homeSeasonValues,
+      awaySeasonValues,
+      homeRecentValues: homeSeasonValues,
+      awayRecentValues: awaySeasonValues,
+      line: 0,
+      side: "over",
+    });
+    stats[statKey] = {
+      mu: res.matchPrediction,
+      sigma: res.sigma,
+      se: res.se,
+      homeAvg: res.homeAvg,
+      awayAvg: res.awayAvg,
+    };
+  }
+
+  const corners = eplCornerModel({ homeTeamId, awayTeamId, games: [...homeRecentGames, ...awayRecentGames] });
+  return {
+    seed: homeTeamId * 1000 + awayTeamId,
+    stats,
+    corners: corners ? corners.model : null,
+    cards: eplCardModel({ homeTeamId, awayTeamId, homeRecentGames, awayRecentGames, ...cardContext }),
+  };
+}
+
+// Price exactly the offered lines (eplOddsService.listOfferedLines) of a fixture's match stats.
+// Whole and quarter lines settle with pushes / half stakes, like the handicaps.
+function priceEPLOfferedLines(lineModel, offers) {
+  const predictions = [];
+  const offersFor = (statKeys) => offers.filter((o) => statKeys.includes(o.statKey));
+
+  // Normal-approximated stats: band from the standard error of the mean
+  const z = normalQuantile(0.5 + INTERVAL_LEVEL / 2);
+  for (const [statKey, stat] of Object.entries(lineModel.stats)) {
+    const statOffers = offersFor([statKey]);
+    if (!statOffers.length) continue;
+    const priceAt = (mu) => priceOffers(statOffers, { pmfs: { [statKey]: normalPmf(mu, stat.sigma) } });
+    const low = priceAt(stat.mu - z * stat.se);
+    const high = priceAt(stat.mu + z * stat.se);
+    priceAt(stat.mu).forEach((m, i) => {
+      const [a, b] = [low[i].probability, high[i].probability];
+      predictions.push({
+        ...m,
+        interval: { low: Math.min(a, b), high: Math.max(a, b), level: INTERVAL_LEVEL },
+        homeAvg: stat.homeAvg,
+        awayAvg: stat.awayAvg,
+      });
+    });
+  }
+
+  // Count models: bands from drawn expected counts
+  const counted = [];
+  const cornerOffers = offersFor(["corners", "home_corners", "away_corners", "corner_handicap"]);
+  if (lineModel.corners && cornerOffers.length) {
+    const model = lineModel.corners;
+    counted.push({
+      means: { home: model.home, away: model.away },
+      logSd: cornerMeanLogSd(model),
+      price: (means) => {
+        const matrix = cornerMatrix({ ...model, ...means });
+        return priceOffers(cornerOffers, {
+          pmfs: {
+            corners: pmfFromMatrix(matrix, (h, a) => h + a),
+            home_corners: pmfFromMatrix(matrix, (h) => h),
+            away_corners: pmfFromMatrix(matrix, (h, a) => a),
+          },
+          matrices: { corner_handicap: matrix },
+        });
+      },
+      avgs: () => ({ home: model.home, away: model.away }),
+    });
+  }
+  // Races to N corners have no closed form: first to N in simulated corner counts
+  const raceOffers = offersFor(["race_to_corners"]);
+  if (lineModel.corners && raceOffers.length) {
+    const model = lineModel.corners;
+    const targets = [...new Set(raceOffers.map((o) => o.line))];
+    const sigma = (mu) => Math.sqrt(mu + model.dispersion * mu * mu);
+    const race = (means, n) => {
+      const sim = simulateMatch({
+        homeMu: means.home,
+        awayMu: means.away,
+        // no dispersion is Poisson (sigma would only round-trip through a square root)
+        family: model.dispersion > 0 ? "negbin" : "poisson",
+        homeSigma: sigma(means.home),
+        awaySigma: sigma(means.away),
+        n,
+        seed: lineModel.seed,
+      });
+      return raceMarkets(sim, targets)
+        .filter((m) => raceOffers.some((o) => o.line === m.line && o.sides.includes(m.side)))
+        .map((m) => ({ ...m, statKey: "race_to_corners", matchPrediction: means.home + means.away }));
+    };
+    counted.push({
+      means: { home: model.home, away: model.away },
+      logSd: cornerMeanLogSd(model),
+      price: (means) => race(means),
+      bandPrice: (means) => race(means, EPL_RACE_BAND_DRAWS),
+      avgs: () => ({ home: model.home, away: model.away }),
+    });
+  }
+
+  const cardOffers = offersFor(["yellow_cards", "booking_points"]);
+  if (lineModel.cards && cardOffers.length) {
+    const model = lineModel.cards;
+    counted.push({
+      means: { homeYellow: model.home.yellow, awayYellow: model.away.yellow, homeRed: model.home.red, awayRed: model.away.red },
+      logSd: cardMeanLogSd(model),
+      price: (means) =>
+        priceOffers(cardOffers, {
+          pmfs: cardTotalPmfs({
+            ...model,
+            home: { ...model.home, yellow: means.homeYellow, red: means.homeRed },
+            away: { ...model.away, yellow: means.awayYellow, red: means.awayRed },
+          }),
+        }),
+      avgs: (statKey) => {
+        const perTeam = (t) =>
+          statKey === "booking_points" ? BOOKING_POINTS.yellow * t.yellow + BOOKING_POINTS.red * t.red : t.yellow;
+        return { home: perTeam(model.home), away: perTeam(model.away) };
+      },
+    });
+  }
+
+  for (const { means, logSd, price, bandPrice, avgs } of counted) {
+    const bands = drawnIntervals(means, logSd, bandPrice || price, { seed: lineModel.seed });
+    for (const m of price(means)) {
+      const { home, away } = avgs(m.statKey);
+      predictions.push({ ...m, interval: bands.get(marketKey(m)), homeAvg: home, awayAvg: away });
+    }
+  }
+
+  return predictions
+    .filter((p) => p.probability > 0)
+    .map((p) => ({ ...p, fairOdds: 1 / p.probability, type: "match" }));
+}
+
+// Referee assignments (upcoming) and card records (finished) from football-data.org
+async function loadEPLRefereeData() {
+  if (!footballDataService.apiKey) return [];
+
+  const [upcoming, finished] = await Promise.all([
+    footballDataService.getUpcomingMatches("PL", 50),
+    footballDataService.getFinishedMatches("PL"),
+  ]);
+  refereeService.importFootballDataMatches(finished);
+  return upcoming;
+}
+
+// Current PL table (football-data.org) with rows keyed by canonical team ID,
+// so balldontlie fixtures can look up what each side is playing for
+async function loadEPLTable() {
+  if (!footballDataService.apiKey) return [];
+
+  const standings = await footballDataService.getStandings("PL");
+  const total = standings.find((s) => s.type === "TOTAL")?.table || [];
+  return total.map((row) => ({
+    ...row,
+    team: {
+      ...row.team,
+      id: teamService.resolve(row.team.name, { source: "football-data", sourceId: row.team.id }).id,
+    },
+  }));
+}
+
+// Generate player prop predictions
+// `lines` (statKey => [{ line, sides }], from eplOddsService.listOfferedPlayerLines)
+// prices exactly the player's offered lines and sides, whatever their probability;
+// without them the model's own lines are scanned and the best one per stat kept.
+function generateEPLPlayerPropPredictions({
+  player,
+  seasonStats,
+  minProb,
+  maxProb,
+  lines,
+}) {
+  const predictions = [];
+  // The anytime scorer market is the goals 0.5 line
+  const offersFor = (statKey) =>
+    statKey === "goals" ? [...(lines.anytime_scorer || []), ...(lines.goals || [])] : lines[statKey] || [];
+  const isOffered = (statKey, line, side) =>
+    offersFor(statKey).some((o) => o.line === line && o.sides.includes(side));
+
+  if (!seasonStats || seasonStats.length === 0) return predictions;
+
+  // Newest first; rows without minutes can't say how much of a game the
+  // player saw, and a player without any minutes history isn't priced
+  const rows = sortEPLPlayerGames(seasonStats).filter((s) => eplPlayerMinutes(s) != null);
+  const playerName = `${player.first_name} ${player.last_name}`;
+  if (!rows.some((s) => eplPlayerMinutes(s) > 0)) {
+    console.log(`[EPL]      Skipping ${playerName}: no minutes history`);
+    return predictions;
+  }
+  const appearances = rows.filter((s) => eplPlayerMinutes(s) > 0);
+
+  // Goals, shots and shots on target: per-90 rates x expected minutes
+  const scoring = playerScoringMarkets(
+    rows.map((s) => ({
+      minutes: eplPlayerMinutes(s),
+      goals: eplPlayerStatExtractors.goals(s),
+      shots: eplPlayerStatExtractors.shots(s),
+      shots_on_target: eplPlayerStatExtractors.shots_on_target(s),
+    })),
+    {
+      position: player.position,
+      halfLife: EPL_FORM_HALF_LIFE,
+      lines: lines
+        ? Object.fromEntries(Object.keys(EPL_PER90_LINES).map((k) => [k, offersFor(k).map((o) => o.line)]))
+        : EPL_PER90_LINES,
+    }
+  );
+
+  const avg = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
+  for (const statKey of Object.keys(EPL_PER90_LINES)) {
+    const values = appearances.map(eplPlayerStatExtractors[statKey]);
+
+    const candidates = scoring.markets
+      .filter((m) => m.statKey === statKey)
+      .filter((m) =>
+        lines
+          ? isOffered(statKey, m.line, m.side)
+          : // scorer markets are yes-only
+            (statKey !== "goals" || m.side === "over") && m.probability >= minProb && m.probability <= maxProb
+      )
+      .map((m) => ({
+        playerId: player.id,
+        playerName,
+        statKey: statKey === "goals" && m.line === 0.5 ? "anytime_scorer" : statKey,
+        line: m.line,
+        side: m.side,
+        probability: m.probability,
+        interval: m.interval,
+        fairOdds: 1 / m.probability,
+        seasonAvg: avg(values),
+        recentAvg: avg(values.slice(0, 5)),
+        per90: scoring.rates[statKey],
+        expectedMinutes: scoring.expectedMinutes,
+        matchPrediction: m.expected,
+      }));
+
+    candidates.sort((a, b) => b.probability - a.probability);
+    predictions.push(...(lines ? candidates : candidates.slice(0, 1)));
+  }
+
+  for (const statKey of EPL_PLAYER_STATS) {
+    // Build season series
+    const seasonValues = appearances.map((s) => {
+      const extractor = eplPlayerStatExtractors[statKey];
+      return extractor ? extractor(s) : 0;
+    });
+
+    if (seasonValues.length < 5) continue;
+
+    // Recent values (last 5 games)
+    const recentValues = seasonValues.slice(0, 5);
+
+    const seasonMean =
+      seasonValues.reduce((a, b) => a + b, 0) / seasonValues.length;
+
+    // Scan lines (or take the offered ones)
+    const minLine = Math.max(0, Math.floor(seasonMean - 2));
+    const maxLine = Math.ceil(seasonMean + 2);
+    const scanLines = [];
+    for (let line = minLine; line <= maxLine; line += 0.5) scanLines.push(line);
+    const keep = (line, side, p) => (lines ? isOffered(statKey, line, side) : p >= minProb && p <= maxProb);
+
+    const candidates = [];
+
+    for (const line of lines ? [...new Set(offersFor(statKey).map((o) => o.line))] : scanLines) {
+      try {
         const overRes = computePlayerPropProb({
           seasonValues,
           recentValues,
           line,
           side: "over",
+          halfLife: EPL_FORM_HALF_LIFE,
         });
 
-        if (overRes.p >= minProb && overRes.p <= maxProb) {
+        if (keep(line, "over", overRes.p)) {
           candidates.push({
             playerId: player.id,
-            playerName: `${player.first_name} ${player.last_name}`,
+            playerName,
             statKey,
             line: Number(line.toFixed(1)),
             side: "over",
             probability: overRes.p,
+            interval: overRes.interval,
             fairOdds: overRes.fairOdds,
             seasonAvg: overRes.seasonAvg,
             recentAvg: overRes.recentAvg,
@@ -1070,16 +2042,18 @@ function generateEPLPlayerPropPredictions({
           recentValues,
           line,
           side: "under",
+          halfLife: EPL_FORM_HALF_LIFE,
         });
 
-        if (underRes.p >= minProb && underRes.p <= maxProb) {
+        if (keep(line, "under", underRes.p)) {
           candidates.push({
             playerId: player.id,
-            playerName: `${player.first_name} ${player.last_name}`,
+            playerName,
             statKey,
             line: Number(line.toFixed(1)),
             side: "under",
             probability: underRes.p,
+            interval: underRes.interval,
             fairOdds: underRes.fairOdds,
             seasonAvg: underRes.seasonAvg,
             recentAvg: underRes.recentAvg,
@@ -1091,12 +2065,28 @@ function generateEPLPlayerPropPredictions({
     }
 
     candidates.sort((a, b) => b.probability - a.probability);
-    predictions.push(...candidates.slice(0, 1));
+    predictions.push(...(lines ? candidates : candidates.slice(0, 1)));
   }
 
   return predictions;
 }
 
+// Price the offered player-prop lines (eplOddsService.listOfferedPlayerLines) of a
+// fixture's players; an offer is matched to a player by normalised name
+function priceEPLOfferedPlayerLines(playerModels, offers) {
+  const predictions = [];
+  for (const { player, seasonStats } of playerModels) {
+    const name = normaliseName(`${player.first_name} ${player.last_name}`);
+    const lines = {};
+    for (const o of offers.filter((o) => normaliseName(o.player) === name)) {
+      (lines[o.statKey] = lines[o.statKey] || []).push({ line: o.line, sides: o.sides });
+    }
+    if (!Object.keys(lines).length) continue;
+    predictions.push(...generateEPLPlayerPropPredictions({ player, seasonStats, lines }));
+  }
+  return predictions.filter((p) => p.probability > 0).map((p) => ({ ...p, type: "player" }));
+}
+
 /**
  * Remove conflicting predictions (over/under for same stat)
  * Keep only the prediction with highest probability
@@ -1133,7 +2123,7 @@ function removeConflictingPredictions(predictions) {
       // Multiple predictions for same stat - check if they conflict
       const sides = new Set(group.map(p => p.side));
 
-      if (sides.has('over') && sides.has('under')) {
+      if ((sides.has('over') && sides.has('under')) || (sides.has('home') && sides.has('away'))) {
         // Conflict detected! Keep only highest probability
         const best = group.reduce((max, p) =>
           p.probability > max.probability ? p : max
@@ -1152,6 +2142,11 @@ function removeConflictingPredictions(predictions) {
 
 // ---------------- CACHE REFRESH FUNCTIONS ----------------
 
+// balldontlie team IDs of a cached EPL match, for matching it on other sources
+function eplTeamSource(match) {
+  return { source: "balldontlie", homeId: match.home_team.id, awayId: match.away_team.id };
+}
+
 /**
  * Refresh EPL predictions cache
  */
@@ -1176,9 +2171,14 @@ async function refreshEPLCache() {
     console.log(`[CACHE] EPL: Found ${games.length} match(es)`);
 
     const result = [];
+    const lineModels = {};
+    const playerModels = {};
     let totalMatchPredictions = 0;
     let totalPlayerPredictions = 0;
 
+    const refereeFixtures = await loadEPLRefereeData();
+    const eplTable = await loadEPLTable();
+
     for (const game of games) {
       console.log(`[CACHE] EPL: Processing ${game.home_team.name} vs ${game.away_team.name}`);
 
@@ -1190,6 +2190,26 @@ async function refreshEPLCache() {
         fetchEPLTeamRecentGames(awayTeamId, 10),
       ]);
 
+      // Canonical teams (by balldontlie team ID once linked) for matching other sources
+      const homeTeamRef = { name: game.home_team.name, source: "balldontlie", id: homeTeamId };
+      const awayTeamRef = { name: game.away_team.name, source: "balldontlie", id: awayTeamId };
+      const teamIds = {
+        home: teamService.resolve(homeTeamRef.name, { source: "balldontlie", sourceId: homeTeamId }).id,
+        away: teamService.resolve(awayTeamRef.name, { source: "balldontlie", sourceId: awayTeamId }).id,
+      };
+
+      const refereeName =
+        refereeService.getMatchReferee(game) ||
+        refereeService.findFixtureReferee(refereeFixtures, homeTeamRef, awayTeamRef, game.kickoff);
+
+      const cardContext = {
+        referee: refereeService.getReferee(refereeName),
+        derby: isDerby(game.home_team.name, game.away_team.name),
+        importance: [teamIds.home, teamIds.away].some(
+          (id) => id && EPL_HIGH_STAKES.has(tableMotivation(eplTable, id)?.status)
+        ),
+      };
+
       // Generate match stat predictions
       const matchPredictions = generateMatchStatPredictions({
         homeTeamId,
@@ -1198,7 +2218,9 @@ async function refreshEPLCache() {
         awayRecentGames,
         minProb,
         maxProb,
+        cardContext,
       });
+      lineModels[game.id] = eplLineModel({ homeTeamId, awayTeamId, homeRecentGames, awayRecentGames, cardContext });
 
       // Get players for both teams
       const [homePlayers, awayPlayers] = await Promise.all([
@@ -1211,18 +2233,18 @@ async function refreshEPLCache() {
       const allPlayers = [...topHomePlayers, ...topAwayPlayers];
 
       const playerPredictions = [];
+      // Inputs to price the players' offered lines at request time (lines=offered)
+      playerModels[game.id] = [];
 
       for (const player of allPlayers) {
         try {
           const seasonStats = await fetchEPLPlayerSeasonStats(player.id);
           if (seasonStats.length < 5) continue;
-
-          const recentGames = homeRecentGames.concat(awayRecentGames);
+          playerModels[game.id].push({ player, seasonStats });
 
           const playerProps = generateEPLPlayerPropPredictions({
             player,
             seasonStats,
-            recentGames,
             minProb,
             maxProb,
           });
@@ -1253,9 +2275,11 @@ async function refreshEPLCache() {
         week: game.week,
         home_team: game.home_team,
         away_team: game.away_team,
+        teamIds,
         predictions: allPredictions.slice(0, 15).map((p) => ({
           ...p,
           probability: Number((p.probability * 100).toFixed(1)),
+          interval: percentInterval(p.interval),
           fairOdds: Number(p.fairOdds.toFixed(3)),
         })),
       });
@@ -1269,6 +2293,8 @@ async function refreshEPLCache() {
       maxProb,
       matches: result,
     };
+    cache.epl.lineModels = lineModels;
+    cache.epl.playerModels = playerModels;
     cache.epl.lastUpdated = new Date().toISOString();
     cache.epl.isLoading = false;
 
@@ -1336,8 +2362,12 @@ async function refreshNBACache() {
 
       const predictions = [];
 
-      // Process top players from each team
-      const topPlayers = [...homePlayers.slice(0, 5), ...awayPlayers.slice(0, 5)];
+      // Process top players from each team (skipping players ruled out)
+      const suitsUp = (p) => !availabilityService.isAbsent(availabilityService.getStatus("nba", p.id, game.date));
+      const topPlayers = [
+        ...homePlayers.filter(suitsUp).slice(0, 5),
+        ...awayPlayers.filter(suitsUp).slice(0, 5),
+      ];
 
       for (const player of topPlayers) {
         try {
@@ -1643,11 +2673,39 @@ app.get("/api/epl/match/:gameId/analysis", async (req, res) => {
 
 // ---------------- EV BETS ENDPOINT (for betsapi-dk-next10 frontend) ----------------
 
+// Blended probability a value bet needs (applied after blendWithMarket, so the
+// market can lift a model price over it or pull one under)
+const VALUE_BET_MIN_PROB = 0.59;
+
+// Model probability pooled with the de-vigged market price (blendService).
+// EV, confidence and ranking use the blend; without a market price it is the model's own.
+function blendWithMarket(pred, modelProbability, interval, matchOdds, bestOdds) {
+  const prediction = { ...pred, probability: modelProbability };
+  const market = eplOddsService.getMarketConsensus(prediction, matchOdds);
+  const blended = blendService.blend(pred.statKey, modelProbability, market ? market.probability : null);
+  const at = (p) => (blended.weight == null ? p : blendProbability(p, market.probability, blended.weight));
+  return {
+    probability: blended.probability,
+    interval: interval ? { low: at(interval.low), high: at(interval.high), level: interval.level ?? INTERVAL_LEVEL } : null,
+    weight: blended.weight,
+    vsMarket: eplOddsService.compareWithMarket(prediction, matchOdds, bestOdds)
+  };
+}
+
 // GET /api/ev-bets - Get value bets in the format expected by the frontend
+// EV, confidence and ranking use the model blended with the de-vigged market (/api/blend/weights)
+// Optional: &positiveLowerEV=true keeps only bets whose 80% EV band lies above zero
+// Optional: &lines=offered prices exactly the lines bookmakers offer (match stats and player props)
 app.get("/api/ev-bets", async (req, res) => {
   try {
     const { minEV = 0, maxOdds = 10, limit = 100, league, fetchOdds = 'true' } = req.query;
     const shouldFetchOdds = fetchOdds === 'true';
+    const positiveLowerEV = req.query.positiveLowerEV === 'true';
+    const offeredLines = req.query.lines === 'offered';
+
+    if (offeredLines && !shouldFetchOdds) {
+      return res.status(400).json({ success: false, error: 'lines=offered needs fetchOdds=true' });
+    }
 
     // Check if EPL cache is available
     if (!cache.epl.data || !cache.epl.data.matches) {
@@ -1680,17 +2738,37 @@ app.get("/api/ev-bets", async (req, res) => {
             match.home_team.name,
             match.away_team.name,
             'england-premier-league',  // EPL cache is always Premier League
-            match.kickoff              // Pass kickoff for date validation
+            match.kickoff,             // Pass kickoff for date validation
+            eplTeamSource(match)
           );
         } catch (e) {
           console.log(`[EV-BETS] Could not fetch odds for ${match.home_team.name} vs ${match.away_team.name}:`, e.message);
         }
       }
 
+      // Offered lines are priced here, in the same units as the cached predictions:
+      // match stats from the fixture's line model, player props from each player's games
+      let predictions = match.predictions;
+      const lineModel = cache.epl.lineModels[match.gameId];
+      const playerModels = cache.epl.playerModels[match.gameId] || [];
+      if (offeredLines) {
+        const offered = matchOdds
+          ? [
+              ...(lineModel ? priceEPLOfferedLines(lineModel, eplOddsService.listOfferedLines(matchOdds)) : []),
+              ...priceEPLOfferedPlayerLines(playerModels, eplOddsService.listOfferedPlayerLines(matchOdds))
+            ]
+          : [];
+        predictions = offered.map(p => ({
+          ...p,
+          probability: Number((p.probability * 100).toFixed(1)),
+          interval: percentInterval(p.interval),
+          fairOdds: Number(p.fairOdds.toFixed(3))
+        }));
+      }
+
       // Filter predictions and convert to value bets format
       // ONLY include bets with REAL bookmaker odds - no estimated/fair value
-      const valueBets = match.predictions
-        .filter(pred => pred.probability >= 59) // Only high probability predictions
+      const pricedBets = predictions
         .map(pred => {
           const fairOdds = pred.fairOdds;
           const probDecimal = pred.probability / 100;
@@ -1713,8 +2791,7 @@ app.get("/api/ev-bets", async (req, res) => {
                   bookmaker: b.bookmaker,
                   odds: b.odds,
                   line: b.line,
-                  url: null,
-                  ev: Number((((probDecimal * b.odds) - 1) * 100).toFixed(1))
+                  url: null
                 }));
             }
           }
@@ -1724,31 +2801,64 @@ app.get("/api/ev-bets", async (req, res) => {
             return null;
           }
 
-          const ev = ((probDecimal * bestOdds) - 1) * 100;
+          const blended = blendWithMarket(
+            pred,
+            probDecimal,
+            pred.interval ? { low: pred.interval.low / 100, high: pred.interval.high / 100 } : null,
+            matchOdds,
+            bestOdds
+          );
+          // Only high probability bets, once the market has had its say
+          if (blended.probability < VALUE_BET_MIN_PROB) return null;
+          const blendedPct = blended.probability * 100;
+
+          // Whole-line corner handicaps (and offered whole / quarter lines) can push
+          const evAt = (p, odds) => eplOddsService.calculatePredictionEV({ ...pred, probability: p }, odds);
+          const ev = evAt(blended.probability, bestOdds);
+          const band = blended.interval ? evInterval(blended.interval, bestOdds, pred.settlement) : null;
+          allBookmakers = allBookmakers.map(b => ({ ...b, ev: Number(evAt(blended.probability, b.odds).toFixed(1)) }));
 
           return {
             matchId: `EPL_${match.gameId}`,
             statKey: pred.statKey,
             market: pred.statKey,
+            playerName: pred.playerName || null,
             selection: pred.side,
             line: pred.line,
             probability: pred.probability,
+            probabilityInterval: pred.interval || null,
+            blendedProbability: Number(blendedPct.toFixed(1)),
+            blendedInterval: percentInterval(blended.interval),
+            blendWeight: blended.weight,
             fairOdds: fairOdds,
+            features: pred.features,
             predictedTotal: pred.matchPrediction || (pred.homeAvg + pred.awayAvg),
             homeAvg: pred.homeAvg || 0,
             awayAvg: pred.awayAvg || 0,
-            confidence: pred.probability >= 61 ? 'high' : pred.probability >= 59 ? 'medium' : 'low',
+            confidence: blendedPct >= 61 ? 'high' : blendedPct >= 59 ? 'medium' : 'low',
             bestBookmaker: bestBookmaker,
             bestOdds: Number(bestOdds.toFixed(2)),
             bestEV: Number(ev.toFixed(1)),
+            modelEV: Number(evAt(probDecimal, bestOdds).toFixed(1)),
+            evInterval: roundedInterval(band),
+            fairPrice: blended.vsMarket?.fairPrice || null,
+            modelEdge: blended.vsMarket?.modelEdge ?? null,
+            marketEdge: blended.vsMarket?.marketEdge ?? null,
             bestUrl: null,
             allBookmakers: allBookmakers,
             type: pred.type || 'match',
+            lines: offeredLines ? 'offered' : 'model',
             hasRealOdds: true
           };
         })
-        .filter(bet => bet !== null) // Remove bets without real odds
-        .filter(bet => bet.bestOdds <= parseFloat(maxOdds) && bet.bestEV >= parseFloat(minEV));
+        .filter(bet => bet !== null); // Remove bets without real odds or below the blended minimum
+
+      // Every +EV pick is tracked to its closing line, whatever this request filters
+      clvService.recordPicks('epl', matchOdds, pricedBets.filter(bet => bet.bestEV > 0), { league: 'Premier League' });
+
+      const valueBets = pricedBets
+        .filter(bet => bet.bestOdds <= parseFloat(maxOdds) && bet.bestEV >= parseFloat(minEV))
+        .filter(bet => !positiveLowerEV || (bet.evInterval && bet.evInterval.low > 0));
 
       if (valueBets.length > 0) {
         valueBetMatches.push({
@@ -1758,6 +2868,7 @@ app.get("/api/ev-bets", async (req, res) => {
           kickoff: match.kickoff,
           league: 'Premier League',
           leagueCode: 'PL',
+          oddsEventId: matchOdds?.matchId ?? null, // for /api/odds/history
           valueBets: valueBets.slice(0, 10), // Limit per match
           bestEV: Math.max(...valueBets.map(b => b.bestEV)),
           totalEV: valueBets.reduce((sum, b) => sum + b.bestEV, 0),
@@ -1778,7 +2889,8 @@ app.get("/api/ev-bets", async (req, res) => {
       source: 'cache',
       cacheUpdatedAt: cache.epl.lastUpdated,
       generatedAt: new Date().toISOString(),
-      oddsSource: shouldFetchOdds ? 'live' : 'estimated'
+      oddsSource: shouldFetchOdds ? 'live' : 'estimated',
+      lines: offeredLines ? 'offered' : 'model'
     });
 
   } catch (err) {
@@ -1854,6 +2966,160 @@ app.get("/api/odds/match", async (req, res) => {
   }
 });
 
+/**
+ * How the price of each recommended pick moved after it was recommended: the
+ * taken price against the latest stored price of the same bookmaker, market
+ * and line. 'with' = the price shortened (the market moved towards the pick),
+ * 'against' = it drifted. Null when the bookmaker no longer quotes the line.
+ * @param {Array} picks - clvService.eventPicks
+ * @param {Array} rows - oddsHistoryService.getRows of the same event
+ */
+function pickMovement(picks, rows) {
+  const oddsData = oddsHistoryService.latestOdds(rows);
+  const matchOdds = picks.length && oddsData ? eplOddsService.collectMatchOdds(picks[0].event, oddsData) : null;
+
+  return picks.map((pick) => {
+    const prediction = { statKey: pick.statKey, line: pick.line, side: pick.side, playerName: pick.player };
+    const quotes = matchOdds ? eplOddsService.findBestOddsForPrediction(prediction, matchOdds) : null;
+    const latest = quotes?.allBookmakers.find((b) => b.bookmaker === pick.bookmaker)?.odds ?? null;
+    const change = latest ? (latest / pick.odds - 1) * 100 : null;
+
+    return {
+      statKey: pick.statKey,
+      player: pick.player,
+      line: pick.line,
+      side: pick.side,
+      bookmaker: pick.bookmaker,
+      recommendedAt: pick.recommendedAt,
+      odds: pick.odds,
+      latest,
+      change: change === null ? null : Number(change.toFixed(2)),
+      direction: change === null ? null : change < 0 ? 'with' : change > 0 ? 'against' : 'flat',
+      status: pick.status
+    };
+  });
+}
+
+// GET /api/odds/history?eventId=123 - Stored odds snapshots of an event as line movement per bookmaker,
+// and how the price of each pick recommended on the event has moved since (with / against the pick)
+// Optional: &market=goals (odds bucket or bookmaker market name) &bookmaker=Bet365
+app.get("/api/odds/history", async (req, res) => {
+  try {
+    const { eventId, market, bookmaker } = req.query;
+
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: eventId'
+      });
+    }
+
+    const series = await oddsHistoryService.getMovement(eventId, { market, bookmaker });
+    const picks = clvService.eventPicks(eventId);
+
+    res.json({
+      success: true,
+      eventId: String(eventId),
+      market: market || null,
+      bookmaker: bookmaker || null,
+      series,
+      count: series.length,
+      picks: picks.length ? pickMovement(picks, await oddsHistoryService.getRows(eventId)) : []
+    });
+  } catch (err) {
+    console.error("[ODDS] History error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/odds/arbitrage - Sure bets and middles across bookmakers with stake splits
+// Optional: &bankroll=100 (total stake) &maxMiddleCost=5 (largest middle loss, % of bankroll)
+// Optional: &homeTeam=Arsenal&awayTeam=Chelsea (one match; default: every cached EPL and football match)
+app.get("/api/odds/arbitrage", async (req, res) => {
+  try {
+    const { homeTeam, awayTeam } = req.query;
+    const bankroll = req.query.bankroll !== undefined ? parseFloat(req.query.bankroll) : 100;
+    const maxMiddleCost = req.query.maxMiddleCost !== undefined ? parseFloat(req.query.maxMiddleCost) : 5;
+
+    if (!Number.isFinite(bankroll) || bankroll <= 0) {
+      return res.status(400).json({ success: false, error: 'bankroll must be a positive number' });
+    }
+    if (!Number.isFinite(maxMiddleCost) || maxMiddleCost < 0) {
+      return res.status(400).json({ success: false, error: 'maxMiddleCost must be a non-negative number' });
+    }
+    if (!!homeTeam !== !!awayTeam) {
+      return res.status(400).json({ success: false, error: 'homeTeam and awayTeam must be given together' });
+    }
+
+    // Odds of every match to scan, one entry per odds-api event
+    const oddsByEvent = new Map();
+    const addOdds = (matchOdds) => {
+      if (matchOdds?.matchId != null) oddsByEvent.set(matchOdds.matchId, matchOdds);
+    };
+
+    if (homeTeam) {
+      addOdds(await eplOddsService.getAllMatchOdds(homeTeam, awayTeam));
+    } else {
+      for (const match of cache.epl.data?.matches || []) {
+        try {
+          addOdds(await eplOddsService.getAllMatchOdds(
+            match.home_team.name,
+            match.away_team.name,
+            'england-premier-league',
+            match.kickoff,
+            eplTeamSource(match)
+          ));
+        } catch (e) {
+          console.log(`[ODDS] Could not fetch odds for ${match.home_team.name} vs ${match.away_team.name}:`, e.message);
+        }
+      }
+      for (const match of cache.football.data?.matches || []) {
+        if (match.oddsEventId == null || oddsByEvent.has(match.oddsEventId)) continue;
+        try {
+          addOdds(await eplOddsService.getEventMatchOdds({
+            id: match.oddsEventId,
+            home: match.homeTeam,
+            away: match.awayTeam,
+            date: match.kickoff
+          }));
+        } catch (e) {
+          console.log(`[ODDS] Could not fetch odds for ${match.homeTeam} vs ${match.awayTeam}:`, e.message);
+        }
+      }
+    }
+
+    const arbitrages = [];
+    const middles = [];
+    for (const matchOdds of oddsByEvent.values()) {
+      const match = {
+        eventId: matchOdds.matchId,
+        homeTeam: matchOdds.homeTeam,
+        awayTeam: matchOdds.awayTeam,
+        kickoff: matchOdds.kickoff
+      };
+      const found = eplOddsService.findArbitrage(matchOdds, bankroll, maxMiddleCost);
+      arbitrages.push(...found.arbitrages.map(a => ({ match, ...a })));
+      middles.push(...found.middles.map(m => ({ match, ...m })));
+    }
+
+    arbitrages.sort((a, b) => b.profitPct - a.profitPct);
+    middles.sort((a, b) => a.costPct - b.costPct || b.width - a.width);
+
+    res.json({
+      success: true,
+      bankroll,
+      maxMiddleCost,
+      matchesScanned: oddsByEvent.size,
+      arbitrages,
+      middles,
+      counts: { arbitrages: arbitrages.length, middles: middles.length }
+    });
+  } catch (err) {
+    console.error("[ODDS] Arbitrage error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // GET /api/odds/search - Search for EPL matches with odds
 app.get("/api/odds/search", async (req, res) => {
   try {
@@ -1914,6 +3180,12 @@ async function refreshFootballCache() {
     const valueBetMatches = [];
 
     for (const match of matchesWithPredictions) {
+      // Canonical teams by football-data.org team ID
+      const teamIds = {
+        home: teamService.resolve(match.homeTeam.name, { source: 'football-data', sourceId: match.homeTeam.id }).id,
+        away: teamService.resolve(match.awayTeam.name, { source: 'football-data', sourceId: match.awayTeam.id }).id
+      };
+
       // Try to fetch real bookmaker odds (with league filtering for accurate matching)
       let matchOdds = null;
       try {
@@ -1921,84 +3193,129 @@ async function refreshFootballCache() {
           match.homeTeam.name,
           match.awayTeam.name,
           match.oddsSlug,  // Pass league slug for filtering (e.g., 'england-premier-league')
-          match.kickoff    // Pass kickoff for date validation
+          match.kickoff,   // Pass kickoff for date validation
+          { source: 'football-data', homeId: match.homeTeam.id, awayId: match.awayTeam.id }
         );
       } catch (e) {
         console.log(`[Football] Could not fetch odds for ${match.homeTeam.name} vs ${match.awayTeam.name} (${match.oddsSlug})`);
       }
 
-      const valueBets = match.predictions
-        .filter(pred => pred.probability >= 0.59)
-        .map(pred => {
-          const probDecimal = pred.probability;
+      const toValueBet = (pred) => {
+        // Find real bookmaker odds
+        let bestBookmaker = null;
+        let bestOdds = null;
+        let allBookmakers = [];
+        let hasRealOdds = false;
+
+        if (matchOdds) {
+          const realOdds = eplOddsService.findBestOddsForPrediction(pred, matchOdds);
+          if (realOdds && realOdds.bestOdds && realOdds.bestBookmaker) {
+            bestBookmaker = realOdds.bestBookmaker;
+            bestOdds = realOdds.bestOdds;
+            hasRealOdds = true;
+            allBookmakers = realOdds.allBookmakers
+              .filter(b => b.bookmaker && b.odds)
+              .map(b => ({
+                bookmaker: b.bookmaker,
+                odds: b.odds,
+                line: b.line,
+                url: null
+              }));
+          }
+        }
 
-          // Find real bookmaker odds
-          let bestBookmaker = null;
-          let bestOdds = null;
-          let allBookmakers = [];
-          let hasRealOdds = false;
+        // Skip bets without real odds
+        if (!hasRealOdds || !bestBookmaker || !bestOdds) {
+          return null;
+        }
 
-          if (matchOdds) {
-            const realOdds = eplOddsService.findBestOddsForPrediction(pred, matchOdds);
-            if (realOdds && realOdds.bestOdds && realOdds.bestBookmaker) {
-              bestBookmaker = realOdds.bestBookmaker;
-              bestOdds = realOdds.bestOdds;
-              hasRealOdds = true;
-              allBookmakers = realOdds.allBookmakers
-                .filter(b => b.bookmaker && b.odds)
-                .map(b => ({
-                  bookmaker: b.bookmaker,
-                  odds: b.odds,
-                  line: b.line,
-                  url: null,
-                  ev: Number((((probDecimal * b.odds) - 1) * 100).toFixed(1))
-                }));
-            }
-          }
+        const blended = blendWithMarket(pred, pred.probability, pred.interval, matchOdds, bestOdds);
+        // Only high probability bets, once the market has had its say
+        if (blended.probability < VALUE_BET_MIN_PROB) return null;
 
-          // Skip bets without real odds
-          if (!hasRealOdds || !bestBookmaker || !bestOdds) {
-            return null;
-          }
+        // Handicap / draw no bet predictions carry push and half-stake outcomes
+        const evAt = (p, odds) => eplOddsService.calculatePredictionEV({ ...pred, probability: p }, odds);
+        const ev = evAt(blended.probability, bestOdds);
+        const band = blended.interval ? evInterval(blended.interval, bestOdds, pred.settlement) : null;
+        allBookmakers = allBookmakers.map(b => ({ ...b, ev: Number(evAt(blended.probability, b.odds).toFixed(1)) }));
 
-          const ev = ((probDecimal * bestOdds) - 1) * 100;
+        return {
+          matchId: `${match.leagueCode}_${match.matchId}`,
+          statKey: pred.statKey,
+          market: pred.statKey,
+          selection: pred.side,
+          line: pred.line,
+          probability: Number((pred.probability * 100).toFixed(1)),
+          probabilityInterval: percentInterval(pred.interval),
+          baseProbability: Number((pred.baseProbability * 100).toFixed(1)),
+          blendedProbability: Number((blended.probability * 100).toFixed(1)),
+          blendedInterval: percentInterval(blended.interval),
+          blendWeight: blended.weight,
+          fairOdds: Number(pred.fairOdds.toFixed(3)),
+          features: pred.features,
+          predictedTotal: pred.matchPrediction,
+          homeAvg: pred.homeAvg || 0,
+          awayAvg: pred.awayAvg || 0,
+          confidence: blended.probability >= 0.61 ? 'high' : blended.probability >= 0.59 ? 'medium' : 'low',
+          bestBookmaker,
+          bestOdds: Number(bestOdds.toFixed(2)),
+          bestEV: Number(ev.toFixed(1)),
+          modelEV: Number(evAt(pred.probability, bestOdds).toFixed(1)),
+          evInterval: roundedInterval(band),
+          fairPrice: blended.vsMarket?.fairPrice || null,
+          modelEdge: blended.vsMarket?.modelEdge ?? null,
+          marketEdge: blended.vsMarket?.marketEdge ?? null,
+          bestUrl: null,
+          allBookmakers,
+          type: pred.type || 'match',
+          hasRealOdds: true
+        };
+      };
 
-          return {
-            matchId: `${match.leagueCode}_${match.matchId}`,
-            statKey: pred.statKey,
-            market: pred.statKey,
-            selection: pred.side,
-            line: pred.line,
-            probability: Number((pred.probability * 100).toFixed(1)),
-            fairOdds: Number(pred.fairOdds.toFixed(3)),
-            predictedTotal: pred.matchPrediction,
-            homeAvg: pred.homeAvg || 0,
-            awayAvg: pred.awayAvg || 0,
-            confidence: pred.probability >= 0.61 ? 'high' : pred.probability >= 0.59 ? 'medium' : 'low',
-            bestBookmaker,
-            bestOdds: Number(bestOdds.toFixed(2)),
-            bestEV: Number(ev.toFixed(1)),
-            bestUrl: null,
-            allBookmakers,
-            type: pred.type || 'match',
-            hasRealOdds: true
-          };
-        })
+      const valueBets = match.predictions
+        .map(pred => toValueBet(pred))
         .filter(bet => bet !== null);
 
-      if (valueBets.length > 0) {
+      // The lines bookmakers actually offer, priced exactly (lines=offered)
+      const offeredBets = matchOdds && match.matchModel
+        ? footballDataService
+            .priceOfferedLines(match.matchModel, eplOddsService.listOfferedLines(matchOdds), Number(match.matchId) || 1)
+            .filter(pred => pred.probability >= minProb && pred.probability <= maxProb)
+            .map(pred => toValueBet(pred))
+            .filter(bet => bet !== null)
+            .sort((a, b) => b.blendedProbability - a.blendedProbability)
+        : [];
+
+      // Every +EV pick is tracked to its closing line
+      clvService.recordPicks(
+        'football',
+        matchOdds,
+        [...valueBets, ...offeredBets].filter(bet => bet.bestEV > 0),
+        { league: match.leagueName }
+      );
+
+      if (valueBets.length > 0 || offeredBets.length > 0) {
         valueBetMatches.push({
           matchId: `${match.leagueCode}_${match.matchId}`,
           homeTeam: match.homeTeam.name,
           awayTeam: match.awayTeam.name,
+          teamIds,
           kickoff: match.kickoff,
           league: match.leagueName,
           leagueCode: match.leagueCode,
           country: match.country,
+          oddsEventId: matchOdds?.matchId ?? null, // for /api/odds/history
           valueBets: valueBets.slice(0, 10),
-          bestEV: Math.max(...valueBets.map(b => b.bestEV)),
-          totalEV: valueBets.reduce((sum, b) => sum + b.bestEV, 0),
-          hasRealOdds: valueBets.some(b => b.hasRealOdds)
+          offeredBets: offeredBets.slice(0, 10),
+          strength: ratingService.strengthPrior(
+            ratingService.tableKey('football', match.leagueCode),
+            match.homeTeam.id,
+            match.awayTeam.id
+          ),
+          // from the offered-line bets when no model-line bet has odds
+          bestEV: Math.max(...(valueBets.length ? valueBets : offeredBets).map(b => b.bestEV)),
+          totalEV: (valueBets.length ? valueBets : offeredBets).reduce((sum, b) => sum + b.bestEV, 0),
+          hasRealOdds: valueBets.some(b => b.hasRealOdds) || offeredBets.length > 0
         });
       }
     }
@@ -2070,9 +3387,14 @@ app.get("/api/football/matches", async (req, res) => {
 });
 
 // GET /api/football/value-bets - Get value bets across all leagues
+// EV, confidence and ranking use the model blended with the de-vigged market (/api/blend/weights)
+// Optional: &positiveLowerEV=true keeps only bets whose 80% EV band lies above zero
+// Optional: &lines=offered prices exactly the lines bookmakers offer
 app.get("/api/football/value-bets", async (req, res) => {
   try {
     const { minEV = 0, maxOdds = 10, limit = 100, league } = req.query;
+    const positiveLowerEV = req.query.positiveLowerEV === 'true';
+    const offeredLines = req.query.lines === 'offered';
 
     // Check if cache is available
     if (!cache.football.data || !cache.football.data.matches) {
@@ -2100,13 +3422,19 @@ app.get("/api/football/value-bets", async (req, res) => {
     }
 
     // Filter by EV and odds
-    matches = matches.map(m => ({
-      ...m,
-      valueBets: m.valueBets.filter(b =>
+    matches = matches.map(({ offeredBets, ...m }) => {
+      const valueBets = (offeredLines ? offeredBets : m.valueBets).filter(b =>
         b.bestEV >= parseFloat(minEV) &&
-        b.bestOdds <= parseFloat(maxOdds)
-      )
-    })).filter(m => m.valueBets.length > 0);
+        b.bestOdds <= parseFloat(maxOdds) &&
+        (!positiveLowerEV || (b.evInterval && b.evInterval.low > 0))
+      );
+      return {
+        ...m,
+        valueBets,
+        bestEV: Math.max(...valueBets.map(b => b.bestEV)),
+        totalEV: valueBets.reduce((sum, b) => sum + b.bestEV, 0)
+      };
+    }).filter(m => m.valueBets.length > 0);
 
     // Sort by best EV and apply limit
     matches.sort((a, b) => b.bestEV - a.bestEV);
@@ -2118,6 +3446,7 @@ app.get("/api/football/value-bets", async (req, res) => {
       totalBets: limitedMatches.reduce((sum, m) => sum + m.valueBets.length, 0),
       totalMatches: limitedMatches.length,
       leagues: cache.football.data.leagues,
+      lines: offeredLines ? 'offered' : 'model',
       source: 'cache',
       cacheUpdatedAt: cache.football.lastUpdated,
       generatedAt: new Date().toISOString()
@@ -2206,6 +3535,324 @@ app.post("/api/nba/refresh-cache", async (req, res) => {
   res.json({ message: 'Cache refresh started' });
 });
 
+// ---------------- TEAM RATINGS ----------------
+
+// Finished NBA games of the current regular season since a date
+async function fetchFinishedNBAGames(startDate) {
+  const games = [];
+  let cursor = undefined;
+
+  while (true) {
+    const url = new URL(`${BASE_URL}/games`);
+    url.searchParams.append("seasons[]", CURRENT_SEASON);
+    url.searchParams.append("start_date", startDate);
+    url.searchParams.append("per_page", 100);
+    url.searchParams.append("postseason", "false");
+    if (cursor !== undefined) {
+      url.searchParams.append("cursor", cursor);
+    }
+
+    const json = await bdFetch(url.toString());
+    games.push(...(json.data || []).filter((g) => g.status === "Final"));
+
+    if (json.meta && json.meta.next_cursor) {
+      cursor = json.meta.next_cursor;
+    } else {
+      break;
+    }
+  }
+
+  return games;
+}
+
+// Finished EPL games of the current season
+async function fetchFinishedEPLGames() {
+  const games = [];
+  let cursor = undefined;
+
+  while (true) {
+    const url = new URL(`${API_BASE}/epl/v1/games`);
+    url.searchParams.append("season", CURRENT_EPL_SEASON);
+    url.searchParams.append("per_page", 100);
+    if (cursor !== undefined) {
+      url.searchParams.append("cursor", cursor);
+    }
+
+    const json = await bdFetch(url.toString());
+    games.push(
+      ...(json.data || []).filter((g) => ["FullTime", "FT", "C", "complete", "Final"].includes(g.status))
+    );
+
+    if (json.meta && json.meta.next_cursor) {
+      cursor = json.meta.next_cursor;
+    } else {
+      break;
+    }
+  }
+
+  return games;
+}
+
+// Day to resume fetching from: a few days before the last update, so late
+// results are picked up (already-applied games are skipped)
+function ratingsResumeDate(key) {
+  const updatedAt = ratingService.getUpdatedAt(key);
+  if (!updatedAt) return null;
+  return new Date(new Date(updatedAt).getTime() - 3 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+let ratingsRefreshing = false;
+
+/**
+ * Update NBA, EPL and football-data.org ratings from finished results
+ */
+async function refreshRatings() {
+  if (ratingsRefreshing) {
+    console.log('[Ratings] Refresh already in progress, skipping...');
+    return;
+  }
+  ratingsRefreshing = true;
+
+  try {
+    const nbaGames = await fetchFinishedNBAGames(ratingsResumeDate("nba") || `${CURRENT_SEASON}-10-01`);
+    ratingService.recordResults(
+      "nba",
+      nbaGames.map((g) => ({
+        id: g.id,
+        date: g.date,
+        homeId: g.home_team.id,
+        homeName: g.home_team.full_name,
+        awayId: g.visitor_team.id,
+        awayName: g.visitor_team.full_name,
+        homeScore: g.home_team_score,
+        awayScore: g.visitor_team_score,
+      }))
+    );
+  } catch (err) {
+    console.error('[Ratings] NBA update failed:', err.message);
+  }
+
+  try {
+    const [eplGames, teamsMap] = await Promise.all([fetchFinishedEPLGames(), fetchAllEPLTeams()]);
+    ratingService.recordResults(
+      "epl",
+      eplGames.map((g) => ({
+        id: g.id,
+        date: g.kickoff,
+        homeId: g.home_team_id,
+        homeName: teamsMap[g.home_team_id]?.name,
+        awayId: g.away_team_id,
+        awayName: teamsMap[g.away_team_id]?.name,
+        homeScore: g.home_score ?? g.home_team_score,
+        awayScore: g.away_score ?? g.away_team_score,
+      }))
+    );
+  } catch (err) {
+    console.error('[Ratings] EPL update failed:', err.message);
+  }
+
+  try {
+    if (footballDataService.apiKey) {
+      for (const { code } of footballDataService.getSupportedLeagues()) {
+        const matches = await footballDataService.getFinishedMatches(code);
+        ratingService.recordResults(
+          ratingService.tableKey("football", code),
+          matches.map((m) => ({
+            id: m.id,
+            date: m.utcDate,
+            homeId: m.homeTeam.id,
+            homeName: m.homeTeam.name,
+            awayId: m.awayTeam.id,
+            awayName: m.awayTeam.name,
+            homeScore: m.score?.fullTime?.home,
+            awayScore: m.score?.fullTime?.away,
+          }))
+        );
+      }
+    }
+  } catch (err) {
+    console.error('[Ratings] Football update failed:', err.message);
+  }
+
+  ratingsRefreshing = false;
+}
+
+const RATING_SPORTS = ["nba", "epl", "football"];
+
+// GET /api/ratings/:sport - Team ratings (nba, epl, football[?competition=PL])
+app.get("/api/ratings/:sport", (req, res) => {
+  try {
+    const sport = req.params.sport.toLowerCase();
+    if (!RATING_SPORTS.includes(sport)) {
+      return res.status(400).json({
+        error: "Unknown sport",
+        details: `Use one of: ${RATING_SPORTS.join(", ")}`,
+      });
+    }
+
+    const competition = req.query.competition ? String(req.query.competition).toUpperCase() : null;
+    const keys =
+      sport === "football"
+        ? ratingService.listTables("football").filter((k) => !competition || k === `football:${competition}`)
+        : [sport];
+
+    const tables = keys.map((key) => ({
+      key,
+      competition: key.includes(":") ? key.split(":")[1] : null,
+      updatedAt: ratingService.getUpdatedAt(key),
+      teams: ratingService.getRatings(key),
+    }));
+
+    res.json({ sport, tables });
+  } catch (err) {
+    console.error("[Ratings] Error:", err);
+    res.status(500).json({ error: "Failed to load ratings", details: err.message });
+  }
+});
+
+// ---------------- MODEL / MARKET BLENDING ----------------
+
+// GET /api/blend/weights - Model weight per market type (learned, configured or default)
+app.get("/api/blend/weights", (req, res) => {
+  try {
+    res.json({ success: true, ...blendService.listWeights() });
+  } catch (err) {
+    console.error("[Blend] Error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/blend/settled - Add settled bets to the history and re-learn the weights
+// Body: { bets: [{ market, modelProbability, marketProbability, result, betId?, settledAt? }] }
+// Probabilities are 0-1 (model before blending, de-vigged market); result: won | lost | push
+app.post("/api/blend/settled", (req, res) => {
+  const bets = Array.isArray(req.body?.bets) ? req.body.bets : [];
+  if (!bets.length) {
+    return res.status(400).json({ success: false, error: "bets must be a non-empty array" });
+  }
+  for (const bet of bets) {
+    const problem = blendService.validate(bet);
+    if (problem) {
+      return res.status(400).json({ success: false, error: `Invalid settled bet: ${problem}` });
+    }
+  }
+
+  try {
+    const recorded = blendService.recordSettled(bets);
+    const weights = blendService.learn();
+    res.json({ success: true, recorded, ...weights });
+  } catch (err) {
+    console.error("[Blend] Error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ---------------- CLOSING LINE VALUE ----------------
+
+let clvCapturing = false;
+
+// Re-read the markets of open picks shortly before kickoff (the last read is
+// the closing line) and close the picks of matches that have started.
+// Also saves picks recorded by the ev/value-bets endpoints since the last run.
+async function captureClosingLines() {
+  if (clvCapturing) return;
+  clvCapturing = true;
+
+  try {
+    const now = Date.now();
+    for (const { event, picks } of clvService.openEvents()) {
+      const kickoff = new Date(event.date).getTime();
+      if (now >= kickoff) {
+        clvService.closeEvent(event.id);
+        continue;
+      }
+      if (kickoff - now > clvService.captureWindowMs) continue;
+
+      const matchOdds = await eplOddsService.getEventMatchOdds(event, { fresh: true });
+      if (!matchOdds) continue;
+
+      const capturedAt = new Date().toISOString();
+      for (const pick of picks) {
+        const prediction = { statKey: pick.statKey, line: pick.line, side: pick.side, playerName: pick.player };
+        const quotes = eplOddsService.findBestOddsForPrediction(prediction, matchOdds);
+        const own = quotes?.allBookmakers.find((b) => b.bookmaker === pick.bookmaker);
+        const market = eplOddsService.getMarketConsensus(prediction, matchOdds);
+        clvService.captureClosing(pick, {
+          capturedAt,
+          odds: own?.odds ?? null,
+          bestOdds: quotes?.bestOdds ?? null,
+          fairProbability: market?.probability ?? null,
+        });
+      }
+    }
+    clvService.flush();
+  } catch (err) {
+    console.error('[CLV] Closing line capture failed:', err.message);
+  }
+
+  clvCapturing = false;
+}
+
+const CLV_SPORTS = ["epl", "football"];
+
+// GET /api/clv - Average closing line value of recommended picks by sport, market and bookmaker
+// Football picks only: there is no NBA odds feed, so NBA props have no taken or
+// closing price and tip-offs aren't tracked
+// Optional: &sport=epl|football &since=2026-01-01
+app.get("/api/clv", (req, res) => {
+  try {
+    const sport = req.query.sport ? String(req.query.sport).toLowerCase() : null;
+    if (sport && !CLV_SPORTS.includes(sport)) {
+      return res.status(400).json({ success: false, error: `sport must be one of: ${CLV_SPORTS.join(", ")}` });
+    }
+    const since = req.query.since || null;
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ success: false, error: "since must be a date" });
+    }
+
+    res.json({
+      success: true,
+      sport,
+      since,
+      picks: clvService.counts(),
+      ...clvService.aggregate({ sport, since: since ? new Date(since).toISOString() : null }),
+    });
+  } catch (err) {
+    console.error("[CLV] Error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ---------------- TEAM IDENTITY ----------------
+// GET /api/teams/unmatched - Fixtures and team names that couldn't be matched across sources
+// Map them by adding the spelling to the team alias file (data/team-aliases.json)
+app.get("/api/teams/unmatched", (req, res) => {
+  try {
+    const { fixtures, names } = teamService.listUnmatched();
+    res.json({
+      success: true,
+      aliasFile: teamService.file,
+      threshold: MATCH_THRESHOLD,
+      fixtures,
+      names,
+      counts: { fixtures: fixtures.length, names: names.length },
+    });
+  } catch (err) {
+    console.error("[Teams] Error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/teams/resolve?name=Wolves - Canonical team of a name, to check a mapping
+// Optional: &source=balldontlie|football-data|odds-api &sourceId=76
+app.get("/api/teams/resolve", (req, res) => {
+  const { name, source, sourceId } = req.query;
+  if (!name) {
+    return res.status(400).json({ success: false, error: "Missing required parameter: name" });
+  }
+  res.json({ success: true, query: name, ...teamService.resolve(name, { source, sourceId }) });
+});
+
 // ---------------- START SERVER ----------------
 
 app.listen(PORT, () => {
@@ -2233,6 +3880,18 @@ app.listen(PORT, () => {
     refreshFootballCache();
   });
 
+  // Ratings only move when results come in: once a day is enough
+  cron.schedule('15 7 * * *', () => {
+    console.log('[CRON] Running scheduled team ratings update...');
+    refreshRatings();
+  });
+
+  // Closing lines are captured in the last half hour before kickoff; new
+  // picks are saved on the same run
+  cron.schedule('*/5 * * * *', () => {
+    captureClosingLines();
+  });
+
   console.log('[CRON] Scheduled cache refresh jobs (every 2 hours)');
 
   // Initial cache population on server startup
@@ -2249,6 +3908,11 @@ app.listen(PORT, () => {
     refreshNBACache();
   }, 10000); // 10 second delay
 
+  setTimeout(() => {
+    console.log('[Ratings] Updating team ratings...');
+    refreshRatings();
+  }, 20000); // 20 second delay
+
   // Football-data.org multi-league cache (only if API key is configured)
   if (process.env.FOOTBALL_DATA_API_KEY && process.env.FOOTBALL_DATA_API_KEY !== 'YOUR_API_KEY_HERE') {
     setTimeout(async () => {
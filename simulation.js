@@ -0,0 +1,189 @@
+// simulation.js - Seedable Monte Carlo engine for game-level outcomes
+//
+// Each variable (a player's stat, a team's goals, ...) has a marginal from
+// distributions.js. Draws are correlated through a Gaussian copula, so the
+// marginals match the closed-form prices exactly while the joint behaviour
+// follows the given correlation matrix.
+const { createDistribution, normalCdf } = require("./distributions");
+
+const DEFAULT_DRAWS = 10000;
+// Marginal tables stop once this little probability mass is left
+const TAIL_EPSILON = 1e-9;
+
+/**
+ * Mulberry32 PRNG: small, fast and fully reproducible from a 32-bit seed.
+ */
+function createRng(seed = Date.now()) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller)
+function gaussian(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Cholesky factor of a correlation matrix. If the matrix isn't positive
+ * definite (estimated pairwise), off-diagonals are shrunk until it is.
+ *
+ * @param {number[][]} matrix
+ * @returns {number[][]} lower-triangular L with L L' = matrix
+ */
+function cholesky(matrix) {
+  const n = matrix.length;
+  for (let shrink = 1; shrink >= 0; shrink -= 0.05) {
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+    let ok = true;
+    for (let i = 0; i < n && ok; i++) {
+      for (let j = 0; j <= i; j++) {
+        const a = i === j ? 1 : matrix[i][j] * shrink;
+        let sum = a;
+        for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+        if (i === j) {
+          if (sum <= 0) {
+            ok = false;
+            break;
+          }
+          L[i][i] = Math.sqrt(sum);
+        } else {
+          L[i][j] = sum / L[j][j];
+        }
+      }
+    }
+    if (ok) return L;
+  }
+  // identity: independent draws
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Cumulative table P(X <= k) for k = 0..K, K large enough that the tail is negligible.
+ * Values below 0 are not supported (all modelled stats are counts).
+ */
+function marginalTable(dist, mu, sigma) {
+  const cap = Math.max(20, Math.ceil(mu + 15 * (sigma || Math.sqrt(Math.max(mu, 1)))));
+  const table = [];
+  for (let k = 0; k <= cap; k++) {
+    table.push(dist.cdf(k));
+    if (1 - table[k] < TAIL_EPSILON) break;
+  }
+  return table;
+}
+
+// Smallest k with table[k] >= u
+function inverseTable(table, u) {
+  let lo = 0;
+  let hi = table.length - 1;
+  if (u > table[hi]) return hi;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (table[mid] >= u) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+class Simulation {
+  constructor(ids, draws, rng) {
+    this.ids = ids;
+    this.n = draws.length ? draws[0].length : 0;
+    this.draws = {};
+    ids.forEach((id, i) => {
+      this.draws[id] = draws[i];
+    });
+    this.rng = rng;
+  }
+
+  // Sum of the given variables in draw i
+  total(ids, i) {
+    let sum = 0;
+    for (const id of ids) sum += this.draws[id][i];
+    return sum;
+  }
+
+  /**
+   * Race to `target` between two groups (e.g. first team to 10 points,
+   * first to score 2 goals). Within each draw the group's events are
+   * spread uniformly over the game, so the time a group reaches the target
+   * is the target-th order statistic of its event times.
+   *
+   * @returns {{ a: number, b: number, neither: number }}
+   */
+  firstTo(idsA, idsB, target) {
+    const reachTime = (total) => {
+      if (total < target) return Infinity;
+      const times = Array.from({ length: total }, () => this.rng());
+      times.sort((x, y) => x - y);
+      return times[target - 1];
+    };
+
+    let a = 0;
+    let b = 0;
+    for (let i = 0; i < this.n; i++) {
+      const ta = reachTime(this.total(idsA, i));
+      const tb = reachTime(this.total(idsB, i));
+      if (ta === Infinity && tb === Infinity) continue;
+      if (ta < tb) a++;
+      else b++;
+    }
+    return { a: a / this.n, b: b / this.n, neither: (this.n - a - b) / this.n };
+  }
+}
+
+/**
+ * Draw N correlated outcomes for a set of variables.
+ *
+ * @param {Object} opts
+ * @param {Array<{id: string, family: string, mu: number, sigma: number, values?: number[]}>} opts.variables
+ * @param {Object<string, Object<string, number>>} [opts.correlation] - corr[a][b], missing pairs = 0
+ * @param {number} [opts.n] - number of draws (default 10000)
+ * @param {number} [opts.seed] - PRNG seed for reproducible results
+ * @returns {Simulation}
+ */
+function simulate({ variables, correlation = {}, n = DEFAULT_DRAWS, seed }) {
+  const rng = createRng(seed);
+  const ids = variables.map((v) => v.id);
+  const tables = variables.map((v) =>
+    marginalTable(
+      createDistribution(v.family, { mu: v.mu, sigma: v.sigma, values: v.values }),
+      v.mu,
+      v.sigma
+    )
+  );
+
+  const matrix = ids.map((a) =>
+    ids.map((b) => (a === b ? 1 : correlation[a]?.[b] ?? correlation[b]?.[a] ?? 0))
+  );
+  const L = cholesky(matrix);
+
+  const draws = ids.map(() => new Int32Array(n));
+  const z = new Array(ids.length);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < ids.length; j++) z[j] = gaussian(rng);
+    for (let j = 0; j < ids.length; j++) {
+      let x = 0;
+      for (let k = 0; k <= j; k++) x += L[j][k] * z[k];
+      draws[j][i] = inverseTable(tables[j], normalCdf(x));
+    }
+  }
+
+  return new Simulation(ids, draws, rng);
+}
+
+module.exports = {
+  DEFAULT_DRAWS,
+  createRng,
+  gaussian,
+  cholesky,
+  simulate,
+  Simulation,
+};
@@ -0,0 +1,105 @@
+// teamNames.js - Normalised team names and fuzzy name scoring
+//
+// Sources spell the same club differently ("Wolverhampton Wanderers FC",
+// "Wolves", "Manchester Utd", "Bayern München"). Names are reduced to tokens
+// (lowercase, no accents or punctuation, club-type words such as FC / AFC
+// dropped, common abbreviations expanded) and compared token by token.
+// The score averages two views of the overlap:
+// - dice: matched tokens over all tokens, which punishes extra words
+// - containment: matched tokens over the shorter name, so "Wolverhampton
+//   Wanderers" still scores well against "Wolverhampton Wanderers Football
+//   Club"; it needs two matched tokens, or any name containing a one-word
+//   alias would pass ("Newcastle Jets", "Inter Miami")
+// Only the dictionary can tell "Wolves" is Wolverhampton; the score is for
+// spellings the dictionary doesn't have yet.
+
+// Score at which two names are taken to be the same team
+const MATCH_THRESHOLD = 0.8;
+// Lead the best team must have over the runner-up to be unambiguous
+const AMBIGUITY_MARGIN = 0.1;
+
+// Words that say what kind of club it is rather than which one
+const GENERIC_TOKENS = new Set([
+  "fc", "afc", "cf", "sc", "ac", "as", "ss", "ssc", "rc", "rcd", "ogc", "cd", "ud",
+  "sv", "vfb", "vfl", "tsg", "fsv", "bc", "club", "the", "de", "and", "of",
+]);
+
+const ABBREVIATIONS = {
+  utd: "united",
+  man: "manchester",
+  nottm: "nottingham",
+  st: "saint",
+  munchen: "munich",
+};
+
+/**
+ * Tokens of a team name ("Nott'm Forest FC" => ["nottingham", "forest"])
+ */
+function nameTokens(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/'/g, "")
+    .replace(/[^a-z]+/g, " ")
+    .split(" ")
+    .filter((t) => t && !GENERIC_TOKENS.has(t))
+    .map((t) => ABBREVIATIONS[t] || t);
+}
+
+/**
+ * Lookup key of a team name: its tokens joined
+ */
+function normaliseName(name) {
+  return nameTokens(name).join(" ");
+}
+
+// 1 for the same token, 0.9 when one is an abbreviation (prefix) of the other
+function tokenScore(a, b) {
+  if (a === b) return 1;
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  return short.length >= 3 && long.startsWith(short) ? 0.9 : 0;
+}
+
+/**
+ * Similarity of two team names, 0-1
+ */
+function nameSimilarity(a, b) {
+  const x = nameTokens(a);
+  const y = nameTokens(b);
+  if (!x.length || !y.length) return 0;
+  if (x.join(" ") === y.join(" ")) return 1;
+
+  // Greedy one-to-one pairing of tokens, best pairs first
+  const pairs = [];
+  x.forEach((s, i) => y.forEach((t, j) => {
+    const score = tokenScore(s, t);
+    if (score > 0) pairs.push({ i, j, score });
+  }));
+  pairs.sort((p, q) => q.score - p.score);
+
+  const usedX = new Set();
+  const usedY = new Set();
+  let matched = 0;
+  for (const p of pairs) {
+    if (usedX.has(p.i) || usedY.has(p.j)) continue;
+    usedX.add(p.i);
+    usedY.add(p.j);
+    matched += p.score;
+  }
+
+  const dice = (2 * matched) / (x.length + y.length);
+  // A single shared word ("Newcastle" in "Newcastle Jets") is no evidence on
+  // its own, so containment only counts once two or more tokens agree
+  const containment = matched >= 2 ? matched / Math.min(x.length, y.length) : dice;
+  return (dice + containment) / 2;
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  AMBIGUITY_MARGIN,
+  nameTokens,
+  normaliseName,
+  nameSimilarity,
+};
@@ -0,0 +1,276 @@
+// teamService.js - Canonical team identities across data sources
+// balldontlie, football-data.org and odds-api each name teams their own way.
+// The alias file maps every known spelling, and each source's own team ID,
+// to one canonical team ID:
+//   { "<teamId>": { name, aliases: [...], ids?: { "<source>": <source team id> } } }
+// Source IDs missing from the file are learned the first time a team's name
+// resolves through an alias, and kept in a separate runtime file. Names
+// missing from both fall back to fuzzy scoring (teamNames.js), which is never
+// treated as certain. Names and fixtures that still can't be matched are kept
+// for manual mapping; adding their spelling to the file applies without a
+// restart.
+
+const fs = require('fs');
+const path = require('path');
+const { MATCH_THRESHOLD, AMBIGUITY_MARGIN, normaliseName, nameSimilarity } = require('./teamNames');
+
+// Most unmatched names / fixtures kept in memory
+const MAX_UNMATCHED = 500;
+
+class TeamService {
+  constructor() {
+    this.file = process.env.TEAM_ALIASES_FILE || path.join(__dirname, 'data', 'team-aliases.json');
+    this.learnedFile = process.env.TEAM_IDS_FILE || path.join(__dirname, 'data', 'team-ids.json');
+    this.teams = {};
+    // normalised name => team ID
+    this.aliasIndex = new Map();
+    // "<source>|<source team id>" => team ID, from the alias file
+    this.idIndex = new Map();
+    // { "<source>": { "<source team id>": teamId } }, learned from resolved names
+    this.learnedIds = null;
+    this.fileMtime = 0;
+    // raw name => resolve() result
+    this.resolved = new Map();
+    this.unmatchedNames = new Map();
+    this.unmatchedFixtures = new Map();
+  }
+
+  /**
+   * Reload the alias file when it changed on disk, so new aliases apply without a restart
+   */
+  refreshFromFile() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const mtime = fs.statSync(this.file).mtimeMs;
+      if (mtime === this.fileMtime) return;
+
+      const teams = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const aliasIndex = new Map();
+      const idIndex = new Map();
+      for (const [id, team] of Object.entries(teams)) {
+        for (const [source, sourceId] of Object.entries(team.ids || {})) {
+          idIndex.set(`${source}|${sourceId}`, id);
+        }
+        for (const name of [team.name, ...(team.aliases || [])]) {
+          const key = normaliseName(name);
+          if (!key) continue;
+          if (aliasIndex.has(key) && aliasIndex.get(key) !== id) {
+            console.warn(`[Teams] "${name}" is an alias of both ${aliasIndex.get(key)} and ${id}; keeping ${aliasIndex.get(key)}`);
+            continue;
+          }
+          aliasIndex.set(key, id);
+        }
+      }
+
+      this.teams = teams;
+      this.aliasIndex = aliasIndex;
+      this.idIndex = idIndex;
+      this.fileMtime = mtime;
+      this.resolved.clear();
+      console.log(`[Teams] Loaded ${Object.keys(teams).length} teams (${aliasIndex.size} names) from ${this.file}`);
+    } catch (error) {
+      console.error(`[Teams] Error loading ${this.file}:`, error.message);
+    }
+  }
+
+  loadLearnedIds() {
+    if (this.learnedIds) return this.learnedIds;
+
+    this.learnedIds = {};
+    try {
+      if (fs.existsSync(this.learnedFile)) {
+        this.learnedIds = JSON.parse(fs.readFileSync(this.learnedFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`[Teams] Error loading ${this.learnedFile}:`, error.message);
+    }
+    return this.learnedIds;
+  }
+
+  saveLearnedIds() {
+    try {
+      fs.mkdirSync(path.dirname(this.learnedFile), { recursive: true });
+      const tmp = `${this.learnedFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.learnedIds, null, 2));
+      fs.renameSync(tmp, this.learnedFile);
+    } catch (error) {
+      console.error(`[Teams] Error saving ${this.learnedFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Team ID of a source's own team ID: the alias file first, then learned links
+   */
+  teamIdFor(source, sourceId) {
+    return this.idIndex.get(`${source}|${sourceId}`) || this.loadLearnedIds()[source]?.[String(sourceId)] || null;
+  }
+
+  /**
+   * Canonical team of a name
+   * @param {string} name - Team name as a source spells it
+   * @param {Object} [context] - { source ('balldontlie' | 'football-data' | 'odds-api'), sourceId }
+   * @returns {{ id: string|null, name: string|null, confidence: number, method: string }}
+   *   method: 'id' | 'alias' (certain) | 'fuzzy' (confidence < 1) | 'none'
+   */
+  resolve(name, { source = null, sourceId = null } = {}) {
+    this.refreshFromFile();
+
+    const key = String(name || '');
+    if (!this.resolved.has(key)) this.resolved.set(key, this.resolveName(key));
+    const byName = this.resolved.get(key);
+
+    if (source && sourceId != null) {
+      const id = this.teamIdFor(source, sourceId);
+      if (id && this.teams[id]) {
+        // A spelling that belongs to another team means the ID entry is wrong
+        if (byName.method === 'alias' && byName.id !== id) {
+          console.warn(`[Teams] ${source} team ${sourceId} ("${key}") is mapped to ${id} but its name is an alias of ${byName.id}`);
+          return byName;
+        }
+        return { id, name: this.teams[id].name, confidence: 1, method: 'id' };
+      }
+      if (byName.method === 'alias') this.learnId(source, sourceId, byName.id);
+    }
+
+    // Only names whose source is known are worth mapping by hand
+    if (!byName.id && key && source) this.recordUnmatchedName(key, source);
+    return byName;
+  }
+
+  learnId(source, sourceId, teamId) {
+    const learned = this.loadLearnedIds();
+    learned[source] = learned[source] || {};
+    if (learned[source][String(sourceId)] === teamId) return;
+
+    learned[source][String(sourceId)] = teamId;
+    this.saveLearnedIds();
+    console.log(`[Teams] Linked ${source} team ${sourceId} to ${teamId}`);
+  }
+
+  resolveName(name) {
+    const normalised = normaliseName(name);
+    if (!normalised) return { id: null, name: null, confidence: 0, method: 'none' };
+
+    const aliased = this.aliasIndex.get(normalised);
+    if (aliased) return { id: aliased, name: this.teams[aliased].name, confidence: 1, method: 'alias' };
+
+    // Best spelling of each team; the winner must clear the threshold and the runner-up
+    const scores = Object.entries(this.teams)
+      .map(([id, team]) => ({
+        id,
+        score: Math.max(...[team.name, ...(team.aliases || [])].map(n => nameSimilarity(name, n)))
+      }))
+      .sort((a, b) => b.score - a.score);
+    const [best, second] = scores;
+
+    if (best && best.score >= MATCH_THRESHOLD && best.score - (second?.score || 0) >= AMBIGUITY_MARGIN) {
+      return { id: best.id, name: this.teams[best.id].name, confidence: Number(best.score.toFixed(3)), method: 'fuzzy' };
+    }
+    return { id: null, name: null, confidence: best ? Number(best.score.toFixed(3)) : 0, method: 'none' };
+  }
+
+  /**
+   * Confidence (0-1) that two teams are the same. Teams are names, or
+   * { name, source, id } when the source's own team ID is known.
+   * Only certain resolutions (alias / id) are compared by team ID; a fuzzy
+   * resolution contributes its confidence, and anything else the name score.
+   */
+  sameTeam(a, b) {
+    const ref = (team) => (typeof team === 'object' && team !== null ? team : { name: team });
+    const teamA = ref(a);
+    const teamB = ref(b);
+    const x = this.resolve(teamA.name, { source: teamA.source, sourceId: teamA.id });
+    const y = this.resolve(teamB.name, { source: teamB.source, sourceId: teamB.id });
+
+    const certain = (r) => r.method === 'alias' || r.method === 'id';
+    if (certain(x) && certain(y)) return x.id === y.id ? 1 : 0;
+    if (x.id && x.id === y.id) return Math.min(x.confidence, y.confidence);
+    return nameSimilarity(teamA.name, teamB.name);
+  }
+
+  /**
+   * Best-matching fixture among candidates
+   * @param {string|Object} homeTeam - name or { name, source, id }
+   * @param {string|Object} awayTeam
+   * @param {Array} candidates - fixtures with { home, away } names and optional { homeId, awayId }
+   * @param {Object} [context] - { candidateSource }
+   * @returns {{ fixture: Object|null, score: number, ranked: Array<{ fixture, score }> }}
+   *   score: the weaker of the two team confidences
+   */
+  bestFixture(homeTeam, awayTeam, candidates, context = {}) {
+    const source = context.candidateSource || null;
+    const ranked = (candidates || [])
+      .map(fixture => ({
+        fixture,
+        score: Math.min(
+          this.sameTeam(homeTeam, { name: fixture.home, source, id: fixture.homeId ?? null }),
+          this.sameTeam(awayTeam, { name: fixture.away, source, id: fixture.awayId ?? null })
+        )
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const top = ranked[0];
+    if (top && top.score >= MATCH_THRESHOLD) return { fixture: top.fixture, score: top.score, ranked };
+    return { fixture: null, score: top?.score || 0, ranked };
+  }
+
+  recordUnmatchedName(name, source) {
+    const key = `${source}|${name}`;
+    const entry = this.unmatchedNames.get(key);
+    if (entry) {
+      entry.count++;
+      entry.lastSeen = new Date().toISOString();
+      return;
+    }
+    if (this.unmatchedNames.size >= MAX_UNMATCHED) return;
+    this.unmatchedNames.set(key, { name, source, count: 1, lastSeen: new Date().toISOString() });
+  }
+
+  /**
+   * Keep a fixture that couldn't be matched to another source's event
+   * @param {Object} fixture - { source, target, homeTeam, awayTeam, homeId?, awayId?, league, kickoff,
+   *   candidates: [{ home, away, date, eventId, score }] }
+   */
+  recordUnmatchedFixture(fixture) {
+    const key = [fixture.target, fixture.homeTeam, fixture.awayTeam, fixture.kickoff].join('|');
+    const entry = this.unmatchedFixtures.get(key);
+    if (!entry && this.unmatchedFixtures.size >= MAX_UNMATCHED) return;
+
+    this.unmatchedFixtures.set(key, {
+      ...fixture,
+      homeResolved: this.resolve(fixture.homeTeam, { source: fixture.source, sourceId: fixture.homeId }),
+      awayResolved: this.resolve(fixture.awayTeam, { source: fixture.source, sourceId: fixture.awayId }),
+      attempts: (entry?.attempts || 0) + 1,
+      lastSeen: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Unmatched fixtures and names, most recent first. Fixtures that match by now
+   * (after an alias was added) are dropped.
+   */
+  listUnmatched() {
+    this.refreshFromFile();
+
+    for (const [key, fixture] of this.unmatchedFixtures) {
+      const { fixture: match } = this.bestFixture(
+        { name: fixture.homeTeam, source: fixture.source, id: fixture.homeId },
+        { name: fixture.awayTeam, source: fixture.source, id: fixture.awayId },
+        fixture.candidates,
+        { candidateSource: fixture.target }
+      );
+      if (match) this.unmatchedFixtures.delete(key);
+    }
+    for (const [key, entry] of this.unmatchedNames) {
+      if (this.resolveName(entry.name).id) this.unmatchedNames.delete(key);
+    }
+
+    const byLastSeen = (a, b) => b.lastSeen.localeCompare(a.lastSeen);
+    return {
+      fixtures: [...this.unmatchedFixtures.values()].sort(byLastSeen),
+      names: [...this.unmatchedNames.values()].sort(byLastSeen)
+    };
+  }
+}
+
+module.exports = new TeamService();
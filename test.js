@@ -0,0 +1,597 @@
+// test.js - Table-driven checks of the pure pricing modules (npm test)
+const assert = require("node:assert/strict");
+const { stakeSplit, findArbitrages, findMiddles } = require("./arbitrage");
+const { devig, consensus } = require("./devig");
+const { asianHandicapSettlement } = require("./dixonColes");
+const { poissonCdf } = require("./distributions");
+const { simulateMatch, raceMarkets } = require("./evCalculatorFootball");
+const { projectFromMinutes } = require("./minutesModel");
+const eplOddsService = require("./eplOddsService");
+const oddsHistoryService = require("./oddsHistoryService");
+
+// Ratings persist to disk: keep the test's table out of data/
+process.env.RATINGS_FILE = require("path").join(require("os").tmpdir(), `ratings-test-${process.pid}.json`);
+const ratingService = require("./ratingService");
+const { MATCH_THRESHOLD, nameSimilarity } = require("./teamNames");
+const teamService = require("./teamService");
+
+let failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${error.message.split("\n").join("\n  ")}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected}, got ${actual}`
+  );
+}
+
+// One-hot score matrix of a final score, for settling bets on it
+function scoreOnly(home, away) {
+  const matrix = Array.from({ length: 10 }, () => new Array(10).fill(0));
+  matrix[home][away] = 1;
+  return matrix;
+}
+
+// What a stake returns (stake included) on an Asian handicap for one final score
+function handicapReturn(stake, odds, line, side, home, away) {
+  const s = asianHandicapSettlement(scoreOnly(home, away), line, side);
+  return stake * (s.win * odds + s.halfWin * (1 + odds) / 2 + s.push + s.halfLoss / 2);
+}
+
+const quotes = (...prices) => prices.map(([bookmaker, odds]) => ({ bookmaker, odds }));
+
+// ---------------- arbitrage.js: stake splits ----------------
+
+const STAKE_SPLITS = [
+  // 1/2.10 + 1/2.05 = 96.4%: each side staked in proportion to 1 / odds
+  { odds: [2.10, 2.05], bankroll: 100, stakes: [49.40, 50.60], payout: 103.73, impliedTotal: 0.9640 },
+  { odds: [2.00, 2.00], bankroll: 100, stakes: [50.00, 50.00], payout: 100.00, impliedTotal: 1.0000 },
+  { odds: [3.40, 3.50, 2.60], bankroll: 100, stakes: [30.50, 29.62, 39.88], payout: 103.69, impliedTotal: 0.9644 },
+  { odds: [1.50, 2.60], bankroll: 250, stakes: [158.54, 91.46], payout: 237.80, impliedTotal: 1.0513 },
+];
+
+for (const c of STAKE_SPLITS) {
+  check(`stakeSplit ${c.odds.join("/")} on ${c.bankroll}`, () => {
+    const split = stakeSplit(c.odds, c.bankroll);
+    split.stakes.forEach((stake, i) => assertClose(stake, c.stakes[i], 0.005, `stake ${i}`));
+    assertClose(split.payout, c.payout, 0.005, "payout");
+    assertClose(split.impliedTotal, c.impliedTotal, 0.00005, "impliedTotal");
+    // every side pays the same
+    c.odds.forEach((o, i) => assertClose(split.stakes[i] * o, split.payout, 1e-9, `payout of side ${i}`));
+    assertClose(split.stakes.reduce((s, x) => s + x, 0), c.bankroll, 1e-9, "total staked");
+  });
+}
+
+// ---------------- arbitrage.js: findArbitrages ----------------
+
+const ARBITRAGES = [
+  {
+    name: "best price of each side across books",
+    market: {
+      bucket: "goals",
+      line: 2.5,
+      sides: {
+        over: quotes(["A", 2.10], ["B", 1.95]),
+        under: quotes(["B", 2.05], ["A", 1.80]),
+      },
+    },
+    expected: { impliedTotal: 96.4, profit: 3.73, profitPct: 3.73, legs: [["over", "A", 49.40], ["under", "B", 50.60]] },
+  },
+  {
+    name: "no arbitrage when the best prices imply 100% or more",
+    market: {
+      bucket: "goals",
+      line: 2.5,
+      sides: { over: quotes(["A", 1.95]), under: quotes(["B", 1.95]) },
+    },
+    expected: null,
+  },
+  {
+    name: "a side without a price is no arbitrage",
+    market: { bucket: "goals", line: 3.5, sides: { over: quotes(["A", 5.0]), under: [] } },
+    expected: null,
+  },
+];
+
+for (const c of ARBITRAGES) {
+  check(`findArbitrages: ${c.name}`, () => {
+    const [arb] = findArbitrages([c.market], 100);
+    if (!c.expected) return assert.equal(arb, undefined);
+    assert.equal(arb.impliedTotal, c.expected.impliedTotal);
+    assert.equal(arb.profit, c.expected.profit);
+    assert.equal(arb.profitPct, c.expected.profitPct);
+    assert.deepEqual(arb.legs.map((l) => [l.side, l.bookmaker, l.stake]), c.expected.legs);
+  });
+}
+
+// Whole and quarter lines can push or half-settle; an arbitrage on them must
+// still return at least the bankroll on every score
+const HANDICAP_ARBITRAGES = [
+  { line: -0.25, home: 2.10, away: 2.05 },
+  { line: -0.75, home: 2.30, away: 1.85 },
+  { line: 0, home: 2.02, away: 2.02 },
+  { line: -1, home: 2.60, away: 1.72 },
+  { line: 0.25, home: 1.80, away: 2.35 },
+];
+
+for (const c of HANDICAP_ARBITRAGES) {
+  check(`findArbitrages: handicap ${c.line} never loses`, () => {
+    const [arb] = findArbitrages(
+      [{ bucket: "asian_handicap", line: c.line, sides: { home: quotes(["A", c.home]), away: quotes(["B", c.away]) } }],
+      100
+    );
+    assert.ok(arb, "arbitrage found");
+    const stake = Object.fromEntries(arb.legs.map((l) => [l.side, l.stake]));
+    for (let home = 0; home <= 4; home++) {
+      for (let away = 0; away <= 4; away++) {
+        const returned =
+          handicapReturn(stake.home, c.home, c.line, "home", home, away) +
+          handicapReturn(stake.away, c.away, c.line, "away", home, away);
+        // stakes are rounded to cents
+        assert.ok(returned >= 100 - 0.02, `${home}-${away} returns ${returned.toFixed(2)}`);
+      }
+    }
+  });
+}
+
+// ---------------- arbitrage.js: findMiddles ----------------
+
+const MIDDLES = [
+  {
+    name: "over the low total, under the high one",
+    markets: [
+      { bucket: "goals", line: 2.5, sides: { over: quotes(["A", 2.05]), under: quotes(["A", 1.80]) } },
+      { bucket: "goals", line: 3.5, sides: { over: quotes(["B", 3.10]), under: quotes(["B", 1.95]) } },
+    ],
+    expected: { width: 1, legs: [["over", 2.5, "A"], ["under", 3.5, "B"]] },
+  },
+  {
+    // home-perspective lines: away +1.5 (line -1.5) and home +0.5 (line 0.5)
+    // both win on a draw or a one-goal home win
+    name: "away at the low handicap, home at the high one",
+    markets: [
+      { bucket: "asian_handicap", line: -1.5, sides: { home: quotes(["A", 3.50]), away: quotes(["A", 1.95]) } },
+      { bucket: "asian_handicap", line: 0.5, sides: { home: quotes(["B", 2.00]), away: quotes(["B", 1.80]) } },
+    ],
+    expected: { width: 2, legs: [["away", -1.5, "A"], ["home", 0.5, "B"]] },
+  },
+  {
+    name: "whole lines are left out",
+    markets: [
+      { bucket: "goals", line: 2, sides: { over: quotes(["A", 2.05]) } },
+      { bucket: "goals", line: 3, sides: { under: quotes(["B", 2.05]) } },
+    ],
+    expected: null,
+  },
+  {
+    name: "no middle where the gap closes the wrong way",
+    markets: [
+      { bucket: "goals", line: 3.5, sides: { over: quotes(["A", 3.10]) } },
+      { bucket: "goals", line: 2.5, sides: { under: quotes(["B", 1.80]) } },
+    ],
+    expected: null,
+  },
+];
+
+for (const c of MIDDLES) {
+  check(`findMiddles: ${c.name}`, () => {
+    const middles = findMiddles(c.markets, 100, 10);
+    if (!c.expected) return assert.equal(middles.length, 0);
+    assert.equal(middles.length, 1);
+    const [middle] = middles;
+    assert.equal(middle.width, c.expected.width);
+    assert.deepEqual(middle.legs.map((l) => [l.side, l.line, l.bookmaker]), c.expected.legs);
+  });
+}
+
+check("findMiddles: the handicap middle wins both legs on exactly `width` margins", () => {
+  const [middle] = findMiddles(MIDDLES[1].markets, 100, 10);
+  const [away, home] = middle.legs;
+  const bothWin = [];
+  for (let margin = -4; margin <= 4; margin++) {
+    const [h, a] = margin >= 0 ? [margin, 0] : [0, -margin];
+    const wins = (leg) => asianHandicapSettlement(scoreOnly(h, a), leg.line, leg.side).win === 1;
+    if (wins(away) && wins(home)) bothWin.push(margin);
+  }
+  assert.deepEqual(bothWin, [0, 1]);
+  assert.equal(bothWin.length, middle.width);
+  assertClose(middle.ifBothWin, 2 * (middle.ifOneWins + 100) - 100, 0.011, "ifBothWin");
+});
+
+check("findMiddles: costlier than maxCostPct is skipped", () => {
+  const markets = MIDDLES[0].markets.map((m) => ({
+    ...m,
+    sides: Object.fromEntries(Object.entries(m.sides).map(([side, q]) => [side, q.map((x) => ({ ...x, odds: 1.7 }))])),
+  }));
+  // 1/1.7 + 1/1.7 = 117.6%: one winning side costs 15% of the stake
+  assert.equal(findMiddles(markets, 100, 10).length, 0);
+  assert.equal(findMiddles(markets, 100, 20).length, 1);
+});
+
+// ---------------- eplOddsService.js: quotes of the same market only ----------------
+
+const FIXTURE = { id: 1, home: "Arsenal", away: "Chelsea", date: "2099-01-01T15:00:00Z" };
+
+// Odds of one over/under line per bookmaker: [bookmaker, market name, over, under]
+function overUnderOdds(line, ...books) {
+  const bookmakers = {};
+  for (const [bookmaker, name, over, under] of books) {
+    (bookmakers[bookmaker] = bookmakers[bookmaker] || []).push({
+      name,
+      odds: [{ hdp: line, over: String(over), under: String(under) }],
+    });
+  }
+  return eplOddsService.collectMatchOdds(FIXTURE, { bookmakers });
+}
+
+const MARKET_ARBITRAGES = [
+  {
+    // 1st-half cards go under far more often than match cards: pairing them
+    // would show a 40% "sure bet"
+    name: "1st-half cards are not paired with match cards",
+    odds: overUnderOdds(4.5, ["A", "1st Half Cards", 15.0, 1.01], ["B", "Total Cards", 1.8, 2.0]),
+    expected: [],
+  },
+  {
+    name: "team cards are not paired with match cards",
+    odds: overUnderOdds(2.5, ["A", "Arsenal Total Cards", 2.9, 1.4], ["B", "Cards Over/Under", 1.3, 3.4]),
+    expected: [],
+  },
+  {
+    name: "red cards are not paired with match cards",
+    odds: overUnderOdds(0.5, ["A", "Total Red Cards", 4.0, 1.2], ["B", "Total Bookings", 1.02, 13.0]),
+    expected: [],
+  },
+  {
+    name: "the same market at two books still pairs",
+    odds: overUnderOdds(4.5, ["A", "Total Cards", 2.10, 1.75], ["B", "Total Bookings", 1.70, 2.05]),
+    expected: [["cards", 4.5]],
+  },
+];
+
+for (const c of MARKET_ARBITRAGES) {
+  check(`findArbitrage: ${c.name}`, () => {
+    const { arbitrages, middles } = eplOddsService.findArbitrage(c.odds, 100, 100);
+    assert.deepEqual(arbitrages.map((a) => [a.market, a.line]), c.expected);
+    assert.ok(middles.every((m) => m.legs.length === 2), "middle legs");
+  });
+}
+
+check("findArbitrage: no middle across match and 1st-half totals", () => {
+  const odds = eplOddsService.collectMatchOdds(FIXTURE, {
+    bookmakers: {
+      A: [{ name: "Total Cards", odds: [{ hdp: 3.5, over: "1.90", under: "1.90" }] }],
+      B: [{ name: "1st Half Cards", odds: [{ hdp: 4.5, over: "8.00", under: "1.05" }] }],
+    },
+  });
+  assert.equal(eplOddsService.findArbitrage(odds, 100, 100).middles.length, 0);
+});
+
+// Market name -> bucket: half-time and 3-way markets stay out of the full-time buckets
+const MARKET_BUCKETS = [
+  ["Asian Handicap", "handicap"],
+  ["Spread", "handicap"],
+  ["1st Half Asian Handicap", "other"],
+  ["European Handicap", "other"],
+  ["Handicap 3-Way", "other"],
+  ["Correct Score", "exact"],
+  ["1st Half Correct Score", "other"],
+  ["Draw No Bet", "draw_no_bet"],
+  ["1st Half Draw No Bet", "other"],
+  ["Double Chance", "double_chance"],
+  ["Half-time Double Chance", "other"],
+  ["Half Time Result", "other"],
+];
+
+for (const [name, bucket] of MARKET_BUCKETS) {
+  check(`marketBucket: ${name}`, () => {
+    assert.equal(eplOddsService.marketBucket(name, FIXTURE.home, FIXTURE.away), bucket);
+  });
+}
+
+check("parseSelectionOdd: a handicap with a draw price is not Asian", () => {
+  assert.equal(eplOddsService.parseSelectionOdd("handicap", { hdp: -1, home: "2.0", draw: "3.4", away: "3.0" }), null);
+  assert.deepEqual(eplOddsService.parseSelectionOdd("handicap", { hdp: -1, home: "2.0", away: "1.8" }),
+    { line: -1, homeOdds: 2, awayOdds: 1.8 });
+});
+
+// A prediction is quoted at exactly its own market and line
+const QUOTED = eplOddsService.collectMatchOdds(FIXTURE, {
+  bookmakers: {
+    A: [
+      { name: "Total Cards", odds: [{ hdp: 4.5, over: "1.90", under: "1.90" }] },
+      { name: "Total Red Cards", odds: [{ hdp: 0.5, over: "4.00", under: "1.20" }] },
+      { name: "1st Half Cards", odds: [{ hdp: 1.5, over: "2.00", under: "1.80" }] },
+      { name: "Total Goals", odds: [{ hdp: 3.0, over: "2.40", under: "1.55" }] },
+      { name: "Total Shots", odds: [{ hdp: 8.5, over: "1.85", under: "1.95" }] },
+      { name: "Total Shots On Target", odds: [{ hdp: 8.5, over: "1.10", under: "6.50" }] },
+      { name: "Total Fouls", odds: [{ hdp: 20.5, over: "1.90", under: "1.90" }] },
+      { name: "Race to 5 Corners", odds: [{ home: "1.90", away: "2.20", neither: "12.0" }] },
+      { name: "Anytime Goalscorer", odds: [{ label: "Bukayo Saka", yes: "2.60" }] },
+      { name: "Player Shots On Target", odds: [{ label: "Bukayo Saka", hdp: 0.5, over: "1.50", under: "2.50" }] },
+    ],
+  },
+});
+
+const QUOTES = [
+  { name: "yellow cards at the total cards line", prediction: { statKey: "yellow_cards", line: 4.5, side: "over" }, odds: 1.9 },
+  { name: "no yellow cards at a 1st-half line", prediction: { statKey: "yellow_cards", line: 1.5, side: "over" }, odds: null },
+  { name: "red cards at the red cards line", prediction: { statKey: "red_cards", line: 0.5, side: "over" }, odds: 4.0 },
+  { name: "no snapping to a nearby line", prediction: { statKey: "goals", line: 2.5, side: "over" }, odds: null },
+  { name: "shots on target, not total shots", prediction: { statKey: "shots_on_target", line: 8.5, side: "over" }, odds: 1.1 },
+  { name: "no unmodelled market", prediction: { statKey: "fouls", line: 20.5, side: "over" }, odds: null },
+  { name: "no scorer price without a player", prediction: { statKey: "anytime_scorer", line: 0.5, side: "over" }, odds: null },
+  { name: "a corner race by its target", prediction: { statKey: "race_to_corners", line: 5, side: "neither" }, odds: 12 },
+  { name: "no corner race at another target", prediction: { statKey: "race_to_corners", line: 7, side: "home" }, odds: null },
+  {
+    name: "a player's own line",
+    prediction: { statKey: "shots_on_target", line: 0.5, side: "over", playerName: "Bukayo Saka" },
+    odds: 1.5,
+  },
+  {
+    name: "no other player's line",
+    prediction: { statKey: "shots_on_target", line: 0.5, side: "over", playerName: "Kai Havertz" },
+    odds: null,
+  },
+  {
+    name: "the anytime scorer market",
+    prediction: { statKey: "anytime_scorer", line: 0.5, side: "over", playerName: "Bukayo Saka" },
+    odds: 2.6,
+  },
+];
+
+for (const c of QUOTES) {
+  check(`findBestOddsForPrediction: ${c.name}`, () => {
+    const quote = eplOddsService.findBestOddsForPrediction(c.prediction, QUOTED);
+    assert.equal(quote ? quote.bestOdds : null, c.odds);
+  });
+}
+
+check("listOfferedLines: only the modelled market of each stat", () => {
+  const offered = eplOddsService.listOfferedLines(QUOTED);
+  const lines = (statKey) => offered.filter((o) => o.statKey === statKey).map((o) => [o.line, o.bookmakers.length]);
+  assert.deepEqual(lines("yellow_cards"), [[4.5, 1]]);
+  assert.deepEqual(lines("shots_on_target"), [[8.5, 1]]);
+});
+
+// ---------------- oddsHistoryService.js: latest stored prices ----------------
+
+// Only changed rows are stored, so the latest odds take each series' last row;
+// rebuilt into the odds-api format they quote the same line and player again
+check("oddsHistoryService.latestOdds: last row per series, quoted like live odds", () => {
+  const snapshot = (over, scorer) => ({
+    home: "Arsenal", away: "Chelsea", date: FIXTURE.date,
+    bookmakers: { Bet365: [
+      { name: "Totals", odds: [{ hdp: 2.5, over, under: "1.9" }, { hdp: 3.5, over: "3.0", under: "1.4" }] },
+      { name: "Anytime Goalscorer", odds: [{ label: "Bukayo Saka", yes: scorer }] },
+    ] },
+  });
+  const rows = [
+    ...oddsHistoryService.snapshotRows(1, snapshot("2.0", "3.0"), null, "2099-01-01T10:00:00Z"),
+    ...oddsHistoryService.snapshotRows(1, snapshot("1.8", "3.4"), null, "2099-01-01T12:00:00Z")
+      .filter(r => r.line !== 3.5),
+  ];
+  const latest = eplOddsService.collectMatchOdds(FIXTURE, oddsHistoryService.latestOdds(rows));
+  const quote = (prediction) => eplOddsService.findBestOddsForPrediction(prediction, latest)?.bestOdds;
+
+  assert.equal(quote({ statKey: "goals", line: 2.5, side: "over" }), 1.8);
+  assert.equal(quote({ statKey: "goals", line: 3.5, side: "over" }), 3.0);
+  assert.equal(quote({ statKey: "anytime_scorer", playerName: "Bukayo Saka", line: 0.5, side: "over" }), 3.4);
+  assert.equal(oddsHistoryService.latestOdds([]), null);
+});
+
+// ---------------- evCalculatorFootball.js: races from simulated matches ----------------
+
+// Nobody wins the race exactly when both teams stay short of the target
+const RACES = [
+  { home: 6.3, away: 4.2, target: 5 },
+  { home: 5.0, away: 5.0, target: 7 },
+  { home: 1.6, away: 1.1, target: 2 },
+];
+
+for (const c of RACES) {
+  check(`raceMarkets: race to ${c.target} at ${c.home}/${c.away}`, () => {
+    const sim = simulateMatch({ homeMu: c.home, awayMu: c.away, n: 20000, seed: 7 });
+    const race = Object.fromEntries(raceMarkets(sim, [c.target]).map((m) => [m.side, m.probability]));
+    assertClose(race.neither, poissonCdf(c.target - 1, c.home) * poissonCdf(c.target - 1, c.away), 0.01, "neither");
+    assertClose(race.home + race.away + race.neither, 1, 1e-9, "total");
+    if (c.home !== c.away) assert.equal(race.home > race.away, c.home > c.away, "favourite");
+  });
+}
+
+// ---------------- minutesModel.js: teammates-out minutes ----------------
+
+const POINTS = [20, 25, 18, 22, 30, 24, 19, 21];
+const MINUTES = [34, 36, 33, 35, 38, 35, 34, 35];
+
+// The minutes boost moves minutes and mean together, and stops at 48 minutes
+const MINUTES_FACTORS = [
+  { factor: 1, applied: 1 },
+  { factor: 1.1, applied: 1.1 },
+  { factor: 0.9, applied: 0.9 },
+  { factor: 1.5, applied: 48 / projectFromMinutes(POINTS, MINUTES).projectedMinutes },
+];
+
+for (const c of MINUTES_FACTORS) {
+  check(`projectFromMinutes: minutes factor ${c.factor}`, () => {
+    const base = projectFromMinutes(POINTS, MINUTES);
+    const boosted = projectFromMinutes(POINTS, MINUTES, { minutesFactor: c.factor });
+    assertClose(boosted.minutesFactor, c.applied, 1e-9, "applied");
+    assertClose(boosted.projectedMinutes, base.projectedMinutes * c.applied, 1e-9, "minutes");
+    assertClose(boosted.mu, base.mu * c.applied, 1e-9, "mu");
+  });
+}
+
+// ---------------- ratingService.js: late and repeated results ----------------
+
+function result(id, date, homeScore = 1, awayScore = 0) {
+  return { id, date, homeId: 1, homeName: "A", awayId: 2, awayName: "B", homeScore, awayScore };
+}
+
+// [label, results fed in turn, new results applied per call]
+const RATING_FEEDS = [
+  ["overlapping fetch", [[result(1, "2025-01-01"), result(2, "2025-01-08")], [result(2, "2025-01-08"), result(3, "2025-01-15")]], [2, 1]],
+  ["late result inside the window", [[result(1, "2025-01-01"), result(3, "2025-01-15")], [result(2, "2025-01-08")]], [2, 1]],
+  ["same-day results", [[result(1, "2025-01-01")], [result(1, "2025-01-01"), result(2, "2025-01-01")]], [1, 1]],
+  ["result older than the window", [[result(1, "2025-01-01"), result(2, "2025-03-01")], [result(3, "2025-01-02")]], [2, 0]],
+  ["window pruned, ids outside it still skipped", [[result(1, "2025-01-01")], [result(2, "2025-03-01")], [result(1, "2025-01-01")]], [1, 1, 0]],
+];
+
+RATING_FEEDS.forEach(([label, feeds, applied], i) => {
+  check(`ratingService.recordResults: ${label}`, () => {
+    const key = `test:${i}`;
+    assert.deepEqual(feeds.map(results => ratingService.recordResults(key, results)), applied);
+    assert.equal(ratingService.getRatings(key)[0].games, applied.reduce((a, b) => a + b, 0));
+  });
+});
+
+// ---------------- teamNames.js / teamService.js: team names ----------------
+
+// [a, b, similarity, same team at MATCH_THRESHOLD]
+const NAME_SIMILARITIES = [
+  ["Wolverhampton Wanderers FC", "Wolverhampton Wanderers", 1, true],
+  ["Man Utd", "Manchester United", 1, true],
+  ["Bayern München", "FC Bayern Munich", 1, true],
+  ["Wolverhampton Wanderers", "Wolverhampton Wanderers Football Club", 0.9, true],
+  ["Brighton Hove Alb", "Brighton & Hove Albion", 0.967, true],
+  // One shared word is no evidence: "Manchester", "Newcastle", "Tottenham"
+  ["Manchester United", "Manchester City", 0.5, false],
+  ["Newcastle Jets", "Newcastle United", 0.5, false],
+  ["Tottenham", "Tottenham Hotspur", 0.667, false],
+  // Only the dictionary knows these are the same club
+  ["Wolves", "Wolverhampton Wanderers", 0, false],
+];
+
+for (const [a, b, similarity, same] of NAME_SIMILARITIES) {
+  check(`nameSimilarity: ${a} / ${b}`, () => {
+    assertClose(nameSimilarity(a, b), similarity, 0.001, "similarity");
+    assertClose(nameSimilarity(b, a), similarity, 0.001, "reversed");
+    assert.equal(nameSimilarity(a, b) >= MATCH_THRESHOLD, same);
+  });
+}
+
+const TEAM_ALIASES = {
+  "manchester-united": { name: "Manchester United", aliases: ["Man Utd"] },
+  "manchester-city": { name: "Manchester City", aliases: ["Man City"] },
+  "newcastle-united": { name: "Newcastle United" },
+  "sheffield-united": { name: "Sheffield United" },
+  "sheffield-wednesday": { name: "Sheffield Wednesday" },
+  "wolverhampton-wanderers": { name: "Wolverhampton Wanderers", aliases: ["Wolves"] },
+};
+
+// [name, team ID, method, confidence]
+const RESOLVED_NAMES = [
+  ["Wolves", "wolverhampton-wanderers", "alias", 1],
+  ["Wolverhampton Wanderers FC", "wolverhampton-wanderers", "alias", 1],
+  ["Manchester Utd", "manchester-united", "alias", 1],
+  ["Manchester Utd Reserves", "manchester-united", "fuzzy", 0.9],
+  // Below MATCH_THRESHOLD
+  ["Manchester", null, "none", 0.667],
+  ["Newcastle Jets", null, "none", 0.5],
+  // 0.9 for both Sheffield clubs: no lead of AMBIGUITY_MARGIN over the runner-up
+  ["Sheffield United Wednesday", null, "none", 0.9],
+  ["", null, "none", 0],
+];
+
+// A resolver of its own over a fixed alias file, so data/ can change freely
+const aliasesFile = require("path").join(require("os").tmpdir(), `team-aliases-test-${process.pid}.json`);
+require("fs").writeFileSync(aliasesFile, JSON.stringify(TEAM_ALIASES));
+const teams = new teamService.constructor();
+teams.file = aliasesFile;
+teams.refreshFromFile();
+
+for (const [name, id, method, confidence] of RESOLVED_NAMES) {
+  check(`resolveName: "${name}" => ${id || "unmatched"}`, () => {
+    const resolved = teams.resolveName(name);
+    assert.equal(resolved.id, id);
+    assert.equal(resolved.method, method);
+    assertClose(resolved.confidence, confidence, 0.001, "confidence");
+  });
+}
+
+// ---------------- devig.js ----------------
+
+// Two-way Shin equals additive (the margin comes off both sides equally);
+// power takes the most from the longshot
+const DEVIGS = [
+  {
+    odds: [1.5, 2.6],
+    overround: 0.0513,
+    multiplicative: [0.6341, 0.3659],
+    additive: [0.6410, 0.3590],
+    power: [0.6446, 0.3554],
+    shin: [0.6410, 0.3590],
+  },
+  {
+    odds: [1.25, 4.5],
+    overround: 0.0222,
+    multiplicative: [0.7826, 0.2174],
+    additive: [0.7889, 0.2111],
+    power: [0.7921, 0.2079],
+    shin: [0.7889, 0.2111],
+  },
+  {
+    odds: [2.2, 3.3, 3.6],
+    overround: 0.0354,
+    multiplicative: [0.4390, 0.2927, 0.2683],
+    additive: [0.4428, 0.2912, 0.2660],
+    power: [0.4427, 0.2912, 0.2661],
+    shin: [0.4418, 0.2916, 0.2666],
+  },
+  {
+    // an arbitrage-free book (96.4%) is only rescaled
+    odds: [2.10, 2.05],
+    overround: -0.0360,
+    multiplicative: [0.4940, 0.5060],
+    additive: [0.4940, 0.5060],
+    power: [0.4940, 0.5060],
+    shin: [0.4940, 0.5060],
+  },
+];
+
+for (const c of DEVIGS) {
+  check(`devig ${c.odds.join("/")}`, () => {
+    const fair = devig(c.odds);
+    assertClose(fair.overround, c.overround, 0.00005, "overround");
+    for (const method of ["multiplicative", "additive", "power", "shin"]) {
+      fair[method].forEach((p, i) => assertClose(p, c[method][i], 0.00005, `${method}[${i}]`));
+      assertClose(fair[method].reduce((s, p) => s + p, 0), 1, 1e-9, `${method} total`);
+    }
+  });
+}
+
+const INVALID_ODDS = [[2.0], [1.0, 3.0], [2.0, NaN], [0.5, 1.9]];
+
+for (const odds of INVALID_ODDS) {
+  check(`devig rejects ${odds.join("/")}`, () => assert.equal(devig(odds), null));
+}
+
+check("consensus: one vote per bookmaker", () => {
+  const books = [
+    { bookmaker: "A", fair: devig([1.5, 2.6]) },
+    { bookmaker: "A", fair: devig([1.25, 4.5]) },
+    { bookmaker: "B", fair: devig([1.25, 4.5]) },
+  ];
+  const c = consensus(books);
+  assert.equal(c.bookmakers, 2);
+  assertClose(c.probability[0], (0.6410 + 0.7889) / 2, 0.0001, "shin home");
+  assertClose(c.methods.power[1], (0.3554 + 0.2079) / 2, 0.0001, "power away");
+});
+
+require("fs").rmSync(process.env.RATINGS_FILE, { force: true });
+require("fs").rmSync(aliasesFile, { force: true });
+
+if (failed) {
+  console.log(`\n${failed} failed`);
+  process.exit(1);
+}
+console.log("\nall passed");
@@ -0,0 +1,106 @@
+// timeDecay.js - Exponential time-decay weighting for form estimates
+
+const DECAY_UNITS = ["games", "days"];
+
+/**
+ * Exponential decay weights with a given half-life.
+ * A value `halfLife` units old counts half as much as the newest one.
+ *
+ * @param {number[]} ages - age of each observation, in games or days
+ * @param {number} halfLife - half-life in the same unit as ages
+ * @returns {number[]} weights (not normalised)
+ */
+function decayWeights(ages, halfLife) {
+  if (!(halfLife > 0)) {
+    throw new Error("halfLife must be a positive number");
+  }
+  return ages.map((age) => Math.pow(0.5, Math.max(0, age) / halfLife));
+}
+
+/**
+ * Ages for a newest-first series.
+ * "games" uses the position in the series; "days" uses the game dates.
+ *
+ * @param {number} count - number of observations
+ * @param {"games"|"days"} unit
+ * @param {Array<string|Date>} [dates] - newest-first dates (required for "days")
+ * @param {number} [now] - reference timestamp for day ages
+ */
+function seriesAges(count, unit = "games", dates = [], now = Date.now()) {
+  if (unit === "days") {
+    if (dates.length !== count) {
+      throw new Error("Day-based decay requires one date per observation");
+    }
+    const dayMs = 24 * 60 * 60 * 1000;
+    return dates.map((d) => (now - new Date(d).getTime()) / dayMs);
+  }
+  return Array.from({ length: count }, (_, i) => i);
+}
+
+function weightedMean(values, weights) {
+  let sumW = 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sumW += weights[i];
+    sum += weights[i] * values[i];
+  }
+  return sumW > 0 ? sum / sumW : 0;
+}
+
+/**
+ * Weighted variance with the reliability-weights bias correction,
+ * so that equal weights reproduce the ordinary sample variance.
+ */
+function weightedVariance(values, weights) {
+  if (values.length < 2) return 0;
+  const m = weightedMean(values, weights);
+  let v1 = 0;
+  let v2 = 0;
+  let ss = 0;
+  for (let i = 0; i < values.length; i++) {
+    v1 += weights[i];
+    v2 += weights[i] * weights[i];
+    ss += weights[i] * (values[i] - m) ** 2;
+  }
+  const denom = v1 - v2 / v1;
+  return denom > 0 ? ss / denom : 0;
+}
+
+/**
+ * Kish effective sample size of a set of weights.
+ */
+function effectiveSampleSize(weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  const sumSq = weights.reduce((s, w) => s + w * w, 0);
+  return sumSq > 0 ? (sum * sum) / sumSq : 0;
+}
+
+/**
+ * Decay-weighted mean and standard deviation of a newest-first series.
+ *
+ * @param {number[]} values - newest first
+ * @param {Object} opts
+ * @param {number} opts.halfLife
+ * @param {"games"|"days"} [opts.unit]
+ * @param {Array<string|Date>} [opts.dates] - newest-first dates for "days"
+ * @returns {{ mean: number, sigma: number, effectiveN: number }}
+ */
+function decayEstimate(values, { halfLife, unit = "games", dates = [] }) {
+  const weights = decayWeights(seriesAges(values.length, unit, dates), halfLife);
+  return {
+    mean: weightedMean(values, weights),
+    sigma: Math.sqrt(weightedVariance(values, weights)),
+    // games' worth of information left after down-weighting old ones
+    effectiveN: effectiveSampleSize(weights),
+  };
+}
+
+module.exports = {
+  DECAY_UNITS,
+  decayWeights,
+  seriesAges,
+  weightedMean,
+  weightedVariance,
+  effectiveSampleSize,
+  decayEstimate,
+};
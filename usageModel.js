@@ -0,0 +1,102 @@
+// usageModel.js - Teammate boosts when a player is out (NBA)
+//
+// For each absent player, a teammate's factor is the ratio of the teammate's
+// per-game output in games without the absent player to games with them,
+// shrunk toward a prior in which the absent player's minutes and part of
+// their production are spread over the rest of the team in proportion to
+// what each teammate already does.
+const { parseMinutes } = require("./minutesModel");
+
+// Team per-game totals the prior redistributes into
+const TEAM_TOTALS = { min: 240, pts: 114, reb: 44, ast: 26, fg3m: 13 };
+// Share of an absent player's production that teammates pick up; the rest
+// is lost to a slower pace and worse shots
+const ABSORBED_SHARE = 0.6;
+// Games without the player at which the observed split gets half weight
+const SHRINK_GAMES = 5;
+// Several absences compound, but within reason
+const FACTOR_BOUNDS = [0.8, 1.5];
+
+function mean(arr) {
+  return arr.length ? arr.reduce((s, x) => s + x, 0) / arr.length : 0;
+}
+
+/**
+ * Prior factor for one stat: the absent player's average is redistributed
+ * over the rest of the team total.
+ */
+function priorFactor(key, absentAvg) {
+  const total = TEAM_TOTALS[key];
+  if (!total || !(absentAvg > 0)) return 1;
+  const share = key === "min" ? 1 : ABSORBED_SHARE;
+  return 1 + (share * absentAvg) / Math.max(total - absentAvg, total / 2);
+}
+
+/**
+ * With/without split of a teammate for one absent player.
+ *
+ * @param {Object[]} teammateStats - teammate's stat rows (balldontlie)
+ * @param {Object[]} absentStats - absent player's stat rows
+ * @param {Object<string, Function>} extractors - stat key => (row) => value
+ * @returns {{ factors: Object<string, number>, gamesWith: number, gamesWithout: number }}
+ */
+function absenceSplit(teammateStats, absentStats, extractors) {
+  const absentPlayed = new Set(
+    absentStats.filter((s) => parseMinutes(s.min) > 0).map((s) => s.game.id)
+  );
+  // only games since the absent player's first appearance (they may have joined mid-season)
+  const since = absentStats.reduce(
+    (first, s) => (!first || s.game.date < first ? s.game.date : first),
+    null
+  );
+
+  const played = teammateStats.filter(
+    (s) => parseMinutes(s.min) > 0 && (!since || s.game.date >= since)
+  );
+  const withRows = played.filter((s) => absentPlayed.has(s.game.id));
+  const withoutRows = played.filter((s) => !absentPlayed.has(s.game.id));
+
+  const absentRows = absentStats.filter((s) => parseMinutes(s.min) > 0);
+  const all = { min: (s) => parseMinutes(s.min), ...extractors };
+
+  const factors = {};
+  for (const [key, extract] of Object.entries(all)) {
+    const prior = priorFactor(key, mean(absentRows.map(extract).filter((v) => v != null)));
+    const withMean = mean(withRows.map(extract).filter((v) => v != null));
+    const withoutValues = withoutRows.map(extract).filter((v) => v != null);
+    const n = withMean > 0 ? withoutValues.length : 0;
+    const observed = n ? mean(withoutValues) / withMean : prior;
+    factors[key] = (n * observed + SHRINK_GAMES * prior) / (n + SHRINK_GAMES);
+  }
+
+  return { factors, gamesWith: withRows.length, gamesWithout: withoutRows.length };
+}
+
+/**
+ * Combined factors for a teammate over every absent player.
+ *
+ * @param {Object[]} teammateStats
+ * @param {Array<{ stats: Object[] }>} absentees - absent teammates' logs
+ * @param {Object<string, Function>} extractors
+ * @returns {Object<string, number>} stat key (and "min") => factor
+ */
+function availabilityFactors(teammateStats, absentees, extractors) {
+  const factors = {};
+  for (const { stats } of absentees) {
+    const split = absenceSplit(teammateStats, stats, extractors);
+    for (const [key, f] of Object.entries(split.factors)) {
+      factors[key] = (factors[key] || 1) * f;
+    }
+  }
+  for (const key of Object.keys(factors)) {
+    factors[key] = Math.min(FACTOR_BOUNDS[1], Math.max(FACTOR_BOUNDS[0], factors[key]));
+  }
+  return factors;
+}
+
+module.exports = {
+  TEAM_TOTALS,
+  priorFactor,
+  absenceSplit,
+  availabilityFactors,
+};